@@ -9,6 +9,383 @@
 
     // ── Storage key ──────────────────────────────────────────────────────────
     const STORAGE_KEY = 'scorm_cmi_' + (window.location.pathname.split('/')[2] || 'default');
+    const PEAK_KEY = STORAGE_KEY + '_suspend_peak';
+
+    // ── One instance per session ─────────────────────────────────────────────
+    // The player inlines the shim into every HTML page of a package, so a
+    // page in a frame carries its own copy. Content that initializes in the
+    // launch page and calls the API from a frame must reach that instance,
+    // as it would on an LMS: the nearest ancestor page of the same session
+    // that runs the shim is reused, and only without one is a local instance
+    // created.
+    const SHIM_MARKER = '__scormApiShim';
+
+    function sessionShimWindow() {
+        let win = window;
+        for (let depth = 0; depth < 10 && win.parent && win.parent !== win; depth++) {
+            win = win.parent;
+            try {
+                const key = 'scorm_cmi_' + (win.location.pathname.split('/')[2] || 'default');
+                if (key === STORAGE_KEY && win.API && win.API[SHIM_MARKER] === STORAGE_KEY) return win;
+            } catch (_) { return null; } // cross-origin frame
+        }
+        return null;
+    }
+
+    const owner = sessionShimWindow();
+    if (owner) {
+        window.API = owner.API;
+        window.API_1484_11 = owner.API_1484_11;
+        console.log('%c SCORM Shim %c Frame — using the session\'s API from ' + owner.location.pathname,
+            'background:#4CAF50;color:#fff;padding:3px 8px;border-radius:4px;font-weight:bold', 'color:#4CAF50');
+        return;
+    }
+
+    // ── suspend_data capacity ────────────────────────────────────────────────
+    // SCORM 1.2 cmi.suspend_data is a CMIString4096; SCORM 2004 raises the
+    // smallest permitted maximum to 64000 characters. Longer values are
+    // rejected the way a strict LMS would, so overflow shows up here instead
+    // of as lost progress in production.
+    const SUSPEND_DATA_LIMITS = { '1.2': 4096, '2004': 64000 };
+
+    // ── Error codes ──────────────────────────────────────────────────────────
+    const ERROR_STRINGS = {
+        '1.2': {
+            '0': 'No error', '101': 'General exception', '201': 'Invalid argument error',
+            '202': 'Element cannot have children', '203': 'Element not an array - cannot have count',
+            '301': 'Not initialized', '401': 'Not implemented error', '402': 'Invalid set value, element is a keyword',
+            '403': 'Element is read only', '404': 'Element is write only', '405': 'Incorrect Data Type'
+        },
+        '2004': {
+            '0': 'No Error', '101': 'General Exception', '102': 'General Initialization Failure',
+            '103': 'Already Initialized', '104': 'Content Instance Terminated', '111': 'General Termination Failure',
+            '112': 'Termination Before Initialization', '113': 'Termination After Termination',
+            '122': 'Retrieve Data Before Initialization', '123': 'Retrieve Data After Termination',
+            '132': 'Store Data Before Initialization', '133': 'Store Data After Termination',
+            '142': 'Commit Before Initialization', '143': 'Commit After Termination',
+            '201': 'General Argument Error', '301': 'General Get Failure', '351': 'General Set Failure',
+            '391': 'General Commit Failure', '401': 'Undefined Data Model Element',
+            '402': 'Unimplemented Data Model Element', '403': 'Data Model Element Value Not Initialized',
+            '404': 'Data Model Element Is Read Only', '405': 'Data Model Element Is Write Only',
+            '406': 'Data Model Element Type Mismatch', '407': 'Data Model Element Value Out Of Range',
+            '408': 'Data Model Dependency Not Established'
+        }
+    };
+
+    // Data model failures → each version's error code. SCORM 1.2 has no
+    // "out of range", "not initialized" or dependency errors: out-of-range
+    // values are a wrong type there, and unset elements read as "".
+    const DATA_MODEL_ERRORS = {
+        '1.2': {
+            undefined: '201', getFailure: '201', setFailure: '201', children: '202', count: '203',
+            keyword: '402', readOnly: '403', writeOnly: '404', type: '405', range: '405'
+        },
+        '2004': {
+            undefined: '401', getFailure: '301', setFailure: '351', children: '301', count: '301',
+            keyword: '404', readOnly: '404', writeOnly: '405', type: '406', range: '407',
+            notInitialized: '403', dependency: '408'
+        }
+    };
+
+    // ── CMI data model ───────────────────────────────────────────────────────
+    // Every run-time element of SCORM 1.2 and SCORM 2004 4th Edition with its
+    // access (ro / rw / wo) and, for writable ones, a value check answering
+    // true, 'type' or 'range'. Collection indexes are written as ".n".
+    const DECIMAL = /^-?(?:\d+(?:\.\d*)?|\.\d+)$/;
+    const TIMESPAN = /^\d{2,4}:[0-5]\d:[0-5]\d(?:\.\d{1,2})?$/;
+    const TIME = /^(?:[01]\d|2[0-3]):[0-5]\d:[0-5]\d(?:\.\d{1,2})?$/;
+    const INTERVAL = /^P(?!$)(?:\d+Y)?(?:\d+M)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d{1,2})?S)?)?$/;
+    const TIMESTAMP = /^(?:19[7-9]\d|20[0-2]\d|203[0-8])(?:-(?:0[1-9]|1[0-2])(?:-(?:0[1-9]|[12]\d|3[01])(?:T(?:[01]\d|2[0-3])(?::[0-5]\d(?::[0-5]\d(?:\.\d{1,2})?(?:Z|[+-](?:[01]\d|2[0-3])(?::?[0-5]\d)?)?)?)?)?)?)?$/;
+    const LANGUAGE = /^(?:(?:[a-zA-Z]{2,3}|[iIxX])(?:-[a-zA-Z0-9]{1,8})*)?$/;
+    const NAV_REQUEST = /^(?:continue|previous|exit|exitAll|abandon|abandonAll|suspendAll|_none_|\{target=[^}\s]+\}(?:choice|jump))$/;
+
+    const any = () => true;
+    const pattern = regex => v => regex.test(v) || 'type';
+    const string = max => v => v.length <= max || 'type';
+    const localized = max => v => v.replace(/^\{lang=[^}]*\}/, '').length <= max || 'type';
+    const identifier = max => v => (v.length <= max && /^\S+$/.test(v)) || 'type';
+    const vocab = (...words) => v => words.includes(v) || 'type';
+    const decimal = (min = -Infinity, max = Infinity) => v => !DECIMAL.test(v) ? 'type' : (Number(v) < min || Number(v) > max ? 'range' : true);
+    const integer = (min, max) => v => !/^-?\d+$/.test(v) ? 'type' : (Number(v) < min || Number(v) > max ? 'range' : true);
+    const blankOr = check => v => v === '' || check(v);
+    const either = (...checks) => v => checks.some(check => check(v) === true) || 'type';
+
+    const STATUS_12 = ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'];
+    const COMPLETION = vocab('completed', 'incomplete', 'not attempted', 'unknown');
+    const SUCCESS = vocab('passed', 'failed', 'unknown');
+    const LEARNER = { id: 'local-learner', name: { '1.2': 'Learner, Local', '2004': 'Local Learner' } };
+
+    const DATA_MODELS = {
+        '1.2': {
+            // Elements answering _children / _count
+            children: ['cmi.core', 'cmi.core.score', 'cmi.objectives', 'cmi.objectives.n.score', 'cmi.student_data', 'cmi.student_preference', 'cmi.interactions'],
+            collections: ['cmi.objectives', 'cmi.interactions', 'cmi.interactions.n.objectives', 'cmi.interactions.n.correct_responses'],
+            elements: {
+                'cmi._version': ['ro'],
+                'cmi.core.student_id': ['ro'],
+                'cmi.core.student_name': ['ro'],
+                'cmi.core.lesson_location': ['rw', string(255)],
+                'cmi.core.credit': ['ro'],
+                // A SCO may report every status but "not attempted"
+                'cmi.core.lesson_status': ['rw', vocab(...STATUS_12.slice(0, 5))],
+                'cmi.core.entry': ['ro'],
+                'cmi.core.score.raw': ['rw', blankOr(decimal(0, 100))],
+                'cmi.core.score.min': ['rw', blankOr(decimal(0, 100))],
+                'cmi.core.score.max': ['rw', blankOr(decimal(0, 100))],
+                'cmi.core.total_time': ['ro'],
+                'cmi.core.lesson_mode': ['ro'],
+                'cmi.core.exit': ['wo', vocab('time-out', 'suspend', 'logout', '')],
+                'cmi.core.session_time': ['wo', pattern(TIMESPAN)],
+                'cmi.suspend_data': ['rw', string(SUSPEND_DATA_LIMITS['1.2'])],
+                'cmi.launch_data': ['ro'],
+                'cmi.comments': ['rw', string(4096)],
+                'cmi.comments_from_lms': ['ro'],
+                'cmi.objectives.n.id': ['rw', identifier(255)],
+                'cmi.objectives.n.score.raw': ['rw', blankOr(decimal(0, 100))],
+                'cmi.objectives.n.score.min': ['rw', blankOr(decimal(0, 100))],
+                'cmi.objectives.n.score.max': ['rw', blankOr(decimal(0, 100))],
+                'cmi.objectives.n.status': ['rw', vocab(...STATUS_12)],
+                'cmi.student_data.mastery_score': ['ro'],
+                'cmi.student_data.max_time_allowed': ['ro'],
+                'cmi.student_data.time_limit_action': ['ro'],
+                'cmi.student_preference.audio': ['rw', integer(-1, 100)],
+                'cmi.student_preference.language': ['rw', string(255)],
+                'cmi.student_preference.speed': ['rw', integer(-100, 100)],
+                'cmi.student_preference.text': ['rw', integer(-1, 1)],
+                'cmi.interactions.n.id': ['wo', identifier(255)],
+                'cmi.interactions.n.objectives.n.id': ['wo', identifier(255)],
+                'cmi.interactions.n.time': ['wo', pattern(TIME)],
+                'cmi.interactions.n.type': ['wo', vocab('true-false', 'choice', 'fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric')],
+                'cmi.interactions.n.correct_responses.n.pattern': ['wo', string(255)],
+                'cmi.interactions.n.weighting': ['wo', decimal()],
+                'cmi.interactions.n.student_response': ['wo', string(255)],
+                'cmi.interactions.n.result': ['wo', either(vocab('correct', 'wrong', 'unanticipated', 'neutral'), decimal())],
+                'cmi.interactions.n.latency': ['wo', pattern(TIMESPAN)]
+            },
+            // What the LMS holds before the SCO sets anything
+            defaults: {
+                'cmi._version': '3.4',
+                'cmi.core.student_id': LEARNER.id,
+                'cmi.core.student_name': LEARNER.name['1.2'],
+                'cmi.core.credit': 'credit',
+                'cmi.core.lesson_status': 'not attempted',
+                'cmi.core.lesson_mode': 'normal',
+                'cmi.core.total_time': '0000:00:00.00'
+            },
+            entry: 'cmi.core.entry',
+            exit: 'cmi.core.exit'
+        },
+        '2004': {
+            children: ['cmi.comments_from_learner', 'cmi.comments_from_lms', 'cmi.interactions', 'cmi.learner_preference',
+                'cmi.objectives', 'cmi.objectives.n.score', 'cmi.score', 'adl.data'],
+            collections: ['cmi.comments_from_learner', 'cmi.comments_from_lms', 'cmi.interactions', 'cmi.interactions.n.objectives',
+                'cmi.interactions.n.correct_responses', 'cmi.objectives', 'adl.data'],
+            elements: {
+                'cmi._version': ['ro'],
+                'cmi.comments_from_learner.n.comment': ['rw', localized(4000)],
+                'cmi.comments_from_learner.n.location': ['rw', string(250)],
+                'cmi.comments_from_learner.n.timestamp': ['rw', pattern(TIMESTAMP)],
+                'cmi.comments_from_lms.n.comment': ['ro'],
+                'cmi.comments_from_lms.n.location': ['ro'],
+                'cmi.comments_from_lms.n.timestamp': ['ro'],
+                'cmi.completion_status': ['rw', COMPLETION],
+                'cmi.completion_threshold': ['ro'],
+                'cmi.credit': ['ro'],
+                'cmi.entry': ['ro'],
+                'cmi.exit': ['wo', vocab('time-out', 'suspend', 'logout', 'normal', '')],
+                'cmi.interactions.n.id': ['rw', identifier(4000)],
+                'cmi.interactions.n.type': ['rw', vocab('true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other')],
+                'cmi.interactions.n.objectives.n.id': ['rw', identifier(4000)],
+                'cmi.interactions.n.timestamp': ['rw', pattern(TIMESTAMP)],
+                'cmi.interactions.n.correct_responses.n.pattern': ['rw', any],
+                'cmi.interactions.n.weighting': ['rw', decimal()],
+                'cmi.interactions.n.learner_response': ['rw', any],
+                'cmi.interactions.n.result': ['rw', either(vocab('correct', 'incorrect', 'unanticipated', 'neutral'), decimal())],
+                'cmi.interactions.n.latency': ['rw', pattern(INTERVAL)],
+                'cmi.interactions.n.description': ['rw', localized(250)],
+                'cmi.launch_data': ['ro'],
+                'cmi.learner_id': ['ro'],
+                'cmi.learner_name': ['ro'],
+                'cmi.learner_preference.audio_level': ['rw', decimal(0)],
+                'cmi.learner_preference.language': ['rw', pattern(LANGUAGE)],
+                'cmi.learner_preference.delivery_speed': ['rw', decimal(0)],
+                'cmi.learner_preference.audio_captioning': ['rw', vocab('-1', '0', '1')],
+                'cmi.location': ['rw', string(1000)],
+                'cmi.max_time_allowed': ['ro'],
+                'cmi.mode': ['ro'],
+                'cmi.objectives.n.id': ['rw', identifier(4000)],
+                'cmi.objectives.n.score.scaled': ['rw', decimal(-1, 1)],
+                'cmi.objectives.n.score.raw': ['rw', decimal()],
+                'cmi.objectives.n.score.min': ['rw', decimal()],
+                'cmi.objectives.n.score.max': ['rw', decimal()],
+                'cmi.objectives.n.success_status': ['rw', SUCCESS],
+                'cmi.objectives.n.completion_status': ['rw', COMPLETION],
+                'cmi.objectives.n.progress_measure': ['rw', decimal(0, 1)],
+                'cmi.objectives.n.description': ['rw', localized(250)],
+                'cmi.progress_measure': ['rw', decimal(0, 1)],
+                'cmi.scaled_passing_score': ['ro'],
+                'cmi.score.scaled': ['rw', decimal(-1, 1)],
+                'cmi.score.raw': ['rw', decimal()],
+                'cmi.score.min': ['rw', decimal()],
+                'cmi.score.max': ['rw', decimal()],
+                'cmi.session_time': ['wo', pattern(INTERVAL)],
+                'cmi.success_status': ['rw', SUCCESS],
+                'cmi.suspend_data': ['rw', string(SUSPEND_DATA_LIMITS['2004'])],
+                'cmi.time_limit_action': ['ro'],
+                'cmi.total_time': ['ro'],
+                'adl.nav.request': ['rw', pattern(NAV_REQUEST)],
+                'adl.nav.request_valid.continue': ['ro'],
+                'adl.nav.request_valid.previous': ['ro'],
+                'adl.nav.request_valid.choice': ['ro'],
+                'adl.nav.request_valid.jump': ['ro'],
+                'adl.data.n.id': ['ro'],
+                'adl.data.n.store': ['rw', string(64000)]
+            },
+            defaults: {
+                'cmi._version': '1.0',
+                'cmi.completion_status': 'unknown',
+                'cmi.credit': 'credit',
+                'cmi.learner_id': LEARNER.id,
+                'cmi.learner_name': LEARNER.name['2004'],
+                'cmi.mode': 'normal',
+                'cmi.success_status': 'unknown',
+                'cmi.time_limit_action': 'continue,no message',
+                'cmi.total_time': 'PT0H0M0S',
+                'adl.nav.request': '_none_',
+                'adl.nav.request_valid.continue': 'unknown',
+                'adl.nav.request_valid.previous': 'unknown',
+                'adl.nav.request_valid.choice': 'unknown',
+                'adl.nav.request_valid.jump': 'unknown'
+            },
+            entry: 'cmi.entry',
+            exit: 'cmi.exit',
+            // Sub-elements of a new interaction or objective need its id
+            // first; correct responses need the interaction's type
+            dependencies: [
+                [/^(cmi\.(?:interactions|objectives)\.\d+)\.(?!id$)/, m => `${m[1]}.id`],
+                [/^(cmi\.interactions\.\d+)\.correct_responses\./, m => `${m[1]}.type`]
+            ]
+        }
+    };
+
+    // Element name → its data model pattern (indexes as ".n", the target of
+    // adl.nav.request_valid.choice/jump dropped); null for malformed names
+    function patternOf(element) {
+        if (/(?:^|\.)n(?:\.|$)/.test(element)) return null;
+        return element
+            .replace(/^(adl\.nav\.request_valid\.(?:choice|jump))\.\{target=[^}\s]+\}$/, '$1')
+            .replace(/\.(?:0|[1-9]\d*)(?=\.|$)/g, '.n');
+    }
+
+    // A pattern the model knows, as an element or as the parent of some
+    function isKnownPattern(model, pattern) {
+        return !!pattern && Object.keys(model.elements).some(p => p === pattern || p.startsWith(pattern + '.'));
+    }
+
+    function childrenOf(model, pattern) {
+        if (model.collections.includes(pattern)) pattern += '.n';
+        const names = [];
+        Object.keys(model.elements).forEach(p => {
+            if (!p.startsWith(pattern + '.')) return;
+            const name = p.slice(pattern.length + 1).split('.')[0];
+            if (!names.includes(name)) names.push(name);
+        });
+        return names.join(',');
+    }
+
+    // Every collection index in an element: cmi.interactions.2.objectives.0.id
+    // → [{ prefix: 'cmi.interactions', index: 2 }, { prefix: 'cmi.interactions.2.objectives', index: 0 }]
+    function collectionLevels(element) {
+        const parts = element.split('.');
+        const levels = [];
+        parts.forEach((part, i) => {
+            if (i > 0 && /^(?:0|[1-9]\d*)$/.test(part)) levels.push({ prefix: parts.slice(0, i).join('.'), index: Number(part) });
+        });
+        return levels;
+    }
+
+    // Records of a collection are the indexes with any stored element
+    function collectionCount(prefix) {
+        const keys = Object.keys(cmiData);
+        let count = 0;
+        while (keys.some(k => k.startsWith(`${prefix}.${count}.`))) count++;
+        return count;
+    }
+
+    // cmi.entry: "resume" after a session that exited with "suspend"
+    function entryValue(model) {
+        return previousExit[model.exit] === 'suspend' ? 'resume' : 'ab-initio';
+    }
+
+    // GetValue / SetValue against the model: { value } or { error, diagnostic }
+    // with `error` a key of DATA_MODEL_ERRORS
+    function readElement(element, version) {
+        const model = DATA_MODELS[version];
+        if (!element) return { error: 'getFailure', diagnostic: 'No element name given' };
+
+        const keyword = /^(.+)\._(children|count)$/.exec(element);
+        if (keyword) {
+            const parent = patternOf(keyword[1]);
+            const known = isKnownPattern(model, parent);
+            if (keyword[2] === 'children') {
+                return model.children.includes(parent) ? { value: childrenOf(model, parent) }
+                    : { error: known ? 'children' : 'undefined', diagnostic: known ? `${keyword[1]} has no children` : `${keyword[1]} is not a SCORM ${version} data model element` };
+            }
+            return model.collections.includes(parent) ? { value: String(collectionCount(keyword[1])) }
+                : { error: known ? 'count' : 'undefined', diagnostic: known ? `${keyword[1]} is not a collection` : `${keyword[1]} is not a SCORM ${version} data model element` };
+        }
+
+        const pattern = patternOf(element);
+        const spec = pattern && model.elements[pattern];
+        if (!spec) return { error: 'undefined', diagnostic: `${element} is not a SCORM ${version} data model element` };
+        if (spec[0] === 'wo') return { error: 'writeOnly', diagnostic: `${element} is write-only` };
+        const missing = collectionLevels(element).find(level => level.index >= collectionCount(level.prefix));
+        if (missing) return { error: 'getFailure', diagnostic: `${missing.prefix}.${missing.index} does not exist (${missing.prefix}._count is ${collectionCount(missing.prefix)})` };
+
+        if (pattern === model.entry) return { value: entryValue(model) };
+        if (cmiData[element] !== undefined) return { value: String(cmiData[element]) };
+        if (model.defaults[pattern] !== undefined) return { value: model.defaults[pattern] };
+        return version === '1.2' ? { value: '' } : { value: '', error: 'notInitialized', diagnostic: `${element} has not been set` };
+    }
+
+    function writeElement(element, value, version) {
+        const model = DATA_MODELS[version];
+        if (!element) return { error: 'setFailure', diagnostic: 'No element name given' };
+
+        const keyword = /^(.+)\._(?:children|count|version)$/.exec(element);
+        if (keyword) {
+            return isKnownPattern(model, patternOf(keyword[1]))
+                ? { error: 'keyword', diagnostic: `${element} is a keyword and can't be set` }
+                : { error: 'undefined', diagnostic: `${keyword[1]} is not a SCORM ${version} data model element` };
+        }
+
+        const pattern = patternOf(element);
+        const spec = pattern && model.elements[pattern];
+        if (!spec) return { error: 'undefined', diagnostic: `${element} is not a SCORM ${version} data model element` };
+        if (spec[0] === 'ro') return { error: 'readOnly', diagnostic: `${element} is read-only` };
+
+        // A collection grows one record at a time
+        for (const level of collectionLevels(element)) {
+            const count = collectionCount(level.prefix);
+            if (level.index > count) return { error: 'setFailure', diagnostic: `${level.prefix}.${level.index} is out of order — ${level.prefix}._count is ${count}` };
+        }
+        for (const [regex, needs] of model.dependencies || []) {
+            const match = regex.exec(element);
+            if (match && cmiData[needs(match)] === undefined) return { error: 'dependency', diagnostic: `${needs(match)} must be set before ${element}` };
+        }
+
+        const check = spec[1](value);
+        if (check !== true) {
+            return { error: check, diagnostic: check === 'range' ? `${value} is out of range for ${element}` : (value.length > 80 ? `A ${value.length}-character value` : `"${value}"`) + ` is not a valid ${element}` };
+        }
+        // SCORM 2004 objective ids are unique and, once set, fixed
+        if (version === '2004' && pattern === 'cmi.objectives.n.id') {
+            if (cmiData[element] !== undefined && cmiData[element] !== value) return { error: 'setFailure', diagnostic: `${element} is already "${cmiData[element]}"` };
+            const taken = Object.keys(cmiData).find(k => k !== element && /^cmi\.objectives\.\d+\.id$/.test(k) && cmiData[k] === value);
+            if (taken) return { error: 'setFailure', diagnostic: `Objective id "${value}" is already used by ${taken}` };
+        }
+        return { value };
+    }
 
     // ── Logger ───────────────────────────────────────────────────────────────
     const LOG_STYLES = {
@@ -69,125 +446,303 @@
                 completion: cmi['cmi.core.lesson_status'] || cmi['cmi.completion_status'] || 'not attempted',
                 score: cmi['cmi.core.score.raw'] || cmi['cmi.score.raw'] || '',
                 location: cmi['cmi.core.lesson_location'] || cmi['cmi.location'] || '',
-                suspendDataLen: (cmi['cmi.suspend_data'] || '').length
+                suspendDataLen: (cmi['cmi.suspend_data'] || '').length,
+                suspendDataPeak: suspendPeak,
+                suspendDataLimit: suspendLimit(),
+                suspendDataRejected: suspendRejected,
+                scormVersion: activeVersion,
+                autoInitialized: autoInitialized
             }, '*');
         } catch (_) { }
     }
 
     let cmiData = loadCMI();
-    let initialized = false;
     let lastError = '0';
+    let lastDiagnostic = '';
     let callCount = 0;
+    let activeVersion = null; // '1.2' or '2004', from whichever API the content calls
+
+    // How the last session ended, before this one sets cmi.exit (cmi.entry)
+    const previousExit = { 'cmi.core.exit': cmiData['cmi.core.exit'], 'cmi.exit': cmiData['cmi.exit'] };
+
+    // Peak suspend_data length for this player session (survives page reloads)
+    let suspendPeak = 0;
+    let suspendRejected = 0;
+    try { suspendPeak = parseInt(localStorage.getItem(PEAK_KEY), 10) || 0; } catch (_) { }
+
+    function suspendLimit() {
+        return SUSPEND_DATA_LIMITS[activeVersion || '1.2'];
+    }
+
+    function trackSuspendPeak(length) {
+        if (length <= suspendPeak) return;
+        suspendPeak = length;
+        try { localStorage.setItem(PEAK_KEY, String(suspendPeak)); } catch (_) { }
+    }
+
+    // ── Session state ────────────────────────────────────────────────────────
+    // Each API goes Not Initialized → Running → Terminated once per page.
+    // A call out of turn fails with its version's error: SCORM 1.2 only knows
+    // 101 and 301, SCORM 2004 names the call and the state.
+    const NOT_INITIALIZED = 'Not Initialized';
+    const RUNNING = 'Running';
+    const TERMINATED = 'Terminated';
+    const state = { '1.2': NOT_INITIALIZED, '2004': NOT_INITIALIZED };
+    let autoInitialized = false;
+
+    const CALL_NAMES = {
+        '1.2': { init: 'LMSInitialize', finish: 'LMSFinish', get: 'LMSGetValue', set: 'LMSSetValue', commit: 'LMSCommit' },
+        '2004': { init: 'Initialize', finish: 'Terminate', get: 'GetValue', set: 'SetValue', commit: 'Commit' }
+    };
+    // Error of each call per state it isn't allowed in
+    const STATE_ERRORS = {
+        '1.2': {
+            init: { [RUNNING]: '101', [TERMINATED]: '101' },
+            finish: { [NOT_INITIALIZED]: '301', [TERMINATED]: '301' },
+            get: { [NOT_INITIALIZED]: '301', [TERMINATED]: '301' },
+            set: { [NOT_INITIALIZED]: '301', [TERMINATED]: '301' },
+            commit: { [NOT_INITIALIZED]: '301', [TERMINATED]: '301' }
+        },
+        '2004': {
+            init: { [RUNNING]: '103', [TERMINATED]: '104' },
+            finish: { [NOT_INITIALIZED]: '112', [TERMINATED]: '113' },
+            get: { [NOT_INITIALIZED]: '122', [TERMINATED]: '123' },
+            set: { [NOT_INITIALIZED]: '132', [TERMINATED]: '133' },
+            commit: { [NOT_INITIALIZED]: '142', [TERMINATED]: '143' }
+        }
+    };
+
+    // Checks a call against the API's state (and, for Initialize, Terminate
+    // and Commit, the "" parameter). Returns true when it may run; otherwise
+    // records the error and logs it.
+    function allowCall(call, version, param) {
+        const name = CALL_NAMES[version][call];
+        let code = STATE_ERRORS[version][call][state[version]];
+        // The shim's own load-time initialization gives way to the content's
+        if (call === 'init' && autoInitialized && state[version] === RUNNING) code = undefined;
+        let diagnostic = code && (state[version] === RUNNING
+            ? `${name} called while the API is already running`
+            : `${name} called ${state[version] === TERMINATED ? `after ${CALL_NAMES[version].finish}` : `before ${CALL_NAMES[version].init}`}`);
+        if (!code && param !== undefined && param !== null && String(param) !== '') {
+            code = '201';
+            diagnostic = `${name} takes "" as its parameter, got "${param}"`;
+        }
+        if (!code) return true;
+
+        lastError = code;
+        lastDiagnostic = diagnostic;
+        console.warn(`SCORM ${version}: ${name} failed — ${code} ${ERROR_STRINGS[version][code]}: ${diagnostic}`);
+        log('error', `${name} rejected`, { call: callCount, scormVersion: version, state: state[version], errorCode: code, diagnostic });
+        return false;
+    }
+
+    function initialize(param, version) {
+        callCount++;
+        activeVersion = version;
+        if (!allowCall('init', version, param)) return 'false';
+        if (autoInitialized) {
+            // Only the API the content actually uses stays running
+            autoInitialized = false;
+            Object.keys(state).forEach(v => { state[v] = NOT_INITIALIZED; });
+        }
+        state[version] = RUNNING;
+        lastError = '0';
+        lastDiagnostic = '';
+        postStatus(cmiData);
+        log('init', CALL_NAMES[version].init, {
+            call: callCount,
+            param: param || '""',
+            result: 'true',
+            restoredKeys: Object.keys(cmiData).length,
+            storageKey: STORAGE_KEY,
+            suspendDataLimit: suspendLimit() + ' chars',
+            suspendDataPeak: suspendPeak + ' chars'
+        });
+        return 'true';
+    }
+
+    function finish(param, version) {
+        callCount++;
+        activeVersion = version;
+        if (!allowCall('finish', version, param)) return 'false';
+        saveCMI(cmiData);
+        postStatus(cmiData);
+        state[version] = TERMINATED;
+        lastError = '0';
+        lastDiagnostic = '';
+        log('finish', CALL_NAMES[version].finish, {
+            call: callCount,
+            param: param || '""',
+            result: 'true',
+            savedKeys: Object.keys(cmiData).length,
+            lessonStatus: cmiData['cmi.core.lesson_status'] || cmiData['cmi.completion_status'] || '—',
+            score: cmiData['cmi.core.score.raw'] || cmiData['cmi.score.raw'] || '—',
+            location: cmiData['cmi.core.lesson_location'] || cmiData['cmi.location'] || '—',
+            suspendDataPeak: `${suspendPeak} / ${suspendLimit()} chars`,
+            suspendDataRejected: suspendRejected
+        });
+        return 'true';
+    }
+
+    function commit(param, version) {
+        callCount++;
+        activeVersion = version;
+        if (!allowCall('commit', version, param)) return 'false';
+        saveCMI(cmiData);
+        postStatus(cmiData);
+        lastError = '0';
+        lastDiagnostic = '';
+        log('commit', CALL_NAMES[version].commit, {
+            call: callCount,
+            param: param || '""',
+            result: 'true',
+            committedKeys: Object.keys(cmiData).length,
+            snapshot: {
+                lessonStatus: cmiData['cmi.core.lesson_status'] || cmiData['cmi.completion_status'] || '—',
+                score: cmiData['cmi.core.score.raw'] || cmiData['cmi.score.raw'] || '—',
+                location: cmiData['cmi.core.lesson_location'] || cmiData['cmi.location'] || '—',
+                suspendDataLen: (cmiData['cmi.suspend_data'] || '').length + ' chars',
+                suspendDataPeak: `${suspendPeak} / ${suspendLimit()} chars`
+            }
+        });
+        return 'true';
+    }
+
+    // Error calls work in every state and leave the last error as it is
+    function getLastError(version) {
+        callCount++;
+        log('error', version === '1.2' ? 'LMSGetLastError' : 'GetLastError', { call: callCount, errorCode: lastError });
+        return lastError;
+    }
+
+    // Record the outcome of a data model call as the API's last error
+    function setError(result, version) {
+        lastError = result.error ? DATA_MODEL_ERRORS[version][result.error] || '0' : '0';
+        lastDiagnostic = result.error ? result.diagnostic : '';
+    }
+
+    function getValue(element, version) {
+        callCount++;
+        activeVersion = version;
+        const name = CALL_NAMES[version].get;
+        if (!allowCall('get', version)) return '';
+        element = String(element === undefined ? '' : element);
+        const result = readElement(element, version);
+        setError(result, version);
+        const value = result.value !== undefined ? result.value : '';
+        // Unset 2004 elements (403) are routine, not worth a warning
+        if (lastError !== '0' && result.error !== 'notInitialized') {
+            console.warn(`SCORM ${version}: ${name}("${element}") failed — ${lastError} ${ERROR_STRINGS[version][lastError]}: ${lastDiagnostic}`);
+            log('error', `${name} rejected`, { call: callCount, element, errorCode: lastError, diagnostic: lastDiagnostic, result: '""' });
+            return value;
+        }
+        console.log(`%c🔍 ${name} %c ${element} = %c${value || '(empty)'}`,
+            'background:#2196F3;color:#fff;padding:2px 5px;border-radius:3px;font-weight:bold',
+            'color:#333', 'color:#2196F3;font-weight:bold');
+        log('get', name, {
+            call: callCount,
+            element,
+            value: value || '(empty)',
+            found: cmiData[element] !== undefined,
+            errorCode: lastError
+        });
+        return value;
+    }
+
+    function setValue(element, value, version) {
+        callCount++;
+        activeVersion = version;
+        if (!allowCall('set', version)) return 'false';
+        element = String(element === undefined ? '' : element);
+        value = String(value);
+        const result = writeElement(element, value, version);
+        setError(result, version);
+        if (lastError !== '0') {
+            if (element === 'cmi.suspend_data' && result.error === 'type') {
+                suspendRejected++;
+                lastDiagnostic = `cmi.suspend_data is ${value.length} chars, limit is ${SUSPEND_DATA_LIMITS[version]}`;
+            }
+            console.warn(`SCORM ${version}: SetValue("${element}") rejected — ${lastError} ${ERROR_STRINGS[version][lastError]}: ${lastDiagnostic}`);
+            log('error', 'SetValue rejected', {
+                call: callCount,
+                element,
+                length: value.length,
+                errorCode: lastError,
+                diagnostic: lastDiagnostic,
+                result: 'false'
+            });
+            postStatus(cmiData);
+            return 'false';
+        }
+
+        const oldValue = cmiData[element];
+        cmiData[element] = value;
+        if (element === 'cmi.suspend_data') trackSuspendPeak(value.length);
+        saveCMI(cmiData);
+        postStatus(cmiData);
+        console.log(`%c✏️  LMSSetValue %c ${element} = %c${value}%c (was: ${oldValue !== undefined ? oldValue : '(not set)'})`,
+            'background:#FF9800;color:#fff;padding:2px 5px;border-radius:3px;font-weight:bold',
+            'color:#333', 'color:#FF9800;font-weight:bold', 'color:#999;font-size:.9em');
+        log('set', 'LMSSetValue', {
+            call: callCount,
+            element,
+            newValue: value,
+            oldValue: oldValue !== undefined ? oldValue : '(not set)',
+            result: 'true'
+        });
+        return 'true';
+    }
+
+    // Unknown codes get "" as both specs require
+    function errorString(code, version) {
+        callCount++;
+        const msg = ERROR_STRINGS[version][String(code)] || '';
+        log('error', 'GetErrorString', { call: callCount, scormVersion: version, code, message: msg });
+        return msg;
+    }
+
+    // Details of the last error (asked for with "" or its code), else the
+    // code's error string
+    function diagnostic(code, version) {
+        callCount++;
+        code = String(code === undefined ? '' : code);
+        const diag = code === '' || code === lastError ? lastDiagnostic : ERROR_STRINGS[version][code] || '';
+        log('info', version === '1.2' ? 'LMSGetDiagnostic' : 'GetDiagnostic', { call: callCount, code, diagnostic: diag });
+        return diag;
+    }
 
     // ── SCORM 1.2 API ────────────────────────────────────────────────────────
     const API = {
         LMSInitialize: function (param) {
-            callCount++;
-            initialized = true;
-            lastError = '0';
-            postStatus(cmiData);
-            log('init', 'LMSInitialize', {
-                call: callCount,
-                param: param || '""',
-                result: 'true',
-                restoredKeys: Object.keys(cmiData).length,
-                storageKey: STORAGE_KEY
-            });
-            return 'true';
+            return initialize(param, '1.2');
         },
 
         LMSFinish: function (param) {
-            callCount++;
-            saveCMI(cmiData);
-            postStatus(cmiData);
-            initialized = false;
-            log('finish', 'LMSFinish', {
-                call: callCount,
-                param: param || '""',
-                result: 'true',
-                savedKeys: Object.keys(cmiData).length,
-                lessonStatus: cmiData['cmi.core.lesson_status'] || '—',
-                score: cmiData['cmi.core.score.raw'] || '—',
-                location: cmiData['cmi.core.lesson_location'] || '—'
-            });
-            return 'true';
+            return finish(param, '1.2');
         },
 
         LMSGetValue: function (element) {
-            callCount++;
-            lastError = '0';
-            const value = cmiData[element] !== undefined ? String(cmiData[element]) : '';
-            console.log(`%c🔍 LMSGetValue %c ${element} = %c${value || '(empty)'}`,
-                'background:#2196F3;color:#fff;padding:2px 5px;border-radius:3px;font-weight:bold',
-                'color:#333', 'color:#2196F3;font-weight:bold');
-            log('get', 'LMSGetValue', {
-                call: callCount,
-                element,
-                value: value || '(empty)',
-                found: cmiData[element] !== undefined
-            });
-            return value;
+            return getValue(element, '1.2');
         },
 
         LMSSetValue: function (element, value) {
-            callCount++;
-            const oldValue = cmiData[element];
-            cmiData[element] = value;
-            saveCMI(cmiData);
-            postStatus(cmiData);
-            lastError = '0';
-            console.log(`%c✏️  LMSSetValue %c ${element} = %c${value}%c (was: ${oldValue !== undefined ? oldValue : '(not set)'})`,
-                'background:#FF9800;color:#fff;padding:2px 5px;border-radius:3px;font-weight:bold',
-                'color:#333', 'color:#FF9800;font-weight:bold', 'color:#999;font-size:.9em');
-            log('set', 'LMSSetValue', {
-                call: callCount,
-                element,
-                newValue: value,
-                oldValue: oldValue !== undefined ? oldValue : '(not set)',
-                result: 'true'
-            });
-            return 'true';
+            return setValue(element, value, '1.2');
         },
 
         LMSCommit: function (param) {
-            callCount++;
-            saveCMI(cmiData);
-            postStatus(cmiData);
-            lastError = '0';
-            log('commit', 'LMSCommit', {
-                call: callCount,
-                param: param || '""',
-                result: 'true',
-                committedKeys: Object.keys(cmiData).length,
-                snapshot: {
-                    lessonStatus: cmiData['cmi.core.lesson_status'] || '—',
-                    score: cmiData['cmi.core.score.raw'] || '—',
-                    location: cmiData['cmi.core.lesson_location'] || '—',
-                    suspendDataLen: (cmiData['cmi.suspend_data'] || '').length + ' chars'
-                }
-            });
-            return 'true';
+            return commit(param, '1.2');
         },
 
         LMSGetLastError: function () {
-            callCount++;
-            log('error', 'LMSGetLastError', { call: callCount, errorCode: lastError });
-            return lastError;
+            return getLastError('1.2');
         },
 
         LMSGetErrorString: function (code) {
-            callCount++;
-            const errors = { '0': 'No error', '101': 'General exception', '201': 'Invalid argument', '301': 'Not initialized' };
-            const msg = errors[code] || 'Unknown error';
-            log('error', 'LMSGetErrorString', { call: callCount, code, message: msg });
-            return msg;
+            return errorString(code, '1.2');
         },
 
         LMSGetDiagnostic: function (code) {
-            callCount++;
-            const diag = 'Diagnostic: ' + code;
-            log('info', 'LMSGetDiagnostic', { call: callCount, code, diagnostic: diag });
-            return diag;
+            return diagnostic(code, '1.2');
         }
     };
 
@@ -195,35 +750,37 @@
     const API_1484_11 = {
         Initialize: function (p) {
             log('init', 'API_1484_11.Initialize', { scormVersion: '2004', param: p || '""' });
-            return API.LMSInitialize(p);
+            return initialize(p, '2004');
         },
         Terminate: function (p) {
             log('finish', 'API_1484_11.Terminate', { scormVersion: '2004', param: p || '""' });
-            return API.LMSFinish(p);
+            return finish(p, '2004');
         },
         GetValue: function (e) {
             console.log(`%c🔍 GetValue (2004) %c ${e}`,
                 'background:#2196F3;color:#fff;padding:2px 5px;border-radius:3px;font-weight:bold', 'color:#333');
             log('get', 'API_1484_11.GetValue', { scormVersion: '2004', element: e });
-            return API.LMSGetValue(e);
+            return getValue(e, '2004');
         },
         SetValue: function (e, v) {
             console.log(`%c✏️  SetValue (2004) %c ${e} = %c${v}`,
                 'background:#FF9800;color:#fff;padding:2px 5px;border-radius:3px;font-weight:bold',
                 'color:#333', 'color:#FF9800;font-weight:bold');
             log('set', 'API_1484_11.SetValue', { scormVersion: '2004', element: e, value: v });
-            return API.LMSSetValue(e, v);
+            return setValue(e, v, '2004');
         },
         Commit: function (p) {
             log('commit', 'API_1484_11.Commit', { scormVersion: '2004', param: p || '""' });
-            return API.LMSCommit(p);
+            return commit(p, '2004');
         },
-        GetLastError: function () { return API.LMSGetLastError(); },
-        GetErrorString: function (c) { return API.LMSGetErrorString(c); },
-        GetDiagnostic: function (c) { return API.LMSGetDiagnostic(c); }
+        GetLastError: function () { return getLastError('2004'); },
+        GetErrorString: function (c) { return errorString(c, '2004'); },
+        GetDiagnostic: function (c) { return diagnostic(c, '2004'); }
     };
 
     // ── Expose on window ─────────────────────────────────────────────────────
+    Object.defineProperty(API, SHIM_MARKER, { value: STORAGE_KEY });
+    Object.defineProperty(API_1484_11, SHIM_MARKER, { value: STORAGE_KEY });
     window.API = API;
     window.API_1484_11 = API_1484_11;
 
@@ -284,12 +841,24 @@
         dumpLocalStorage('page unload / close');
     });
 
-    // Auto-initialize if content doesn't call LMSInitialize
+    // Player option (off by default, data-auto-initialize on the player's
+    // iframe): if content doesn't call LMSInitialize, both APIs run until the
+    // content initializes one itself. A real LMS would reject the calls of
+    // such content (301 / 122 / 132), so the status message flags it.
+    function autoInitializeEnabled() {
+        try {
+            return !!window.frameElement && window.frameElement.dataset.autoInitialize === 'true';
+        } catch (_) { return false; } // cross-origin parent
+    }
+
     window.addEventListener('load', function () {
-        if (!initialized) {
-            log('info', 'Auto-Initialize', { reason: 'content did not call LMSInitialize on load' });
-            API.LMSInitialize('');
-        }
+        if (state['1.2'] !== NOT_INITIALIZED || state['2004'] !== NOT_INITIALIZED) return;
+        if (!autoInitializeEnabled()) return;
+        autoInitialized = true;
+        state['1.2'] = state['2004'] = RUNNING;
+        console.warn('SCORM: content did not call LMSInitialize / Initialize by page load — auto-initialized; a real LMS would reject its calls');
+        log('info', 'Auto-Initialize', { reason: 'content did not call LMSInitialize / Initialize on load' });
+        postStatus(cmiData);
     });
 
     console.log(
@@ -0,0 +1,240 @@
+/**
+ * SCORM Package Launcher — loaded by the launch page of content packaged
+ * as SCORM (web pages, PDFs, videos)
+ * Shows the asset, bookmarks the learner's place in the LMS location
+ * element, keeps viewing progress in suspend_data and reports completion
+ * once the package's completion rule is met.
+ *
+ * The script tag carries the package settings:
+ *   <script src="scorm-package-launcher.js" data-scorm-version="1.2"
+ *           data-kind="html|pdf|video" data-rule="time|scroll|video"
+ *           data-seconds="60" data-percent="90"></script>
+ * and the asset element is <iframe|video id="scorm-asset" data-src="…">.
+ */
+(function () {
+    'use strict';
+
+    const script = document.currentScript;
+    const setting = name => (script && script.getAttribute('data-' + name)) || '';
+    const VERSION = setting('scorm-version') === '2004' ? '2004' : '1.2';
+    const KIND = setting('kind') || 'html';
+    const RULE = setting('rule') || 'time';
+    const REQUIRED_SECONDS = Math.max(0, Number(setting('seconds')) || 0);
+    const REQUIRED_RATIO = Math.min(100, Math.max(1, Number(setting('percent')) || 100)) / 100;
+
+    const API_NAME = VERSION === '1.2' ? 'API' : 'API_1484_11';
+    const CALLS = {
+        '1.2': { init: 'LMSInitialize', finish: 'LMSFinish', get: 'LMSGetValue', set: 'LMSSetValue', commit: 'LMSCommit' },
+        '2004': { init: 'Initialize', finish: 'Terminate', get: 'GetValue', set: 'SetValue', commit: 'Commit' }
+    }[VERSION];
+    const ELEMENTS = {
+        '1.2': { location: 'cmi.core.lesson_location', suspendData: 'cmi.suspend_data', sessionTime: 'cmi.core.session_time', exit: 'cmi.core.exit' },
+        '2004': { location: 'cmi.location', suspendData: 'cmi.suspend_data', sessionTime: 'cmi.session_time', exit: 'cmi.exit' }
+    }[VERSION];
+    const SAVE_EVERY_SECONDS = 10;
+    const MAX_LOCATION = VERSION === '1.2' ? 255 : 1000;
+
+    // ── LMS API ──────────────────────────────────────────────────────────────
+    function findApi(win) {
+        for (let depth = 0; win && depth < 10; depth++) {
+            try {
+                if (win[API_NAME]) return win[API_NAME];
+            } catch (_) { return null; } // cross-origin frame
+            if (!win.parent || win.parent === win) break;
+            win = win.parent;
+        }
+        return null;
+    }
+
+    const api = findApi(window) || (window.opener && findApi(window.opener));
+    const call = (name, ...args) => {
+        if (!api) return '';
+        try { return String(api[CALLS[name]](...args)); } catch (_) { return ''; }
+    };
+    const get = element => call('get', element);
+    const set = (element, value) => call('set', element, String(value));
+
+    // ── Saved state ──────────────────────────────────────────────────────────
+    // suspend_data: { t: seconds viewed, w: "from-to,…" video seconds
+    // watched, s: furthest scroll (0–1) }
+    let state = { t: 0, w: '', s: 0 };
+    let completed = false;
+    let started = false;
+    let finished = false;
+    const sessionStart = Date.now();
+    const watched = new Set();
+
+    function loadState() {
+        try { state = Object.assign(state, JSON.parse(get(ELEMENTS.suspendData) || '{}')); } catch (_) { }
+        String(state.w || '').split(',').filter(Boolean).forEach(range => {
+            const [from, to] = range.split('-').map(Number);
+            if (!isNaN(from)) for (let s = from; s <= (isNaN(to) ? from : to); s++) watched.add(s);
+        });
+    }
+
+    function watchedRanges() {
+        const seconds = [...watched].sort((a, b) => a - b);
+        const ranges = [];
+        seconds.forEach(s => {
+            const last = ranges[ranges.length - 1];
+            if (last && s === last[1] + 1) last[1] = s;
+            else ranges.push([s, s]);
+        });
+        return ranges.map(([from, to]) => from === to ? String(from) : `${from}-${to}`).join(',');
+    }
+
+    // ── Completion ───────────────────────────────────────────────────────────
+    function readStatus() {
+        if (VERSION === '1.2') {
+            const status = get('cmi.core.lesson_status');
+            completed = status === 'completed' || status === 'passed';
+            if (!completed && (status === 'not attempted' || status === '')) set('cmi.core.lesson_status', 'incomplete');
+        } else {
+            completed = get('cmi.completion_status') === 'completed';
+            if (!completed) set('cmi.completion_status', 'incomplete');
+        }
+    }
+
+    const video = () => KIND === 'video' ? document.getElementById('scorm-asset') : null;
+
+    function progress() {
+        if (RULE === 'time') return REQUIRED_SECONDS ? Math.min(1, state.t / REQUIRED_SECONDS) : 1;
+        if (RULE === 'scroll') return Math.min(1, state.s || 0);
+        const el = video();
+        const total = el && isFinite(el.duration) ? Math.ceil(el.duration) : 0;
+        return total ? Math.min(1, watched.size / total / REQUIRED_RATIO) : 0;
+    }
+
+    function checkCompletion() {
+        if (completed || progress() < 1) return;
+        completed = true;
+        if (VERSION === '1.2') set('cmi.core.lesson_status', 'completed');
+        else set('cmi.completion_status', 'completed');
+        save();
+    }
+
+    // ── Bookmark ─────────────────────────────────────────────────────────────
+    // Web pages: "<page>@<scroll 0–1>"; videos: the second to resume at
+    let bookmark = '';
+
+    function save() {
+        if (!started || finished) return;
+        if (KIND === 'video') state.w = watchedRanges();
+        if (bookmark && bookmark.length <= MAX_LOCATION) set(ELEMENTS.location, bookmark);
+        set(ELEMENTS.suspendData, JSON.stringify(state));
+        if (VERSION === '2004') set('cmi.progress_measure', completed ? 1 : Math.floor(progress() * 100) / 100);
+        call('commit', '');
+    }
+
+    function finish() {
+        if (!started || finished) return;
+        save();
+        const seconds = Math.round((Date.now() - sessionStart) / 1000);
+        set(ELEMENTS.sessionTime, VERSION === '1.2' ? timespan(seconds) : duration(seconds));
+        set(ELEMENTS.exit, completed ? (VERSION === '1.2' ? '' : 'normal') : 'suspend');
+        call('commit', '');
+        call('finish', '');
+        finished = true;
+    }
+
+    function timespan(seconds) {
+        const pad = (n, size) => String(n).padStart(size, '0');
+        return `${pad(Math.floor(seconds / 3600), 4)}:${pad(Math.floor(seconds / 60) % 60, 2)}:${pad(seconds % 60, 2)}`;
+    }
+
+    function duration(seconds) {
+        const h = Math.floor(seconds / 3600), m = Math.floor(seconds / 60) % 60, s = seconds % 60;
+        return 'PT' + (h ? h + 'H' : '') + (m ? m + 'M' : '') + (s || (!h && !m) ? s + 'S' : '');
+    }
+
+    // ── Web pages ────────────────────────────────────────────────────────────
+    // Same-origin pages only: the bookmark names a page below the launch
+    // page's folder, never another site
+    function trackPages(frame, startPage) {
+        const saved = get(ELEMENTS.location).match(/^([^@]+)@([\d.]+)$/);
+        const resumePage = saved && !/^[a-z]+:|^\/|\.\./i.test(saved[1]) ? saved[1] : null;
+        let restoreScroll = resumePage ? Number(saved[2]) : null;
+        const base = location.href.replace(/[^/]*([?#].*)?$/, '');
+
+        frame.addEventListener('load', () => {
+            let win, doc;
+            try {
+                win = frame.contentWindow;
+                doc = win.document;
+                if (!doc || !win.location.href.startsWith(base)) return;
+            } catch (_) { return; } // left the package
+            const page = decodeURI(win.location.pathname.slice(new URL(base).pathname.length));
+            const scroller = doc.scrollingElement || doc.documentElement;
+            const ratio = () => {
+                const room = scroller.scrollHeight - win.innerHeight;
+                return room > 2 ? Math.min(1, scroller.scrollTop / room) : 1;
+            };
+            const update = () => {
+                const r = ratio();
+                bookmark = `${page}@${Math.round(r * 1000) / 1000}`;
+                if (r > (state.s || 0)) state.s = r;
+                checkCompletion();
+            };
+            if (restoreScroll !== null) {
+                scroller.scrollTop = restoreScroll * (scroller.scrollHeight - win.innerHeight);
+                restoreScroll = null;
+            }
+            update();
+            win.addEventListener('scroll', update, { passive: true });
+        });
+        frame.src = resumePage || startPage;
+    }
+
+    // ── Video ────────────────────────────────────────────────────────────────
+    function trackVideo(el, src) {
+        const resumeAt = Number(get(ELEMENTS.location)) || 0;
+        el.addEventListener('loadedmetadata', () => {
+            if (resumeAt > 0 && resumeAt < el.duration - 1) el.currentTime = resumeAt;
+        });
+        // Only seconds actually played count, not ones skipped by seeking
+        el.addEventListener('timeupdate', () => {
+            if (el.paused || el.seeking) return;
+            watched.add(Math.floor(el.currentTime));
+            bookmark = String(Math.floor(el.currentTime));
+            checkCompletion();
+        });
+        el.addEventListener('ended', () => { bookmark = '0'; save(); });
+        el.addEventListener('pause', save);
+        el.src = src;
+    }
+
+    // ── Start ────────────────────────────────────────────────────────────────
+    function start() {
+        if (api) {
+            started = call('init', '') === 'true';
+            if (!started) console.warn('[SCORM Package] LMS initialization failed — progress will not be saved');
+        } else {
+            console.warn(`[SCORM Package] No ${API_NAME} found — progress will not be saved`);
+        }
+        if (started) {
+            loadState();
+            readStatus();
+        }
+
+        const asset = document.getElementById('scorm-asset');
+        const src = asset.getAttribute('data-src');
+        if (KIND === 'video') trackVideo(asset, src);
+        else if (KIND === 'html') trackPages(asset, src);
+        else asset.src = src;
+
+        // Viewing time counts while the page is visible
+        let tick = 0;
+        setInterval(() => {
+            if (document.visibilityState !== 'visible') return;
+            state.t++;
+            checkCompletion();
+            if (++tick % SAVE_EVERY_SECONDS === 0) save();
+        }, 1000);
+        if (RULE === 'time') checkCompletion();
+    }
+
+    window.addEventListener('pagehide', finish);
+    window.addEventListener('beforeunload', finish);
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+    else start();
+})();
@@ -0,0 +1,480 @@
+/**
+ * SCORM Runtime Adapter — added to launch pages by version conversion
+ * Lets SCORM 1.2 content run on a SCORM 2004 LMS and SCORM 2004 content
+ * on a SCORM 1.2 LMS: the page gets the API object its content looks for,
+ * and every call is translated to the data model of the API the LMS offers.
+ *
+ * The script tag names the version the content itself speaks:
+ *   <script src="scorm-runtime-adapter.js" data-content-version="1.2"></script>
+ */
+(function () {
+    'use strict';
+
+    const script = document.currentScript;
+    const CONTENT_VERSION = script && script.getAttribute('data-content-version') === '2004' ? '2004' : '1.2';
+    const CONTENT_API = CONTENT_VERSION === '1.2' ? 'API' : 'API_1484_11';
+    const LMS_API = CONTENT_VERSION === '1.2' ? 'API_1484_11' : 'API';
+
+    // An API of the content's own version in this very window (the local
+    // player shim) needs no adapting
+    if (window[CONTENT_API]) return;
+
+    // ── Error codes ──────────────────────────────────────────────────────────
+    const ERROR_STRINGS = {
+        '1.2': {
+            '0': 'No error', '101': 'General exception', '201': 'Invalid argument error',
+            '202': 'Element cannot have children', '203': 'Element not an array - cannot have count',
+            '301': 'Not initialized', '401': 'Not implemented error', '402': 'Invalid set value, element is a keyword',
+            '403': 'Element is read only', '404': 'Element is write only', '405': 'Incorrect Data Type'
+        },
+        '2004': {
+            '0': 'No Error', '101': 'General Exception', '102': 'General Initialization Failure',
+            '103': 'Already Initialized', '104': 'Content Instance Terminated', '111': 'General Termination Failure',
+            '112': 'Termination Before Initialization', '113': 'Termination After Termination',
+            '122': 'Retrieve Data Before Initialization', '123': 'Retrieve Data After Termination',
+            '132': 'Store Data Before Initialization', '133': 'Store Data After Termination',
+            '142': 'Commit Before Initialization', '143': 'Commit After Termination',
+            '201': 'General Argument Error', '301': 'General Get Failure', '351': 'General Set Failure',
+            '391': 'General Commit Failure', '401': 'Undefined Data Model Element',
+            '402': 'Unimplemented Data Model Element', '403': 'Data Model Element Value Not Initialized',
+            '404': 'Data Model Element Is Read Only', '405': 'Data Model Element Is Write Only',
+            '406': 'Data Model Element Type Mismatch', '407': 'Data Model Element Value Out Of Range',
+            '408': 'Data Model Dependency Not Established'
+        }
+    };
+
+    // LMS error code → the content's error code
+    const ERRORS_FROM_2004 = {
+        '0': '0', '101': '101', '102': '101', '103': '101', '104': '101', '111': '101', '112': '301', '113': '101',
+        '122': '301', '123': '101', '132': '301', '133': '101', '142': '301', '143': '101',
+        '201': '201', '301': '101', '351': '101', '391': '101', '401': '201', '402': '401',
+        '403': '0', '404': '403', '405': '404', '406': '405', '407': '405', '408': '201'
+    };
+    const ERRORS_FROM_12 = { '0': '0', '101': '101', '201': '201', '202': '401', '203': '401', '401': '402', '402': '404', '403': '404', '404': '405', '405': '406' };
+    // 2004 tells "not initialized" apart by call
+    const NOT_INITIALIZED_2004 = { init: '101', finish: '112', get: '122', set: '132', commit: '142' };
+
+    const TYPE_MISMATCH = CONTENT_VERSION === '1.2' ? '405' : '406';
+
+    // ── LMS API ──────────────────────────────────────────────────────────────
+    const LMS_METHODS = {
+        API: { init: 'LMSInitialize', finish: 'LMSFinish', get: 'LMSGetValue', set: 'LMSSetValue', commit: 'LMSCommit', error: 'LMSGetLastError' },
+        API_1484_11: { init: 'Initialize', finish: 'Terminate', get: 'GetValue', set: 'SetValue', commit: 'Commit', error: 'GetLastError' }
+    };
+
+    function findApi(win) {
+        for (let depth = 0; win && depth < 10; depth++) {
+            try {
+                if (win[LMS_API]) return win[LMS_API];
+            } catch (_) { return null; } // cross-origin frame
+            if (!win.parent || win.parent === win) break;
+            win = win.parent;
+        }
+        return null;
+    }
+
+    let lms = null;
+    let lastError = '0';
+    let initialized = false;
+    const local = {};   // elements with no counterpart on the LMS side
+
+    function lmsCall(call, ...args) {
+        const result = String(lms[LMS_METHODS[LMS_API][call]](...args));
+        const code = String(lms[LMS_METHODS[LMS_API].error]());
+        if (CONTENT_VERSION === '1.2') lastError = ERRORS_FROM_2004[code] || '101';
+        else lastError = code === '301' ? NOT_INITIALIZED_2004[call] : (ERRORS_FROM_12[code] || '101');
+        return result;
+    }
+    function lmsGet(element) {
+        const value = lmsCall('get', element);
+        return lastError === '0' ? value : '';
+    }
+    function lmsSet(element, value) {
+        return lmsCall('set', element, String(value)) === 'true';
+    }
+    function fail(code) {
+        lastError = code;
+        return code === '0';
+    }
+
+    // ── Value conversions ────────────────────────────────────────────────────
+    // CMITimespan "HHHH:MM:SS.SS" (1.2) ↔ ISO 8601 duration (2004)
+    function timespanToDuration(value) {
+        const m = /^(\d{2,4}):(\d{2}):(\d{2})(\.\d{1,2})?$/.exec(String(value).trim());
+        if (!m) return null;
+        const seconds = +m[3] + (m[4] ? parseFloat(m[4]) : 0);
+        return 'PT' + (+m[1] ? `${+m[1]}H` : '') + (+m[2] ? `${+m[2]}M` : '') + (seconds || !(+m[1] || +m[2]) ? `${seconds}S` : '');
+    }
+    function durationToTimespan(value) {
+        const m = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(value).trim());
+        if (!m || /^PT?$/.test(String(value).trim())) return null;
+        const n = i => parseFloat(m[i] || 0);
+        // Round the total to hundredths before splitting it, so a fraction never
+        // carries into a "60" seconds or minutes field; capped at 9999:59:59.99
+        const total = Math.min(Math.round((((n(1) * 365 + n(2) * 30 + n(3)) * 24 + n(4)) * 3600 + n(5) * 60 + n(6)) * 100), 9999 * 360000 + 359999);
+        const hours = Math.floor(total / 360000);
+        const minutes = Math.floor(total / 6000) % 60;
+        const hundredths = total % 6000;
+        const seconds = String(Math.floor(hundredths / 100)).padStart(2, '0') + (hundredths % 100 ? '.' + String(hundredths % 100).padStart(2, '0') : '');
+        return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${seconds}`;
+    }
+    // CMITime "HH:MM:SS" (1.2 interaction time) ↔ timestamp (2004)
+    function timeToTimestamp(value) {
+        return /^\d{2}:\d{2}:\d{2}(\.\d{1,2})?$/.test(value) ? `${new Date().toISOString().slice(0, 10)}T${value}` : null;
+    }
+    function timestampToTime(value) {
+        const m = /T(\d{2}:\d{2}:\d{2})/.exec(value);
+        return m ? m[1] : null;
+    }
+
+    // lesson_status (1.2) ↔ completion_status + success_status (2004)
+    function statusFromParts(completion, success) {
+        if (success === 'passed' || success === 'failed') return success;
+        if (completion === 'completed' || completion === 'incomplete') return completion;
+        return 'not attempted';
+    }
+    const STATUS_PARTS = {
+        passed: { completion: 'completed', success: 'passed' },
+        failed: { completion: 'completed', success: 'failed' },
+        completed: { completion: 'completed' },
+        browsed: { completion: 'completed' },
+        incomplete: { completion: 'incomplete' },
+        'not attempted': { completion: 'not attempted' }
+    };
+
+    function scaledFrom(raw, min, max) {
+        const r = parseFloat(raw);
+        const lo = min === '' || isNaN(parseFloat(min)) ? 0 : parseFloat(min);
+        const hi = max === '' || isNaN(parseFloat(max)) ? 100 : parseFloat(max);
+        if (isNaN(r) || hi <= lo) return null;
+        return Math.max(-1, Math.min(1, Math.round((r - lo) / (hi - lo) * 10000) / 10000));
+    }
+
+    // ── Data model: 1.2 content on a 2004 LMS ────────────────────────────────
+    // Each rule maps a content element (regex) to get/set against the LMS;
+    // `$1` in a target is the array index from the content element.
+    function alias(re, target, fromLms, toLms) {
+        const name = m => target.replace('$1', m[1]).replace('$2', m[2]);
+        return {
+            re,
+            get: m => {
+                const value = lmsGet(name(m));
+                if (!fromLms || lastError !== '0') return value;
+                const converted = fromLms(value);
+                return converted === null ? value : converted;
+            },
+            set: (m, value) => {
+                const converted = toLms ? toLms(value) : value;
+                return converted === null ? fail(TYPE_MISMATCH) : lmsSet(name(m), converted);
+            }
+        };
+    }
+    function fixed(re, value) {
+        return { re, get: () => { fail('0'); return value; } };
+    }
+
+    let exitSet = false;
+    let resumeWritten = false;
+
+    // 1.2 score.raw on a 0–100 scale also feeds 2004 score.scaled
+    function setScore12(prefix, part, value) {
+        if (!lmsSet(`${prefix}score.${part}`, value)) return false;
+        const raw = part === 'raw' ? value : lmsGet(`${prefix}score.raw`);
+        if (raw === '') return fail('0');
+        const scaled = scaledFrom(raw, part === 'min' ? value : lmsGet(`${prefix}score.min`), part === 'max' ? value : lmsGet(`${prefix}score.max`));
+        if (scaled !== null) lmsSet(`${prefix}score.scaled`, scaled);
+        return fail('0');
+    }
+    function getStatus12(prefix) {
+        const success = lmsGet(`${prefix}success_status`);
+        const completion = lmsGet(`${prefix}completion_status`);
+        fail('0');
+        return statusFromParts(completion, success);
+    }
+    function setStatus12(prefix, value) {
+        const parts = STATUS_PARTS[value];
+        if (!parts) return fail(TYPE_MISMATCH);
+        if (!lmsSet(`${prefix}completion_status`, parts.completion)) return false;
+        return parts.success ? lmsSet(`${prefix}success_status`, parts.success) : true;
+    }
+
+    const RULES_12_ON_2004 = [
+        fixed(/^cmi\._version$/, '3.4'),
+        fixed(/^cmi\.core\._children$/, 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time'),
+        fixed(/^cmi\.core\.score\._children$/, 'raw,min,max'),
+        fixed(/^cmi\.objectives\._children$/, 'id,score,status'),
+        fixed(/^cmi\.student_data\._children$/, 'mastery_score,max_time_allowed,time_limit_action'),
+        fixed(/^cmi\.student_preference\._children$/, 'audio,language,speed,text'),
+        fixed(/^cmi\.interactions\._children$/, 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency'),
+        alias(/^cmi\.core\.student_id$/, 'cmi.learner_id'),
+        alias(/^cmi\.core\.student_name$/, 'cmi.learner_name'),
+        alias(/^cmi\.core\.credit$/, 'cmi.credit'),
+        alias(/^cmi\.core\.entry$/, 'cmi.entry'),
+        alias(/^cmi\.core\.lesson_mode$/, 'cmi.mode'),
+        alias(/^cmi\.core\.total_time$/, 'cmi.total_time', durationToTimespan),
+        alias(/^cmi\.core\.session_time$/, 'cmi.session_time', null, timespanToDuration),
+        {
+            re: /^cmi\.core\.lesson_location$/,
+            get: () => lmsGet('cmi.location'),
+            set: (m, value) => { resumeWritten = true; return lmsSet('cmi.location', value); }
+        },
+        {
+            re: /^cmi\.suspend_data$/,
+            get: () => lmsGet('cmi.suspend_data'),
+            set: (m, value) => { resumeWritten = true; return lmsSet('cmi.suspend_data', value); }
+        },
+        {
+            re: /^cmi\.core\.exit$/,
+            set: (m, value) => {
+                exitSet = true;
+                return lmsSet('cmi.exit', value === 'logout' ? 'normal' : value);
+            }
+        },
+        { re: /^cmi\.core\.lesson_status$/, get: () => getStatus12('cmi.'), set: (m, value) => setStatus12('cmi.', value) },
+        { re: /^cmi\.core\.score\.(raw|min|max)$/, get: m => lmsGet(`cmi.score.${m[1]}`), set: (m, value) => setScore12('cmi.', m[1], value) },
+        alias(/^cmi\.student_data\.mastery_score$/, 'cmi.scaled_passing_score', v => v === '' ? null : String(Math.round(parseFloat(v) * 100))),
+        alias(/^cmi\.student_data\.max_time_allowed$/, 'cmi.max_time_allowed', durationToTimespan),
+        alias(/^cmi\.student_data\.time_limit_action$/, 'cmi.time_limit_action'),
+        // audio: -1 off, 0 no change, 1–100 volume ↔ audio_level multiplier (1 = as authored)
+        alias(/^cmi\.student_preference\.audio$/, 'cmi.learner_preference.audio_level',
+            v => { const n = parseFloat(v); return isNaN(n) ? null : n === 0 ? '-1' : String(Math.min(100, Math.round(n * 100))); },
+            v => { const n = parseInt(v, 10); return isNaN(n) ? null : n === -1 ? '0' : n === 0 ? '1' : String(n / 100); }),
+        alias(/^cmi\.student_preference\.language$/, 'cmi.learner_preference.language'),
+        // speed: -100…100 ↔ delivery_speed multiplier (1 = as authored)
+        alias(/^cmi\.student_preference\.speed$/, 'cmi.learner_preference.delivery_speed',
+            v => { const n = parseFloat(v); return isNaN(n) ? null : String(Math.max(-100, Math.min(100, Math.round((n - 1) * 100)))); },
+            v => { const n = parseInt(v, 10); return isNaN(n) ? null : String(Math.max(0, 1 + n / 100)); }),
+        alias(/^cmi\.student_preference\.text$/, 'cmi.learner_preference.audio_captioning'),
+        {
+            re: /^cmi\.comments$/,
+            get: () => {
+                const count = parseInt(lmsGet('cmi.comments_from_learner._count'), 10) || 0;
+                const comments = [];
+                for (let i = 0; i < count; i++) comments.push(lmsGet(`cmi.comments_from_learner.${i}.comment`));
+                fail('0');
+                return comments.join('');
+            },
+            set: (m, value) => {
+                const count = parseInt(lmsGet('cmi.comments_from_learner._count'), 10) || 0;
+                return lmsSet(`cmi.comments_from_learner.${count}.comment`, value);
+            }
+        },
+        {
+            re: /^cmi\.comments_from_lms$/,
+            get: () => {
+                const count = parseInt(lmsGet('cmi.comments_from_lms._count'), 10) || 0;
+                const comments = [];
+                for (let i = 0; i < count; i++) comments.push(lmsGet(`cmi.comments_from_lms.${i}.comment`));
+                fail('0');
+                return comments.join('\n');
+            }
+        },
+        { re: /^cmi\.objectives\.(\d+)\.status$/, get: m => getStatus12(`cmi.objectives.${m[1]}.`), set: (m, value) => setStatus12(`cmi.objectives.${m[1]}.`, value) },
+        { re: /^cmi\.objectives\.(\d+)\.score\.(raw|min|max)$/, get: m => lmsGet(`cmi.objectives.${m[1]}.score.${m[2]}`), set: (m, value) => setScore12(`cmi.objectives.${m[1]}.`, m[2], value) },
+        alias(/^cmi\.interactions\.(\d+)\.time$/, 'cmi.interactions.$1.timestamp', timestampToTime, timeToTimestamp),
+        alias(/^cmi\.interactions\.(\d+)\.student_response$/, 'cmi.interactions.$1.learner_response'),
+        alias(/^cmi\.interactions\.(\d+)\.result$/, 'cmi.interactions.$1.result', v => v === 'incorrect' ? 'wrong' : v, v => v === 'wrong' ? 'incorrect' : v),
+        alias(/^cmi\.interactions\.(\d+)\.latency$/, 'cmi.interactions.$1.latency', durationToTimespan, timespanToDuration)
+    ];
+
+    // ── Data model: 2004 content on a 1.2 LMS ────────────────────────────────
+    // completion_status and success_status fold into one lesson_status, so
+    // the content's last values are remembered per prefix
+    const statusParts = {};
+
+    function getStatusPart(prefix, part) {
+        const status = lmsGet(prefix === 'cmi.' ? 'cmi.core.lesson_status' : `${prefix}status`);
+        const remembered = statusParts[prefix] && statusParts[prefix][part];
+        fail('0');
+        if (remembered) return remembered;
+        if (part === 'success') return status === 'passed' || status === 'failed' ? status : 'unknown';
+        if (status === 'passed' || status === 'failed' || status === 'browsed') return 'completed';
+        return status === 'incomplete' || status === 'completed' ? status : (status ? 'not attempted' : 'unknown');
+    }
+    function setStatusPart(prefix, part, value) {
+        const allowed = part === 'success' ? ['passed', 'failed', 'unknown'] : ['completed', 'incomplete', 'not attempted', 'unknown'];
+        if (!allowed.includes(value)) return fail(TYPE_MISMATCH);
+        statusParts[prefix] = { ...statusParts[prefix], [part]: value };
+        const status = statusFromParts(getStatusPart(prefix, 'completion'), getStatusPart(prefix, 'success'));
+        // A SCO may not set "not attempted" in 1.2 — nothing to report yet
+        if (status === 'not attempted') return fail('0');
+        return lmsSet(prefix === 'cmi.' ? 'cmi.core.lesson_status' : `${prefix}status`, status);
+    }
+    function getScaled12(prefix) {
+        const raw = lmsGet(`${prefix}raw`);
+        if (raw === '') { fail('403'); return ''; }
+        const scaled = scaledFrom(raw, lmsGet(`${prefix}min`), lmsGet(`${prefix}max`));
+        fail('0');
+        return scaled === null ? '' : String(scaled);
+    }
+    // score.scaled alone becomes raw on a 0–100 scale
+    function setScaled12(prefix, value) {
+        const scaled = parseFloat(value);
+        if (isNaN(scaled) || scaled < -1 || scaled > 1) return fail(TYPE_MISMATCH);
+        local[`${prefix}scaled`] = value;
+        if (lmsGet(`${prefix}raw`) !== '' && !local[`${prefix}raw-from-scaled`]) return fail('0');
+        local[`${prefix}raw-from-scaled`] = true;
+        return lmsSet(`${prefix}min`, '0') && lmsSet(`${prefix}max`, '100') && lmsSet(`${prefix}raw`, String(Math.max(0, Math.round(scaled * 10000) / 100)));
+    }
+    function localOnly(re, initial) {
+        return {
+            re,
+            get: m => {
+                if (m[0] in local) { fail('0'); return local[m[0]]; }
+                if (initial !== undefined) { fail('0'); return initial; }
+                fail('403');
+                return '';
+            },
+            set: (m, value) => { local[m[0]] = String(value); return fail('0'); }
+        };
+    }
+
+    const learnerComments = [];
+
+    const RULES_2004_ON_12 = [
+        fixed(/^cmi\._version$/, '1.0'),
+        fixed(/^cmi\.score\._children$/, 'scaled,raw,min,max'),
+        fixed(/^cmi\.learner_preference\._children$/, 'audio_level,language,delivery_speed,audio_captioning'),
+        alias(/^cmi\.learner_id$/, 'cmi.core.student_id'),
+        alias(/^cmi\.learner_name$/, 'cmi.core.student_name'),
+        alias(/^cmi\.credit$/, 'cmi.core.credit'),
+        alias(/^cmi\.entry$/, 'cmi.core.entry'),
+        alias(/^cmi\.mode$/, 'cmi.core.lesson_mode'),
+        alias(/^cmi\.location$/, 'cmi.core.lesson_location'),
+        alias(/^cmi\.exit$/, 'cmi.core.exit', null, v => v === 'normal' ? '' : v),
+        alias(/^cmi\.total_time$/, 'cmi.core.total_time', timespanToDuration),
+        alias(/^cmi\.session_time$/, 'cmi.core.session_time', null, durationToTimespan),
+        { re: /^cmi\.completion_status$/, get: () => getStatusPart('cmi.', 'completion'), set: (m, value) => setStatusPart('cmi.', 'completion', value) },
+        { re: /^cmi\.success_status$/, get: () => getStatusPart('cmi.', 'success'), set: (m, value) => setStatusPart('cmi.', 'success', value) },
+        alias(/^cmi\.score\.(raw|min|max)$/, 'cmi.core.score.$1'),
+        { re: /^cmi\.score\.scaled$/, get: () => getScaled12('cmi.core.score.'), set: (m, value) => setScaled12('cmi.core.score.', value) },
+        alias(/^cmi\.scaled_passing_score$/, 'cmi.student_data.mastery_score', v => v === '' ? null : String(parseFloat(v) / 100)),
+        alias(/^cmi\.max_time_allowed$/, 'cmi.student_data.max_time_allowed', timespanToDuration),
+        alias(/^cmi\.time_limit_action$/, 'cmi.student_data.time_limit_action'),
+        alias(/^cmi\.learner_preference\.audio_level$/, 'cmi.student_preference.audio',
+            v => { const n = parseInt(v, 10); return isNaN(n) ? null : n === -1 ? '0' : n === 0 ? '1' : String(n / 100); },
+            v => { const n = parseFloat(v); return isNaN(n) ? null : n === 0 ? '-1' : String(Math.min(100, Math.round(n * 100))); }),
+        alias(/^cmi\.learner_preference\.language$/, 'cmi.student_preference.language'),
+        alias(/^cmi\.learner_preference\.delivery_speed$/, 'cmi.student_preference.speed',
+            v => { const n = parseInt(v, 10); return isNaN(n) ? null : String(Math.max(0, 1 + n / 100)); },
+            v => { const n = parseFloat(v); return isNaN(n) ? null : String(Math.max(-100, Math.min(100, Math.round((n - 1) * 100)))); }),
+        alias(/^cmi\.learner_preference\.audio_captioning$/, 'cmi.student_preference.text'),
+        // 1.2 has one cmi.comments string the LMS appends to
+        { re: /^cmi\.comments_from_learner\._count$/, get: () => { fail('0'); return String(learnerComments.length); } },
+        {
+            re: /^cmi\.comments_from_learner\.(\d+)\.comment$/,
+            get: m => m[1] in learnerComments ? (fail('0'), learnerComments[m[1]]) : (fail('403'), ''),
+            set: (m, value) => {
+                if (+m[1] > learnerComments.length) return fail('351');
+                learnerComments[m[1]] = String(value);
+                return lmsSet('cmi.comments', value);
+            }
+        },
+        { re: /^cmi\.comments_from_lms\._count$/, get: () => { const c = lmsGet('cmi.comments_from_lms'); fail('0'); return c ? '1' : '0'; } },
+        alias(/^cmi\.comments_from_lms\.0\.comment$/, 'cmi.comments_from_lms'),
+        { re: /^cmi\.objectives\.(\d+)\.completion_status$/, get: m => getStatusPart(`cmi.objectives.${m[1]}.`, 'completion'), set: (m, value) => setStatusPart(`cmi.objectives.${m[1]}.`, 'completion', value) },
+        { re: /^cmi\.objectives\.(\d+)\.success_status$/, get: m => getStatusPart(`cmi.objectives.${m[1]}.`, 'success'), set: (m, value) => setStatusPart(`cmi.objectives.${m[1]}.`, 'success', value) },
+        { re: /^cmi\.objectives\.(\d+)\.score\.scaled$/, get: m => getScaled12(`cmi.objectives.${m[1]}.score.`), set: (m, value) => setScaled12(`cmi.objectives.${m[1]}.score.`, value) },
+        alias(/^cmi\.interactions\.(\d+)\.timestamp$/, 'cmi.interactions.$1.time', timeToTimestamp, timestampToTime),
+        alias(/^cmi\.interactions\.(\d+)\.learner_response$/, 'cmi.interactions.$1.student_response'),
+        alias(/^cmi\.interactions\.(\d+)\.result$/, 'cmi.interactions.$1.result', v => v === 'wrong' ? 'incorrect' : v, v => v === 'incorrect' ? 'wrong' : v),
+        alias(/^cmi\.interactions\.(\d+)\.type$/, 'cmi.interactions.$1.type', null, v => v === 'long-fill-in' ? 'fill-in' : v === 'other' ? 'performance' : v),
+        alias(/^cmi\.interactions\.(\d+)\.latency$/, 'cmi.interactions.$1.latency', timespanToDuration, durationToTimespan),
+        // No 1.2 counterpart: kept for this session only
+        localOnly(/^cmi\.progress_measure$/),
+        localOnly(/^cmi\.completion_threshold$/),
+        localOnly(/^cmi\.comments_from_learner\.\d+\.(?:location|timestamp)$/),
+        localOnly(/^cmi\.objectives\.\d+\.(?:description|progress_measure)$/),
+        localOnly(/^cmi\.interactions\.\d+\.description$/),
+        localOnly(/^adl\.nav\.request$/, '_none_'),
+        fixed(/^adl\.nav\.request_valid\./, 'unknown')
+    ];
+
+    const RULES = CONTENT_VERSION === '1.2' ? RULES_12_ON_2004 : RULES_2004_ON_12;
+
+    function ruleFor(element) {
+        for (const rule of RULES) {
+            const m = rule.re.exec(element);
+            if (m) return { rule, m };
+        }
+        return null;
+    }
+
+    // ── Adapted calls ────────────────────────────────────────────────────────
+    function initialize(param) {
+        lms = lms || findApi(window) || (window.opener ? findApi(window.opener) : null);
+        if (!lms) {
+            console.warn(`[SCORM adapter] No ${LMS_API} found — SCORM ${CONTENT_VERSION} content can't reach the LMS`);
+            return String(fail('101'));
+        }
+        const ok = lmsCall('init', param === undefined ? '' : param) === 'true';
+        initialized = ok;
+        return String(ok);
+    }
+
+    function finish(param) {
+        if (!initialized) return String(fail(CONTENT_VERSION === '1.2' ? '301' : '112'));
+        // A 1.2 LMS keeps suspend_data whatever cmi.core.exit says; a 2004
+        // LMS ends the attempt on a normal exit. Content that saved resume
+        // data but never set an exit value is suspended so it can resume.
+        if (CONTENT_VERSION === '1.2' && resumeWritten && !exitSet && lmsGet('cmi.completion_status') !== 'completed') {
+            lmsSet('cmi.exit', 'suspend');
+        }
+        const ok = lmsCall('finish', param === undefined ? '' : param) === 'true';
+        if (ok) initialized = false;
+        return String(ok);
+    }
+
+    function getValue(element) {
+        if (!initialized) { fail(CONTENT_VERSION === '1.2' ? '301' : '122'); return ''; }
+        element = String(element);
+        const found = ruleFor(element);
+        if (!found) return lmsGet(element);
+        if (!found.rule.get) { fail(CONTENT_VERSION === '1.2' ? '404' : '405'); return ''; }
+        return String(found.rule.get(found.m));
+    }
+
+    function setValue(element, value) {
+        if (!initialized) return String(fail(CONTENT_VERSION === '1.2' ? '301' : '132'));
+        element = String(element);
+        value = value === undefined || value === null ? '' : String(value);
+        const found = ruleFor(element);
+        if (!found) return String(lmsSet(element, value));
+        if (!found.rule.set) return String(fail(CONTENT_VERSION === '1.2' ? '403' : '404'));
+        return String(found.rule.set(found.m, value));
+    }
+
+    function commit(param) {
+        if (!initialized) return String(fail(CONTENT_VERSION === '1.2' ? '301' : '142'));
+        return String(lmsCall('commit', param === undefined ? '' : param) === 'true');
+    }
+
+    const errorString = code => ERROR_STRINGS[CONTENT_VERSION][String(code)] || '';
+    const diagnostic = code => {
+        const text = errorString(code === undefined || code === '' ? lastError : code);
+        return text ? `${text} (SCORM ${CONTENT_VERSION} → ${LMS_API === 'API' ? 'SCORM 1.2' : 'SCORM 2004'} adapter)` : '';
+    };
+
+    window[CONTENT_API] = CONTENT_VERSION === '1.2'
+        ? {
+            LMSInitialize: initialize,
+            LMSFinish: finish,
+            LMSGetValue: getValue,
+            LMSSetValue: setValue,
+            LMSCommit: commit,
+            LMSGetLastError: () => lastError,
+            LMSGetErrorString: errorString,
+            LMSGetDiagnostic: diagnostic
+        }
+        : {
+            Initialize: initialize,
+            Terminate: finish,
+            GetValue: getValue,
+            SetValue: setValue,
+            Commit: commit,
+            GetLastError: () => lastError,
+            GetErrorString: errorString,
+            GetDiagnostic: diagnostic
+        };
+
+})();
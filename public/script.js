@@ -6,6 +6,8 @@ const progressText = document.getElementById('progressText');
 const resultsSection = document.getElementById('resultsSection');
 const resultCard = document.getElementById('resultCard');
 const folderSection = document.getElementById('folderSection');
+const compareSection = document.getElementById('compareSection');
+const packageSection = document.getElementById('packageSection');
 
 // ─── Current repair session (persisted across modal open/close) ───────────────
 let currentSessionId = null;
@@ -29,6 +31,7 @@ let currentFile = null;
 async function handleFile(file) {
     if (!file.name.endsWith('.zip')) { alert('Please upload a ZIP file'); return; }
     currentFile = file;
+    rejectedRepairs.clear();
     showProgress('Analyzing SCORM package...');
 
     const formData = new FormData();
@@ -65,12 +68,28 @@ function displayResults(result) {
         html = `
             <div class="status-badge ${statusClass}">${statusText}</div>
             <h3 style="margin-bottom:1rem;color:#333">Analysis Details</h3>
-            <ul class="details-list">
-                ${result.details.map(d => `<li>${d}</li>`).join('')}
-            </ul>
+            ${result.findings ? buildFindings(result.findings) : `
+                <ul class="details-list">
+                    ${result.details.map(d => `<li>${d}</li>`).join('')}
+                </ul>
+            `}
+            ${result.resumeConfidence ? buildResumeConfidence(result.resumeConfidence) : ''}
+            ${result.security && result.security.issues.length ? buildSecurityScan(result.security) : ''}
+            ${result.schemaValidation ? buildSchemaValidation(result.schemaValidation) : ''}
+            ${result.repairLog ? buildRepairLog(result.repairLog) : ''}
+            ${result.apiUsage && result.apiUsage.findings.length ? buildApiUsageList(result.apiUsage) : ''}
+            ${result.scos && result.scos.length > 1 ? buildScoBreakdown(result.scos, result.sharedApiUsage) : ''}
+            ${result.authoringTool ? buildToolSettings(result.authoringTool) : ''}
+            ${result.organizations && result.organizations.length ? `
+                <h3 style="margin:1.5rem 0 1rem;color:#333">Course Structure</h3>
+                ${buildOrgTree(result.organizations)}
+            ` : ''}
+            ${buildRepairOptions()}
             <div class="repair-actions" style="margin-top:1.2rem;display:flex;gap:.8rem;flex-wrap:wrap">
                 ${primaryBtn}
                 <button class="repair-download-btn" onclick="repairAndDownload()">📥 Repair &amp; Download</button>
+                <button class="preview-btn" onclick="previewRepairs()">🔍 Preview Repairs</button>
+                ${result.repairLog ? `<button class="undo-btn" onclick="undoRepairs()">↩️ Undo Repairs</button>` : ''}
                 ${updatedBtn}
             </div>
             <div id="repairStatus"></div>
@@ -78,10 +97,13 @@ function displayResults(result) {
     } else {
         html = `
             <div class="status-badge error">✗ Analysis Failed</div>
-            <div class="error-message">${result.error}</div>
+            <div class="error-message">${result.error}${buildExtractionError(result.extractionError)}</div>
+            ${result.findings && result.findings[0].fix ? `<div class="finding-fix">💡 ${escapeHtml(result.findings[0].fix)}</div>` : ''}
+            ${buildRepairOptions()}
             <div class="repair-actions" style="margin-top:1.2rem;display:flex;gap:.8rem;flex-wrap:wrap">
                 <button class="repair-btn" onclick="repairPackage(true)">🔧 Repair &amp; Play</button>
                 <button class="repair-download-btn" onclick="repairAndDownload()">📥 Repair &amp; Download</button>
+                <button class="preview-btn" onclick="previewRepairs()">🔍 Preview Repairs</button>
             </div>
             <div id="repairStatus"></div>
         `;
@@ -91,6 +113,286 @@ function displayResults(result) {
     resultCard.innerHTML = html;
 }
 
+// ─── Structured findings with severity filter ────────────────────────────────
+const FINDING_SEVERITIES = [
+    { id: 'error', icon: '❌', label: 'Errors' },
+    { id: 'warning', icon: '⚠️', label: 'Warnings' },
+    { id: 'info', icon: 'ℹ️', label: 'Info' },
+    { id: 'success', icon: '✅', label: 'Passed' }
+];
+
+function buildFindings(findings) {
+    const count = severity => findings.filter(f => f.severity === severity).length;
+    const buttons = FINDING_SEVERITIES.filter(s => count(s.id)).map(s =>
+        `<button class="finding-filter-btn" data-severity="${s.id}" onclick="filterFindings('${s.id}')">${s.icon} ${s.label} (${count(s.id)})</button>`
+    ).join('');
+    const rows = findings.map(f => `
+        <li class="finding finding-${f.severity}" data-severity="${f.severity}">
+            ${(FINDING_SEVERITIES.find(s => s.id === f.severity) || {}).icon || ''} ${escapeHtml(f.message)}
+            <span class="tree-tag">${escapeHtml(f.code)}</span>
+            ${f.evidence ? `<code>${escapeHtml(f.evidence.file)}${f.evidence.line ? ':' + f.evidence.line : ''}</code>` : ''}
+            ${f.fix ? `<div class="finding-fix">💡 ${escapeHtml(f.fix)}</div>` : ''}
+        </li>
+    `).join('');
+    return `
+        <div class="finding-filters">
+            <button class="finding-filter-btn active" data-severity="all" onclick="filterFindings('all')">All (${findings.length})</button>
+            ${buttons}
+        </div>
+        <ul class="details-list" id="findingsList">${rows}</ul>
+    `;
+}
+
+function filterFindings(severity) {
+    document.querySelectorAll('.finding-filter-btn').forEach(b => b.classList.toggle('active', b.dataset.severity === severity));
+    document.querySelectorAll('#findingsList .finding').forEach(li => {
+        li.style.display = severity === 'all' || li.dataset.severity === severity ? '' : 'none';
+    });
+}
+
+// ─── Resume-confidence score breakdown ───────────────────────────────────────
+function buildResumeConfidence(confidence) {
+    const rows = confidence.factors.map(f => `
+        <tr class="${f.points === f.weight ? 'factor-met' : f.points ? 'factor-partial' : 'factor-missing'}">
+            <td>${f.points === f.weight ? '✅' : f.points ? '◐' : '—'} ${escapeHtml(f.label)}</td>
+            <td class="factor-points">${f.points}/${f.weight}</td>
+            <td>${f.evidence ? `<code>${escapeHtml(f.evidence)}</code>` : ''}</td>
+        </tr>
+    `).join('');
+    return `
+        <details class="usage-locations" open>
+            <summary>🎚️ Resume confidence: ${confidence.score}/100 (${escapeHtml(confidence.level)})</summary>
+            <div class="confidence-bar confidence-${confidence.level}"><div style="width:${confidence.score}%"></div></div>
+            <table class="factor-table">${rows}</table>
+        </details>
+    `;
+}
+
+// ─── Security scan ───────────────────────────────────────────────────────────
+function buildSecurityScan(security) {
+    const rows = security.issues.map(i => `
+        <li class="security-${i.severity}"><code>${escapeHtml(i.file)}${i.line ? ':' + i.line : ''}</code>
+            <span class="tree-tag">${escapeHtml(i.severity)} · ${escapeHtml(i.id)}</span>
+            <div class="usage-snippet">${escapeHtml(i.message)}</div></li>
+    `).join('');
+    return `
+        <details class="usage-locations" ${security.risk === 'high' ? 'open' : ''}>
+            <summary>🛡️ Security scan: ${escapeHtml(security.risk)} risk — ${security.counts.high} high, ${security.counts.medium} medium, ${security.counts.low} low</summary>
+            <ul class="repair-list">${rows}</ul>
+        </details>
+    `;
+}
+
+// ─── Manifest schema validation ──────────────────────────────────────────────
+function buildSchemaValidation(validation) {
+    if (!validation.violations.length) return '';
+    const rows = validation.violations.map(v => `
+        <li class="schema-${v.severity}"><code>imsmanifest.xml:${v.line || '?'}:${v.column || '?'}</code>
+            <span class="tree-tag">${escapeHtml(v.severity)} · ${escapeHtml(v.rule)}${v.schema ? ' · ' + escapeHtml(v.schema) : ''}</span>
+            <div class="usage-snippet">${escapeHtml(v.message)}</div></li>
+    `).join('');
+    return `
+        <details class="usage-locations" open>
+            <summary>🧾 Schema validation (${escapeHtml(validation.schemaSet)}): ${validation.errorCount} error(s), ${validation.warningCount} warning(s)</summary>
+            <ul class="repair-list">${rows}</ul>
+        </details>
+    `;
+}
+
+// ─── SCORM API usage locations ───────────────────────────────────────────────
+function buildApiUsageList(apiUsage) {
+    const files = new Set(apiUsage.findings.map(f => f.file));
+    const rows = apiUsage.findings.map(f => `
+        <li><code>${escapeHtml(f.file)}:${f.line}:${f.column}</code>
+            <span class="tree-tag">${escapeHtml(f.pattern)}${f.access ? ' · ' + f.access : ''}</span>
+            <div class="usage-snippet">${escapeHtml(f.snippet)}</div></li>
+    `).join('');
+    return `
+        <details class="usage-locations">
+            <summary>🔎 ${apiUsage.findings.length} SCORM API reference(s) in ${files.size} file(s)</summary>
+            <ul class="repair-list">${rows}</ul>
+        </details>
+    `;
+}
+
+// ─── Per-SCO breakdown ───────────────────────────────────────────────────────
+function buildScoBreakdown(scos, shared) {
+    const calls = summary => Object.entries(summary).map(([id, n]) => `<span class="tree-tag">${escapeHtml(id)} ×${n}</span>`).join(' ');
+    const rows = scos.map(sco => `
+        <tr>
+            <td><code>${escapeHtml(sco.identifier || '—')}</code><div class="sco-items">${sco.items.map(i => escapeHtml(i.title)).join(', ') || 'not in any organization'}</div></td>
+            <td><code>${escapeHtml(sco.launchFile || '—')}</code>${sco.launchFound ? '' : ' ❌'}</td>
+            <td>${calls(sco.apiUsage.summary) || '—'}</td>
+            <td>${sco.resumeCapable ? '✅' : '—'}</td>
+        </tr>
+    `).join('');
+    return `
+        <details class="usage-locations" open>
+            <summary>🧩 ${scos.length} SCOs — ${scos.filter(s => s.resumeCapable).length} save resume data</summary>
+            <table class="factor-table sco-table">
+                <tr><th>SCO</th><th>Launch file</th><th>SCORM API calls</th><th>Resume</th></tr>
+                ${rows}
+            </table>
+            ${shared ? `<div class="finding-fix">Shared files (${shared.files.length}): ${calls(shared.summary)}</div>` : ''}
+        </details>
+    `;
+}
+
+// ─── Authoring tool recommended settings ─────────────────────────────────────
+function buildToolSettings(tool) {
+    return `
+        <details class="usage-locations">
+            <summary>🛠️ Recommended ${escapeHtml(tool.name)} settings for resume</summary>
+            <ul class="repair-list">${tool.recommendedSettings.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>
+        </details>
+    `;
+}
+
+// ─── Course structure outline ────────────────────────────────────────────────
+function buildOrgTree(orgs) {
+    return `<div class="org-tree">${orgs.map(org => `
+        <details class="org-node" open>
+            <summary>📁 ${escapeHtml(org.title)}${org.isDefault ? ' <span class="tree-tag">default</span>' : ''}</summary>
+            ${buildTreeList(org.items)}
+        </details>
+    `).join('')}</div>`;
+}
+
+function buildTreeList(items) {
+    if (!items || !items.length) return '';
+    return `<ul class="tree-list">${items.map(buildTreeItem).join('')}</ul>`;
+}
+
+function buildTreeItem(item) {
+    const icon = item.children.length ? '📂' : (item.scormType === 'sco' ? '📄' : (item.identifierref ? '📎' : '▫️'));
+    const tags = [];
+    if (!item.isvisible) tags.push('hidden');
+    if (item.parameters) tags.push(`params: ${item.parameters}`);
+    if (item.masteryScore !== null) tags.push(`mastery: ${item.masteryScore}`);
+    if (item.maxTimeAllowed) tags.push(`max time: ${item.maxTimeAllowed}`);
+    if (item.timeLimitAction) tags.push(`on timeout: ${item.timeLimitAction}`);
+    if (item.prerequisites) tags.push(`requires: ${item.prerequisites.expression}`);
+    const label = `${icon} ${escapeHtml(item.title)}${tags.map(t => ` <span class="tree-tag">${escapeHtml(t)}</span>`).join('')}`;
+
+    if (!item.children.length) return `<li class="tree-leaf">${label}</li>`;
+    return `<li><details open><summary>${label}</summary>${buildTreeList(item.children)}</details></li>`;
+}
+
+// ─── Repair rules & profiles ─────────────────────────────────────────────────
+// The rule switches shown in every .repair-options panel; a profile preset
+// fills them, single switches can then be flipped
+let repairConfig = { rules: [], profiles: [], defaultProfile: 'local-play' };
+let repairSelection = { profile: 'local-play', rules: {}, convertTo: '' };
+
+const CONVERT_TARGETS = [
+    { value: '', label: 'Keep version' },
+    { value: '2004', label: 'SCORM 2004 4th Edition' },
+    { value: '1.2', label: 'SCORM 1.2' }
+];
+
+async function loadRepairProfiles(selectId) {
+    try {
+        const response = await fetch('/repair-profiles');
+        repairConfig = await response.json();
+        const profile = repairConfig.profiles.find(p => p.id === (selectId || repairSelection.profile))
+            || repairConfig.profiles.find(p => p.id === repairConfig.defaultProfile);
+        repairSelection = { ...repairSelection, profile: profile.id, rules: { ...profile.rules } };
+    } catch (_) {
+        // Without the list the server falls back to its default profile
+    }
+    refreshRepairOptions();
+}
+loadRepairProfiles();
+
+function buildRepairOptions() {
+    return `<div class="repair-options">${buildRepairOptionsInner()}</div>`;
+}
+
+function buildRepairOptionsInner() {
+    if (!repairConfig.profiles.length) return '';
+    const current = repairConfig.profiles.find(p => p.id === repairSelection.profile);
+    const modified = current && repairConfig.rules.some(r => !!current.rules[r.id] !== !!repairSelection.rules[r.id]);
+    const profiles = repairConfig.profiles.map(p => `
+        <option value="${escapeHtml(p.id)}" ${p.id === repairSelection.profile ? 'selected' : ''}>${escapeHtml(p.label)}${p.builtIn ? '' : ' (saved)'}</option>
+    `).join('');
+    const rules = repairConfig.rules.map(r => `
+        <label><input type="checkbox" data-rule="${escapeHtml(r.id)}" ${repairSelection.rules[r.id] ? 'checked' : ''} onchange="toggleRepairRule(this)"> ${escapeHtml(r.label)}</label>
+    `).join('');
+    const targets = CONVERT_TARGETS.map(t => `
+        <option value="${t.value}" ${t.value === repairSelection.convertTo ? 'selected' : ''}>${t.label}</option>
+    `).join('');
+    return `
+        <div class="repair-profile-row">
+            <label>🧰 Repair profile <select onchange="selectRepairProfile(this.value)">${profiles}</select></label>
+            ${modified ? '<span class="tree-tag">modified</span>' : ''}
+            <button class="profile-btn" onclick="saveRepairProfile()">💾 Save as profile</button>
+            ${current && !current.builtIn ? '<button class="profile-btn" onclick="deleteRepairProfile()">🗑 Delete profile</button>' : ''}
+        </div>
+        ${current && current.description ? `<div class="finding-fix">${escapeHtml(current.description)}</div>` : ''}
+        <div class="repair-rules">${rules}</div>
+        <div class="repair-profile-row">
+            <label>🔄 Convert to <select onchange="selectConvertTarget(this.value)">${targets}</select></label>
+        </div>
+    `;
+}
+
+function refreshRepairOptions() {
+    document.querySelectorAll('.repair-options').forEach(el => { el.innerHTML = buildRepairOptionsInner(); });
+}
+
+function selectRepairProfile(id) {
+    const profile = repairConfig.profiles.find(p => p.id === id);
+    if (!profile) return;
+    repairSelection = { ...repairSelection, profile: profile.id, rules: { ...profile.rules } };
+    refreshRepairOptions();
+}
+
+function selectConvertTarget(value) {
+    repairSelection.convertTo = value;
+    refreshRepairOptions();
+}
+
+function toggleRepairRule(checkbox) {
+    repairSelection.rules[checkbox.dataset.rule] = checkbox.checked;
+    refreshRepairOptions();
+}
+
+async function saveRepairProfile() {
+    const label = prompt('Name for this repair profile:');
+    if (!label || !label.trim()) return;
+    try {
+        const response = await fetch('/repair-profiles', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ label: label.trim(), rules: repairSelection.rules })
+        });
+        const result = await response.json();
+        if (!result.success) { alert('Error: ' + result.error); return; }
+        await loadRepairProfiles(result.profile.id);
+    } catch (error) {
+        alert('Failed: ' + error.message);
+    }
+}
+
+async function deleteRepairProfile() {
+    if (!confirm(`Delete the repair profile "${repairSelection.profile}"?`)) return;
+    try {
+        const response = await fetch(`/repair-profiles/${encodeURIComponent(repairSelection.profile)}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!result.success) { alert('Error: ' + result.error); return; }
+        await loadRepairProfiles(repairConfig.defaultProfile);
+    } catch (error) {
+        alert('Failed: ' + error.message);
+    }
+}
+
+function appendRepairOptions(formData) {
+    formData.append('profile', repairSelection.profile);
+    formData.append('rules', JSON.stringify(repairSelection.rules));
+    if (repairSelection.convertTo) formData.append('convertTo', repairSelection.convertTo);
+    if (rejectedRepairs.size) formData.append('skip', [...rejectedRepairs].join(','));
+}
+
 // Download the _updated.zip for the current single-file analysis
 function downloadUpdated() {
     if (!window.currentUpdatedFile) { alert('No updated file available.'); return; }
@@ -133,6 +435,7 @@ async function repairPackage(autoPlay = true) {
 
     const formData = new FormData();
     formData.append('scormFile', currentFile);
+    appendRepairOptions(formData);
 
     try {
         const response = await fetch('/repair', { method: 'POST', body: formData });
@@ -150,18 +453,101 @@ async function repairPackage(autoPlay = true) {
                 <div class="repair-result">
                     <h4>✅ Ready to Play</h4>
                     <ul class="repair-list">${repairList}</ul>
+                    ${result.repairLog && result.repairLog.files.length ? `<p class="repair-log-note">🧾 ${result.repairLog.files.length} changed file(s) logged in ${escapeHtml(result.repairedFile)} (scorm-repair/repair-log.json) — load that zip here to undo</p>` : ''}
+                    ${buildScoPlayButtons(result.sessionId, result.scos)}
                 </div>
             `;
             // Auto-open the player immediately
             if (autoPlay) openCurrentPlayer();
         } else {
-            statusDiv.innerHTML = `<div class="repair-error">❌ Failed: ${result.error}</div>`;
+            statusDiv.innerHTML = `<div class="repair-error">❌ Failed: ${result.error}${buildExtractionError(result.extractionError)}</div>`;
         }
     } catch (error) {
         statusDiv.innerHTML = `<div class="repair-error">❌ ${error.message}</div>`;
     }
 }
 
+// ─── Repair preview (dry run) ─────────────────────────────────────────────────
+// Ids of planned repairs the user unticked; sent as `skip` with every repair
+const rejectedRepairs = new Set();
+
+async function previewRepairs() {
+    if (!currentFile) { alert('No file loaded.'); return; }
+    const statusDiv = document.getElementById('repairStatus');
+    statusDiv.innerHTML = '<div class="repair-loading"><div class="mini-spinner"></div> Planning repairs…</div>';
+
+    const formData = new FormData();
+    formData.append('scormFile', currentFile);
+    appendRepairOptions(formData);
+    formData.append('dryRun', 'true');
+
+    try {
+        const response = await fetch('/repair', { method: 'POST', body: formData });
+        const result = await response.json();
+        statusDiv.innerHTML = result.success
+            ? buildRepairPreview(result)
+            : `<div class="repair-error">❌ Failed: ${result.error}${buildExtractionError(result.extractionError)}</div>`;
+    } catch (error) {
+        statusDiv.innerHTML = `<div class="repair-error">❌ ${error.message}</div>`;
+    }
+}
+
+function buildRepairPreview(result) {
+    if (!result.plan.length) return '<div class="repair-result"><h4>✅ Package is valid — no repairs needed</h4></div>';
+    const accepted = result.plan.filter(p => p.accepted).length;
+    const rows = result.plan.map(p => `
+        <li><label class="repair-toggle">
+            <input type="checkbox" data-repair="${escapeHtml(p.id)}" ${p.accepted ? 'checked' : ''} ${p.optional ? '' : 'disabled title="Required"'} onchange="toggleRepair(this)">
+            ${p.message}
+        </label> <code>${p.files.map(escapeHtml).join(', ')}</code></li>
+    `).join('');
+    const diffs = result.diffs.map(d => `
+        <details class="usage-locations">
+            <summary><code>${escapeHtml(d.file)}</code> <span class="diff-added">+${d.additions}</span> <span class="diff-removed">−${d.deletions}</span>${d.status === 'added' ? ' <span class="tree-tag">new file</span>' : d.status === 'deleted' ? ' <span class="tree-tag">deleted</span>' : ''}</summary>
+            <pre class="diff-view">${buildDiffLines(d.text)}</pre>
+        </details>
+    `).join('');
+    return `
+        <div class="repair-result">
+            <h4>🔍 Planned repairs — ${accepted} of ${result.plan.length} accepted</h4>
+            <ul class="repair-list">${rows}</ul>
+            ${buildConversionNotes(result.conversion)}
+            ${diffs || '<div class="finding-fix">No file changes with the current selection.</div>'}
+            <div class="repair-actions" style="margin-top:1rem;display:flex;gap:.8rem;flex-wrap:wrap">
+                <button class="play-btn" onclick="repairPackage(true)">▶ Apply &amp; Play</button>
+                <button class="repair-download-btn" onclick="repairAndDownload()">📥 Apply &amp; Download</button>
+            </div>
+        </div>
+    `;
+}
+
+// What a version conversion changed or had to drop, under the plan
+function buildConversionNotes(conversion) {
+    if (!conversion || !conversion.notes.length) return '';
+    return `
+        <details class="usage-locations" open>
+            <summary>🔄 Conversion details</summary>
+            <ul class="repair-list">${conversion.notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul>
+        </details>
+    `;
+}
+
+function buildDiffLines(text) {
+    return text.replace(/\n$/, '').split('\n').map(line => {
+        const kind = line.startsWith('@@') ? 'hunk'
+            : line.startsWith('+++') || line.startsWith('---') ? 'file'
+                : line[0] === '+' ? 'add' : line[0] === '-' ? 'del' : 'ctx';
+        return `<span class="diff-${kind}">${escapeHtml(line)}</span>`;
+    }).join('');
+}
+
+// Re-plan with the new selection so the diffs always match what Apply produces
+function toggleRepair(checkbox) {
+    if (checkbox.checked) rejectedRepairs.delete(checkbox.dataset.repair);
+    else rejectedRepairs.add(checkbox.dataset.repair);
+    previewRepairs();
+}
+
 // ─── Repair & Download ────────────────────────────────────────────────────────
 async function repairAndDownload() {
     if (!currentFile) { alert('No file loaded.'); return; }
@@ -170,12 +556,13 @@ async function repairAndDownload() {
 
     const formData = new FormData();
     formData.append('scormFile', currentFile);
+    appendRepairOptions(formData);
 
     try {
         const response = await fetch('/repair-download', { method: 'POST', body: formData });
         if (!response.ok) {
             const err = await response.json();
-            statusDiv.innerHTML = `<div class="repair-error">❌ ${err.error}</div>`;
+            statusDiv.innerHTML = `<div class="repair-error">❌ ${err.error}${buildExtractionError(err.extractionError)}</div>`;
             return;
         }
         const blob = await response.blob();
@@ -193,6 +580,57 @@ async function repairAndDownload() {
     }
 }
 
+// ─── Repair log & undo ────────────────────────────────────────────────────────
+// A package repaired by this tool carries its repair log; undo downloads the
+// package as it was before the latest repair
+function buildRepairLog(log) {
+    const files = log.files.map(f => `
+        <li><code>${escapeHtml(f.file)}</code> <span class="tree-tag">${escapeHtml(f.change)}${f.rules.length ? ' · ' + escapeHtml(f.rules.join(', ')) : ''}</span></li>
+    `).join('');
+    return `
+        <details class="usage-locations">
+            <summary>🧾 Repair log: ${escapeHtml(new Date(log.timestamp).toLocaleString())} by ${escapeHtml(log.tool.name)} ${escapeHtml(log.tool.version)}${log.source ? ` from ${escapeHtml(log.source)}` : ''}${log.earlierRepairs ? ` (+${log.earlierRepairs} earlier)` : ''}</summary>
+            <ul class="repair-list">${log.repairs.map(r => `<li>${escapeHtml(r)}</li>`).join('') || '<li>✅ No repairs were needed</li>'}</ul>
+            ${files ? `<ul class="repair-list">${files}</ul>` : ''}
+        </details>
+    `;
+}
+
+async function undoRepairs(force = false) {
+    if (!currentFile) { alert('No file loaded.'); return; }
+    const statusDiv = document.getElementById('repairStatus');
+    statusDiv.innerHTML = '<div class="repair-loading"><div class="mini-spinner"></div> Restoring the original…</div>';
+
+    const formData = new FormData();
+    formData.append('scormFile', currentFile);
+    if (force) formData.append('force', 'true');
+
+    try {
+        const response = await fetch('/undo-repair', { method: 'POST', body: formData });
+        if (!response.ok) {
+            const err = await response.json();
+            // Files edited after the repair: offer to overwrite them anyway
+            const forceBtn = response.status === 409
+                ? `<div style="margin-top:.6rem"><button class="undo-btn" onclick="undoRepairs(true)">↩️ Restore Anyway</button></div>`
+                : '';
+            statusDiv.innerHTML = `<div class="repair-error">❌ ${escapeHtml(err.error)}${buildExtractionError(err.extractionError)}${forceBtn}</div>`;
+            return;
+        }
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = currentFile.name.replace(/\.zip$/i, '').replace(/_repaired$/i, '') + '_restored.zip';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        statusDiv.innerHTML = `<div class="repair-result"><h4>✅ Repairs undone — original package downloaded</h4></div>`;
+    } catch (error) {
+        statusDiv.innerHTML = `<div class="repair-error">❌ ${error.message}</div>`;
+    }
+}
+
 // ─── iFrame Player ────────────────────────────────────────────────────────────
 
 // Open player using the globally stored current session
@@ -201,6 +639,16 @@ function openCurrentPlayer() {
     openPlayer(currentSessionId, currentLaunchFile);
 }
 
+// One play button per SCO of a multi-SCO package
+function buildScoPlayButtons(sessionId, scos) {
+    const playable = (scos || []).filter(sco => sco.launchFile);
+    if (playable.length < 2) return '';
+    return `<div class="sco-play-buttons">${playable.map(sco => `
+        <button class="play-btn-sm" data-launch="${escapeHtml(sco.launchFile)}" onclick="openPlayer('${sessionId}', this.dataset.launch)"
+            title="${escapeHtml(sco.repairs.join(' · '))}">▶ ${escapeHtml(sco.identifier || sco.launchFile)}</button>
+    `).join('')}</div>`;
+}
+
 // Open player for a specific batch result by index
 function openBatchPlayer(index) {
     const data = window.batchAnalysisResults;
@@ -234,6 +682,14 @@ function openPlayer(sessionId, launchFile) {
     document.body.style.overflow = 'hidden';
 }
 
+// Player option read by the shim when the content page loads, so the
+// content is reloaded to apply it
+function setAutoInitialize(enabled) {
+    const frame = document.getElementById('scormFrame');
+    frame.dataset.autoInitialize = enabled ? 'true' : 'false';
+    if (frame.src) frame.src = frame.src;
+}
+
 function closePlayer() {
     const modal = document.getElementById('playerModal');
     const frame = document.getElementById('scormFrame');
@@ -259,7 +715,7 @@ async function repairBatchFile(index) {
         const response = await fetch('/repair-batch-file', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ filePath: result.path })
+            body: JSON.stringify({ filePath: result.path, profile: repairSelection.profile, rules: repairSelection.rules, convertTo: repairSelection.convertTo })
         });
         const repairResult = await response.json();
 
@@ -274,7 +730,7 @@ async function repairBatchFile(index) {
             // Auto-open player
             openBatchPlayer(index);
         } else {
-            if (statusEl) statusEl.innerHTML = `<div class="repair-error" style="margin-top:.5rem"><small>❌ ${repairResult.error}</small></div>`;
+            if (statusEl) statusEl.innerHTML = `<div class="repair-error" style="margin-top:.5rem"><small>❌ ${repairResult.error}${buildExtractionError(repairResult.extractionError)}</small></div>`;
             if (btn) { btn.disabled = false; btn.textContent = '🔧 Retry'; }
         }
     } catch (err) {
@@ -286,12 +742,13 @@ async function repairBatchFile(index) {
 // Listen for CMI status messages from the shim
 window.addEventListener('message', e => {
     if (!e.data || e.data.type !== 'scorm_status') return;
-    const { completion, score, location, suspendDataLen } = e.data;
+    const { completion, score, location, suspendDataLen, suspendDataPeak, suspendDataLimit, suspendDataRejected, autoInitialized } = e.data;
 
     const compEl = document.getElementById('statusCompletion');
     const scoreEl = document.getElementById('statusScore');
     const locEl = document.getElementById('statusLocation');
     const susEl = document.getElementById('statusSuspend');
+    const autoInitEl = document.getElementById('statusAutoInit');
 
     if (compEl) {
         const icons = { passed: '✅', failed: '❌', completed: '✅', incomplete: '🔄', 'not attempted': '⏳', browsed: '👁' };
@@ -300,7 +757,15 @@ window.addEventListener('message', e => {
     }
     if (scoreEl) scoreEl.textContent = `🎯 Score: ${score || '—'}`;
     if (locEl) locEl.textContent = `📍 Location: ${location || '—'}`;
-    if (susEl) susEl.textContent = `💾 Suspend: ${suspendDataLen} chars`;
+    if (susEl) {
+        susEl.textContent = `💾 Suspend: ${suspendDataLen} chars` +
+            (suspendDataLimit ? ` · peak ${suspendDataPeak}/${suspendDataLimit}` : '') +
+            (suspendDataRejected ? ` · ${suspendDataRejected} rejected` : '');
+        // Warn from 90% of the limit; a rejected write means progress was lost
+        susEl.className = 'status-pill' + (suspendDataRejected ? ' pill-error' :
+            suspendDataLimit && suspendDataPeak > suspendDataLimit * 0.9 ? ' pill-warning' : '');
+    }
+    if (autoInitEl) autoInitEl.style.display = autoInitialized ? '' : 'none';
 });
 
 // ─── Folder analysis ──────────────────────────────────────────────────────────
@@ -311,6 +776,8 @@ async function analyzeFolderPath() {
     showProgress('Analyzing folder…');
     uploadArea.style.display = 'none';
     folderSection.style.display = 'none';
+    compareSection.style.display = 'none';
+    packageSection.style.display = 'none';
 
     try {
         const response = await fetch('/analyze-folder', {
@@ -339,12 +806,14 @@ async function repairFolderPath() {
     showProgress('Repairing all SCORM packages in folder…');
     uploadArea.style.display = 'none';
     folderSection.style.display = 'none';
+    compareSection.style.display = 'none';
+    packageSection.style.display = 'none';
 
     try {
         const response = await fetch('/repair-folder', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ folderPath })
+            body: JSON.stringify({ folderPath, profile: repairSelection.profile, rules: repairSelection.rules, convertTo: repairSelection.convertTo })
         });
         const result = await response.json();
         if (result.success) {
@@ -393,6 +862,7 @@ function buildSummaryHTML(summary, results, isRepair = false) {
             <div class="stat-item warning"><div class="stat-number">${summary.successfullyAnalyzed - summary.resumeCapable}</div><div class="stat-label">${isRepair ? 'Repaired (No Play)' : 'Not Resume Capable'}</div></div>
             <div class="stat-item error"><div class="stat-number">${summary.failed}</div><div class="stat-label">Failed</div></div>
         </div>
+        ${summary.findings ? `<div class="summary-path"><strong>🧾 Findings:</strong> ${summary.findings.error} error(s), ${summary.findings.warning} warning(s), ${summary.findings.info} info</div>` : ''}
         <div class="summary-path"><strong>📁 Folder:</strong> ${summary.folderPath}</div>
     `;
 }
@@ -448,12 +918,16 @@ function buildResultsGrid(results, isRepair) {
                     ${result.success ? `
                         <div class="result-info">
                             ${result.metadata && result.metadata.title ? `<div><strong>📚</strong> ${result.metadata.title}</div>` : ''}
-                            ${result.metadata && result.metadata.version ? `<div><strong>📋</strong> SCORM ${result.metadata.version}</div>` : ''}
+                            ${result.standard && result.standard !== 'SCORM' ? `<div><strong>📋</strong> ${escapeHtml(result.standard)}${result.metadata && result.metadata.version ? ' ' + escapeHtml(result.metadata.version) : ''}</div>` : result.metadata && result.metadata.version ? `<div><strong>📋</strong> SCORM ${result.metadata.version}</div>` : ''}
+                            ${result.authoringTool ? `<div><strong>🛠️</strong> ${escapeHtml(result.authoringTool.name)}${result.authoringTool.version ? ' ' + escapeHtml(result.authoringTool.version) : ''}</div>` : ''}
+                            ${result.resumeConfidence ? `<div><strong>🎚️</strong> Resume confidence ${result.resumeConfidence.score}/100</div>` : ''}
+                            ${result.security ? `<div class="security-${result.security.risk}"><strong>🛡️</strong> Security: ${escapeHtml(result.security.risk)}${result.security.issues.length ? ` (${result.security.issues.length} issue(s))` : ''}</div>` : ''}
+                            ${result.findings ? `<div><strong>🧾</strong> ${findingCount(result, 'error')} error(s), ${findingCount(result, 'warning')} warning(s)</div>` : ''}
                             ${isRepair && result.repairs ? `<div><strong>🔧</strong> ${result.repairs.length} repair(s)</div>` : ''}
                         </div>
                         <div class="result-item-actions">${actionBtns}</div>
                     ` : `
-                        <div class="error-text">${result.error || 'Analysis failed'}</div>
+                        <div class="error-text">${result.error || 'Analysis failed'}${buildExtractionError(result.extractionError)}</div>
                         <div class="result-item-actions">${actionBtns}</div>
                     `}
                     <div id="batch-status-${index}"></div>
@@ -465,7 +939,260 @@ function buildResultsGrid(results, isRepair) {
     return html;
 }
 
+// ─── Version compare ──────────────────────────────────────────────────────────
+const RESUME_VERDICTS = {
+    safe: { cls: 'success', text: '✓ Resume data survives the update' },
+    risky: { cls: 'warning', text: '⚠ Update may disturb saved progress' },
+    breaking: { cls: 'error', text: '✗ Update breaks saved learner progress' }
+};
+
+async function comparePackages() {
+    const oldFile = document.getElementById('compareOld').files[0];
+    const newFile = document.getElementById('compareNew').files[0];
+    if (!oldFile || !newFile) { alert('Choose both the old and the new package'); return; }
+
+    showProgress('Comparing packages…');
+    uploadArea.style.display = 'none';
+    folderSection.style.display = 'none';
+    compareSection.style.display = 'none';
+    packageSection.style.display = 'none';
+
+    const formData = new FormData();
+    formData.append('oldFile', oldFile);
+    formData.append('newFile', newFile);
+
+    try {
+        const response = await fetch('/compare', { method: 'POST', body: formData });
+        displayComparison(await response.json());
+    } catch (error) {
+        displayComparison({ success: false, error: 'Failed to compare packages: ' + error.message });
+    }
+}
+
+function displayComparison(result) {
+    hideProgress();
+    resultsSection.style.display = 'block';
+
+    let html;
+    if (result.success) {
+        const verdict = RESUME_VERDICTS[result.resumeImpact.verdict];
+        const reasons = result.resumeImpact.reasons.map(r => `
+            <li class="finding finding-${r.level === 'breaking' ? 'error' : r.level === 'risky' ? 'warning' : 'info'}">${escapeHtml(r.message)}</li>
+        `).join('');
+        html = `
+            <div class="status-badge ${verdict.cls}">${verdict.text}</div>
+            <table class="factor-table compare-header">
+                <tr><td></td><th>Old</th><th>New</th></tr>
+                ${[
+                ['File', s => s.filename],
+                ['Standard', s => s.standard ? `${s.standard}${s.version ? ' ' + s.version : ''}` : s.error],
+                ['Title', s => s.title],
+                ['Authoring tool', s => s.authoringTool ? `${s.authoringTool.name}${s.authoringTool.version ? ' ' + s.authoringTool.version : ''}` : null],
+                ['Resume score', s => s.resumeScore],
+                ['Files', s => s.fileCount]
+            ].map(([label, get]) => `<tr><td>${label}</td><td>${escapeHtml(get(result.old) ?? '—')}</td><td>${escapeHtml(get(result.new) ?? '—')}</td></tr>`).join('')}
+            </table>
+            ${reasons ? `<ul class="details-list">${reasons}</ul>` : ''}
+            ${buildMetadataDiff(result.metadata)}
+            ${buildKeyedDiff('📄 Items', result.items)}
+            ${buildKeyedDiff('📦 Resources', result.resources)}
+            ${buildKeyedDiff('🧭 Sequencing', result.sequencing)}
+            ${buildFileDiff(result.files)}
+            ${buildApiUsageDiff(result.apiUsage)}
+        `;
+    } else {
+        html = `
+            <div class="status-badge error">✗ Comparison Failed</div>
+            <div class="error-message">${escapeHtml(result.error)}${buildExtractionError(result.extractionError)}</div>
+        `;
+    }
+
+    html += `<div class="upload-another"><button onclick="resetUpload()">Compare Other Packages</button></div>`;
+    resultCard.innerHTML = html;
+}
+
+function diffValue(value) {
+    if (value === null || value === undefined) return '—';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+}
+
+function buildMetadataDiff(changes) {
+    if (!changes.length) return '';
+    return `
+        <details class="usage-locations" open>
+            <summary>📋 Metadata: ${changes.length} change(s)</summary>
+            <ul class="repair-list">${changes.map(c => `
+                <li><code>${escapeHtml(c.field)}</code> <span class="diff-removed">${diffValue(c.old)}</span> → <span class="diff-added">${diffValue(c.new)}</span></li>
+            `).join('')}</ul>
+        </details>
+    `;
+}
+
+function buildKeyedDiff(label, diff) {
+    const total = diff.added.length + diff.removed.length + diff.changed.length;
+    if (!total) return '';
+    const name = entry => `<code>${escapeHtml(entry.identifier)}</code>${entry.title ? ' ' + escapeHtml(entry.title) : ''}`;
+    return `
+        <details class="usage-locations">
+            <summary>${label}: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed</summary>
+            <ul class="repair-list">
+                ${diff.added.map(e => `<li class="diff-added">＋ ${name(e)}</li>`).join('')}
+                ${diff.removed.map(e => `<li class="diff-removed">－ ${name(e)}</li>`).join('')}
+                ${diff.changed.map(e => `<li>✎ ${name(e)}${e.changes.map(c => `
+                    <div class="usage-snippet">${escapeHtml(c.field)}: ${diffValue(c.old)} → ${diffValue(c.new)}</div>`).join('')}</li>`).join('')}
+            </ul>
+        </details>
+    `;
+}
+
+function buildFileDiff(files) {
+    const rows = [
+        ...files.added.map(f => `<li class="diff-added">＋ <code>${escapeHtml(f.file)}</code> ${formatFileSize(f.size)}</li>`),
+        ...files.removed.map(f => `<li class="diff-removed">－ <code>${escapeHtml(f.file)}</code> ${formatFileSize(f.size)}</li>`),
+        ...files.modified.map(f => `<li>✎ <code>${escapeHtml(f.file)}</code> ${formatFileSize(f.oldSize)} → ${formatFileSize(f.newSize)}</li>`)
+    ];
+    return `
+        <details class="usage-locations">
+            <summary>🗂️ Files: ${files.added.length} added, ${files.removed.length} removed, ${files.modified.length} modified, ${files.unchanged} unchanged (${formatFileSize(files.oldBytes)} → ${formatFileSize(files.newBytes)})</summary>
+            ${rows.length ? `<ul class="repair-list">${rows.join('')}</ul>` : ''}
+        </details>
+    `;
+}
+
+function buildApiUsageDiff(changes) {
+    if (!changes.length) return '';
+    return `
+        <details class="usage-locations" open>
+            <summary>🔎 SCORM API usage: ${changes.length} change(s)</summary>
+            <ul class="repair-list">${changes.map(c => `
+                <li><code>${escapeHtml(c.label)}</code>${c.resume ? ' <span class="tree-tag">resume</span>' : ''} ${c.old} → ${c.new} reference(s)</li>
+            `).join('')}</ul>
+        </details>
+    `;
+}
+
+// ─── Package as SCORM ─────────────────────────────────────────────────────────
+// Completion rules each kind of content supports; the first is the default.
+// A zip may hold a page, a PDF or a video: unless its start file says which,
+// the server picks the rule that fits what it finds ('' = automatic).
+const PACKAGE_RULES = {
+    html: ['scroll', 'time'],
+    pdf: ['time'],
+    video: ['video', 'time'],
+    zip: ['', 'scroll', 'time', 'video']
+};
+const PACKAGE_RULE_LABELS = { '': 'Automatic (fits the content)', scroll: 'Scrolled to the end', time: 'Viewed for N seconds', video: 'Video played X%' };
+
+// Packaged zip of the last packaging, for the download button
+let currentPackagedFile = null;
+
+function packageKind(filename) {
+    const ext = (filename.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+    if (ext === '.pdf') return 'pdf';
+    if (['.mp4', '.m4v', '.webm', '.ogv'].includes(ext)) return 'video';
+    if (ext === '.zip') return 'zip';
+    return 'html';
+}
+
+// Offer the rules that fit the chosen file (or the start file named inside a
+// zip) and show the matching settings
+function updatePackageRules() {
+    const file = document.getElementById('packageFile').files[0];
+    const isZip = !!file && packageKind(file.name) === 'zip';
+    const launch = document.getElementById('packageLaunch').value.trim();
+    const select = document.getElementById('packageRule');
+    const rules = PACKAGE_RULES[isZip && launch ? packageKind(launch) : packageKind(file ? file.name : '')];
+    const chosen = rules.includes(select.value) ? select.value : rules[0];
+    select.innerHTML = rules.map(rule => `<option value="${rule}"${rule === chosen ? ' selected' : ''}>${PACKAGE_RULE_LABELS[rule]}</option>`).join('');
+    document.getElementById('packageLaunchField').style.display = isZip ? '' : 'none';
+    document.getElementById('packageSecondsField').style.display = chosen === 'time' || chosen === '' ? '' : 'none';
+    document.getElementById('packagePercentField').style.display = chosen === 'video' || chosen === '' ? '' : 'none';
+}
+updatePackageRules();
+
+async function packageContent() {
+    const file = document.getElementById('packageFile').files[0];
+    if (!file) { alert('Choose a web page, zip, PDF or video to package'); return; }
+
+    showProgress('Packaging as SCORM…');
+    uploadArea.style.display = 'none';
+    folderSection.style.display = 'none';
+    compareSection.style.display = 'none';
+    packageSection.style.display = 'none';
+
+    const formData = new FormData();
+    formData.append('assetFile', file);
+    formData.append('title', document.getElementById('packageTitle').value);
+    formData.append('scormVersion', document.getElementById('packageVersion').value);
+    formData.append('rule', document.getElementById('packageRule').value);
+    formData.append('seconds', document.getElementById('packageSeconds').value);
+    formData.append('percent', document.getElementById('packagePercent').value);
+    if (packageKind(file.name) === 'zip') formData.append('launchFile', document.getElementById('packageLaunch').value.trim());
+
+    try {
+        const response = await fetch('/package', { method: 'POST', body: formData });
+        displayPackageResult(await response.json());
+    } catch (error) {
+        displayPackageResult({ success: false, error: 'Failed to package content: ' + error.message });
+    }
+}
+
+function displayPackageResult(result) {
+    hideProgress();
+    resultsSection.style.display = 'block';
+
+    let html;
+    if (result.success) {
+        currentSessionId = result.sessionId;
+        currentLaunchFile = result.launchFile;
+        currentPackagedFile = result.packagedFile;
+        html = `
+            <div class="status-badge success">✓ SCORM Package Ready</div>
+            <h3 style="margin-bottom:1rem;color:#333">${escapeHtml(result.title)}</h3>
+            <ul class="repair-list">${result.notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul>
+            <div class="repair-actions" style="margin-top:1.2rem;display:flex;gap:.8rem;flex-wrap:wrap">
+                <button class="play-btn" onclick="openCurrentPlayer()">▶ Play in Browser</button>
+                <button class="updated-download-btn" onclick="downloadPackaged()">📦 Download SCORM Package</button>
+            </div>
+        `;
+    } else {
+        html = `
+            <div class="status-badge error">✗ Packaging Failed</div>
+            <div class="error-message">${escapeHtml(result.error)}${buildExtractionError(result.extractionError)}</div>
+        `;
+    }
+
+    html += `<div class="upload-another"><button onclick="resetUpload()">Package Other Content</button></div>`;
+    resultCard.innerHTML = html;
+}
+
+function downloadPackaged() {
+    if (!currentPackagedFile) return;
+    const a = document.createElement('a');
+    a.href = `/download-packaged/${encodeURIComponent(currentPackagedFile)}`;
+    a.download = currentPackagedFile;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
+// Structured reason for packages refused by the server's safe-extraction limits
+function buildExtractionError(extraction) {
+    if (!extraction) return '';
+    const parts = [`<span class="tree-tag">${escapeHtml(extraction.code)}</span>`];
+    if (extraction.entry) parts.push(`entry <code>${escapeHtml(extraction.entry)}</code>`);
+    if (extraction.limit !== undefined) {
+        const fmt = v => extraction.code === 'TOO_LARGE' ? formatFileSize(v) : extraction.code === 'COMPRESSION_RATIO' ? `${v}:1` : v;
+        parts.push(`limit ${fmt(extraction.limit)}, found ${fmt(extraction.actual)}`);
+    }
+    return `<div class="extraction-error">🧯 Rejected by safe extraction: ${parts.join(' · ')}</div>`;
+}
+
+function findingCount(result, severity) {
+    return (result.findings || []).filter(f => f.severity === severity).length;
+}
+
 function showProgress(msg) {
     progressText.textContent = msg || 'Working…';
     progressSection.style.display = 'block';
@@ -477,11 +1204,14 @@ function hideProgress() { progressSection.style.display = 'none'; }
 function resetUpload() {
     uploadArea.style.display = 'block';
     folderSection.style.display = 'block';
+    compareSection.style.display = 'block';
+    packageSection.style.display = 'block';
     hideProgress();
     resultsSection.style.display = 'none';
     document.getElementById('batchResultsSection').style.display = 'none';
     fileInput.value = '';
     currentFile = null;
+    rejectedRepairs.clear();
 
     // Clean up the player session and blank the iframe
     const frame = document.getElementById('scormFrame');
@@ -496,6 +1226,8 @@ function resetUpload() {
 function resetFolderAnalysis() {
     uploadArea.style.display = 'block';
     folderSection.style.display = 'block';
+    compareSection.style.display = 'block';
+    packageSection.style.display = 'block';
     hideProgress();
     document.getElementById('batchResultsSection').style.display = 'none';
     document.getElementById('folderPath').value = '';
@@ -506,6 +1238,9 @@ function formatFileSize(bytes) {
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
     return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
 function truncateFilename(filename, maxLength = 38) {
     return filename.length <= maxLength ? filename : filename.substring(0, maxLength - 3) + '…';
 }
@@ -533,19 +1268,57 @@ function showDetails(index) {
 function exportToCSV() {
     const data = window.batchAnalysisResults;
     if (!data) return;
-    let csv = 'Filename,Size (bytes),Status,Resume Capable,SCORM Version,Course Title,Repairs,Error\n';
+    let csv = 'Filename,Size (bytes),Status,Resume Capable,Resume Score,Standard,Version,Course Title,Description,Keywords,Language,Content Version,Typical Learning Time,Copyright,Mastery Score,Max Time Allowed,Time Limit Action,Data From LMS,Authoring Tool,Tool Version,Tool Resume Notes,Recommended Settings,Security Risk,Security Issues,Errors,Warnings,Finding Codes,Repairs,Error\n';
     data.results.forEach(result => {
+        const tool = result.authoringTool;
+        const toolCols = [
+            tool ? tool.name : 'N/A',
+            tool && tool.version ? tool.version : 'N/A',
+            tool ? tool.findings.map(f => f.message).join(' | ') : '',
+            tool ? tool.recommendedSettings.join(' | ') : ''
+        ].map(csvField).join(',');
+        // Codes of error/warning findings, deduplicated, for CI filtering
+        const codes = [...new Set((result.findings || []).filter(f => f.severity === 'error' || f.severity === 'warning').map(f => f.code))];
+        const securityCols = [
+            result.security ? result.security.risk : 'N/A',
+            result.security ? result.security.issues.map(i => `${i.severity}: ${i.message} (${i.file})`).join(' | ') : ''
+        ].map(csvField).join(',');
+        const meta = result.metadata || {};
+        // Launch data is per item; list item=value when more than one declares it
+        const launchValue = key => (meta.launch || []).filter(l => l[key] !== null)
+            .map(l => meta.launch.length > 1 ? `${l.item}=${l[key]}` : l[key]).join(' | ');
+        const copyright = meta.copyright ? [meta.copyright.restricted, meta.copyright.description].filter(Boolean).join(': ') : '';
+        const metadataCols = [
+            meta.description || '',
+            (meta.keywords || []).join('; '),
+            meta.language || '',
+            meta.contentVersion || '',
+            meta.typicalLearningTime || '',
+            copyright,
+            launchValue('masteryScore'),
+            launchValue('maxTimeAllowed'),
+            launchValue('timeLimitAction'),
+            launchValue('dataFromLMS')
+        ].map(csvField).join(',');
+        const findingCols = [findingCount(result, 'error'), findingCount(result, 'warning'), codes.join(' ')].map(csvField).join(',');
         const status = result.success ? 'Success' : 'Failed';
         const resumeCap = result.success ? (result.resumeCapable || result.sessionId ? 'Yes' : 'No') : 'N/A';
+        const resumeScore = result.resumeConfidence ? result.resumeConfidence.score : 'N/A';
+        const standard = result.standard || 'N/A';
         const version = result.metadata && result.metadata.version ? result.metadata.version : 'N/A';
         const title = result.metadata && result.metadata.title ? result.metadata.title.replace(/,/g, ';') : 'N/A';
         const repairs = result.repairs ? result.repairs.length : 0;
         const error = result.error ? result.error.replace(/,/g, ';') : '';
-        csv += `"${result.filename}",${result.size || ''},"${status}","${resumeCap}","${version}","${title}",${repairs},"${error}"\n`;
+        csv += `"${result.filename}",${result.size || ''},"${status}","${resumeCap}","${resumeScore}","${standard}","${version}","${title}",${metadataCols},${toolCols},${securityCols},${findingCols},${repairs},"${error}"\n`;
     });
     downloadFile(csv, 'scorm-analysis-report.csv', 'text/csv');
 }
 
+// Quote a CSV field, doubling any embedded quotes
+function csvField(value) {
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
 function exportToJSON() {
     const data = window.batchAnalysisResults;
     if (!data) return;
@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const AdmZip = require('adm-zip');
 const xml2js = require('xml2js');
+const { validateXML } = require('xmllint-wasm');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
@@ -29,13 +30,19 @@ async function analyzeSCORM(zipPath) {
     try {
         const zip = new AdmZip(zipPath);
         const zipEntries = zip.getEntries();
+        // Analysis inflates entries in memory, so refuse zip bombs up front
+        checkArchiveLimits(zipEntries);
 
         const manifestEntry = zipEntries.find(entry =>
             entry.entryName.toLowerCase().endsWith('imsmanifest.xml')
         );
 
         if (!manifestEntry) {
-            return { success: false, error: 'No imsmanifest.xml found in the package' };
+            // Not SCORM — try the other packaging standards
+            const other = await analyzeOtherStandard(zipEntries);
+            if (other) return other;
+            return failedAnalysis('PACKAGE_NO_DESCRIPTOR', 'No imsmanifest.xml, cmi5.xml, tincan.xml or AICC course files found in the package',
+                'Add an imsmanifest.xml at the package root, or use Repair to generate one');
         }
 
         const manifestContent = manifestEntry.getData().toString('utf8');
@@ -45,257 +52,3846 @@ async function analyzeSCORM(zipPath) {
         const analysis = {
             success: true,
             hasManifest: true,
+            standard: 'SCORM',
             resumeCapable: false,
             details: [],
+            findings: [],
             metadata: {}
         };
+        const manifestFile = manifestEntry.entryName;
 
         const manifest = result.manifest;
         let scormVersion = 'Unknown';
 
         if (manifest.metadata && manifest.metadata[0].schemaversion) {
             scormVersion = manifest.metadata[0].schemaversion[0];
-            analysis.details.push(`📋 SCORM Version: ${scormVersion}`);
+            addFinding(analysis, 'MANIFEST_SCHEMA_VERSION', 'info', 'manifest', `SCORM Version: ${scormVersion}`, { icon: '📋', evidence: { file: manifestFile } });
             analysis.metadata.version = scormVersion;
         }
 
-        if (manifest.metadata && manifest.metadata[0].lom) {
-            const lom = manifest.metadata[0].lom[0];
-            if (lom.general && lom.general[0].title && lom.general[0].title[0].langstring) {
-                const title = lom.general[0].title[0].langstring[0]._;
-                if (title) {
-                    analysis.details.push(`📚 Course: ${title}`);
-                    analysis.metadata.title = title;
+        if (manifest.organizations && manifest.organizations[0].organization) {
+            analysis.organizations = buildOrganizationTree(manifest);
+        }
+
+        // LOM (inline and adlcp:location) plus per-item launch data
+        const manifestName = manifestEntry.entryName.replace(/\\/g, '/');
+        const manifestPrefix = manifestName.includes('/') ? manifestName.slice(0, manifestName.lastIndexOf('/') + 1) : '';
+        reportMetadata(analysis, await extractManifestMetadata(manifest, zipEntries, manifestPrefix), manifestFile);
+
+        if (analysis.organizations) {
+            addFinding(analysis, 'STRUCTURE_ORGANIZATIONS', 'info', 'structure', `Found ${analysis.organizations.length} organization(s)`, { icon: '📁' });
+            const walkItems = items => items.forEach(item => {
+                if (item.identifierref) addFinding(analysis, 'STRUCTURE_SCO_ITEM', 'info', 'structure', `SCO: ${item.title}`, { icon: '📄' });
+                walkItems(item.children);
+            });
+            analysis.organizations.forEach(org => walkItems(org.items));
+        }
+
+        // Offline XSD validation against the bundled IMS/ADL schemas
+        try {
+            const schemaValidation = await validateManifestSchema(manifestContent, scormVersion);
+            analysis.schemaValidation = schemaValidation;
+            reportSchemaValidation(analysis, schemaValidation, manifestFile);
+        } catch (err) {
+            addFinding(analysis, 'SCHEMA_UNAVAILABLE', 'warning', 'schema', `Schema validation could not run: ${err.message.split('\n')[0]}`);
+        }
+
+        // SCORM 2004 sequencing & navigation (imsss / adlnav)
+        const sequencing = analyzeSequencing(manifest);
+        if (sequencing.activities.length > 0 || sequencing.collection.length > 0) {
+            reportSequencing(analysis, sequencing);
+            analysis.sequencing = { collection: sequencing.collection, activities: sequencing.activities };
+        }
+
+        // Every SCO, in launch order; the first one is the package's launch file
+        const scoResources = listScoResources(manifest);
+        if (scoResources.length > 0) {
+            addFinding(analysis, 'RESOURCE_SCO_COUNT', 'info', 'resources', `Found ${scoResources.length} SCO resource(s)`, { icon: '📦' });
+            analysis.resumeCapable = true;
+            addFinding(analysis, 'RESOURCE_SCO_PRESENT', 'success', 'resources', 'Package contains SCO resources (supports data persistence)');
+            analysis.metadata.launchFile = scoResources[0].launchFile;
+        } else {
+            const firstResource = childNode(childNode(manifest, 'resources'), 'resource');
+            if (nodeAttrs(firstResource).href) analysis.metadata.launchFile = nodeAttrs(firstResource).href;
+        }
+
+        // Manifest ↔ zip contents integrity
+        const packageFiles = zipEntries
+            .filter(e => !e.isDirectory)
+            .map(e => e.entryName.replace(/\\/g, '/'))
+            .filter(n => n.startsWith(manifestPrefix))
+            .map(n => n.slice(manifestPrefix.length));
+        analysis.integrity = checkPackageIntegrity(manifest, packageFiles);
+        reportIntegrity(analysis, analysis.integrity, manifestFile);
+        reportRepairLog(analysis, zipEntries);
+
+        // Scan every JS file and inline HTML script for SCORM API usage
+        analysis.apiUsage = scanScormApiUsage(zipEntries);
+        reportApiUsage(analysis, analysis.apiUsage, API_USAGE_PATTERNS, 'SCORM API calls');
+
+        // Per-SCO launch file and API usage
+        reportScos(analysis, breakDownScos(scoResources, zipEntries, manifestPrefix, analysis.apiUsage));
+
+        analysis.resumeConfidence = scoreResumeConfidence(manifest, analysis.apiUsage);
+        addFinding(analysis, 'RESUME_CONFIDENCE', 'info', 'resume',
+            `Resume confidence: ${analysis.resumeConfidence.score}/100 (${analysis.resumeConfidence.level})`, { icon: '🎚️' });
+
+        // Authoring tool fingerprint & tool-specific resume guidance
+        reportAuthoringTool(analysis, fingerprintAuthoringTool(zipEntries, analysis.metadata.launchFile));
+        reportSecurity(analysis, scanPackageSecurity(zipEntries));
+
+        analysis.suspendData = assessSuspendDataCapacity(scormVersion, analysis.authoringTool, analysis.apiUsage);
+        if (analysis.suspendData.atRisk) {
+            addFinding(analysis, 'SUSPEND_DATA_LIMIT_RISK', 'warning', 'resume',
+                `SCORM 1.2 limits cmi.suspend_data to 4096 characters and ${analysis.suspendData.reasons.join('; ')} — resume may silently break on long courses`,
+                { evidence: analysis.suspendData.evidence, fix: 'Publish as SCORM 2004 (64000 characters) or reduce the state the course tracks' });
+        }
+        reportResumeFallback(analysis);
+
+        return analysis;
+
+    } catch (error) {
+        if (error.extraction) {
+            return { ...failedAnalysis(`EXTRACTION_${error.extraction.code}`, error.message, 'The archive exceeds the safe extraction limits — inspect it before use'), extractionError: error.extraction };
+        }
+        return failedAnalysis('PACKAGE_UNREADABLE', error.message, 'Check that the file is a valid ZIP and the descriptor is well-formed XML');
+    }
+}
+
+// ─── FINDINGS ───────────────────────────────────────────────────────────────
+
+// Every analysis observation is recorded as a finding with a stable code that
+// scripts can match on. The same observation is rendered into the legacy
+// `details` string list so older clients keep working.
+//   severity: error | warning | info | success
+//   evidence: { file, line?, column? }
+//   fix:      short hint on how to resolve it
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️', info: 'ℹ️', success: '✅' };
+
+function addFinding(analysis, code, severity, category, message, extra = {}) {
+    const finding = { code, severity, category, message };
+    if (extra.evidence) finding.evidence = extra.evidence;
+    if (extra.fix) finding.fix = extra.fix;
+    analysis.findings.push(finding);
+    if (extra.legacy !== false) analysis.details.push(`${extra.icon || SEVERITY_ICONS[severity]} ${message}`);
+    return finding;
+}
+
+function failedAnalysis(code, message, fix) {
+    return {
+        success: false,
+        error: message,
+        findings: [{ code, severity: 'error', category: 'package', message, fix }]
+    };
+}
+
+function reportSchemaValidation(analysis, validation, manifestFile) {
+    if (validation.valid) {
+        addFinding(analysis, 'SCHEMA_VALID', 'success', 'schema',
+            `Manifest valid against ${validation.schemaSet} schemas${validation.warningCount ? ` (${validation.warningCount} warning(s))` : ''}`);
+    } else {
+        addFinding(analysis, 'SCHEMA_INVALID', 'error', 'schema',
+            `Manifest has ${validation.errorCount} schema violation(s) against ${validation.schemaSet}`,
+            { fix: 'Fix the listed violations; Repair corrects missing namespaces and schemaLocation' });
+    }
+    validation.notes.forEach(n => addFinding(analysis, 'SCHEMA_NOTE', 'info', 'schema', n));
+    // One finding per violation; the summary line above already covers details
+    validation.violations.forEach(v => addFinding(analysis, `SCHEMA_${v.rule.toUpperCase().replace(/-/g, '_')}`, v.severity, 'schema',
+        v.message, { legacy: false, evidence: { file: manifestFile, line: v.line, column: v.column } }));
+}
+
+function reportAuthoringTool(analysis, authoringTool) {
+    if (!authoringTool) return;
+    analysis.authoringTool = authoringTool;
+    addFinding(analysis, 'TOOL_DETECTED', 'info', 'authoring-tool',
+        `Authoring tool: ${authoringTool.name}${authoringTool.version ? ' ' + authoringTool.version : ''} (${authoringTool.confidence} confidence)`,
+        { icon: '🛠️' });
+    authoringTool.findings.forEach(f => addFinding(analysis, f.code, f.severity, 'authoring-tool', f.message,
+        { icon: f.severity === 'warning' ? '⚠️' : '💡', fix: f.fix }));
+}
+
+function reportResumeFallback(analysis) {
+    if (analysis.resumeCapable) return;
+    addFinding(analysis, 'RESUME_NOT_DETECTED', 'warning', 'resume', 'No clear resume capability indicators found',
+        { fix: 'Check the authoring tool resume setting, or use Repair to inject the SCORM API shim' });
+    addFinding(analysis, 'RESUME_RUNTIME_POSSIBLE', 'info', 'resume', 'Package may still support resume if implemented at runtime');
+}
+
+// ─── SCRIPT SCANNING ────────────────────────────────────────────────────────
+
+// Each pattern is matched against every JS file and every inline <script>
+// block. `resume` marks evidence that the content persists learner state.
+const API_USAGE_PATTERNS = [
+    { id: 'suspend_data', label: 'cmi.suspend_data', resume: true, regex: /cmi\.suspend_data/g },
+    { id: 'location', label: 'cmi.location / cmi.core.lesson_location', resume: true, regex: /cmi\.(?:core\.lesson_location|location)\b/g },
+    { id: 'lesson_status', label: 'completion / lesson status', regex: /cmi\.(?:core\.lesson_status|completion_status|success_status)/g },
+    { id: 'entry', label: 'cmi.entry', regex: /cmi\.(?:core\.)?entry\b/g },
+    { id: 'exit', label: 'cmi.exit', regex: /cmi\.(?:core\.)?exit\b/g },
+    { id: 'LMS_Initialize', label: 'LMSInitialize / Initialize', regex: /\bLMSInitialize\s*\(|\.Initialize\s*\(\s*(?:""|'')\s*\)/g },
+    { id: 'LMS_Commit', label: 'LMSCommit / Commit', regex: /\bLMSCommit\s*\(|\.Commit\s*\(\s*(?:""|'')\s*\)/g },
+    { id: 'LMS_Finish', label: 'LMSFinish / Terminate', regex: /\bLMSFinish\s*\(|\.Terminate\s*\(\s*(?:""|'')\s*\)/g },
+    { id: 'api_discovery', label: 'API discovery (findAPI / getAPI)', regex: /\b(?:find|get|scan)_?(?:LMS)?API(?:Handle)?\s*\(/gi },
+    // Element names assembled at runtime: "cmi." + "suspend_data" names a
+    // resume element; "cmi." + a variable or a bare "suspend_data" literal
+    // (a config key, a lookup table) is reported but proves nothing
+    { id: 'string_built', label: 'string-built resume element names', resume: true, regex: /["']cmi\.(?:core\.)?["']\s*\+\s*["'](?:suspend_data|lesson_location)["']/g },
+    { id: 'string_element', label: 'string-built or bare CMI element names', regex: /["']cmi\.(?:core\.)?["']\s*\+(?!\s*["'](?:suspend_data|lesson_location)["'])|(?<!\+\s*)["'](?:suspend_data|lesson_location)["']/g },
+    // A bundled wrapper is no proof of resume by itself; its calls are
+    // matched by the element patterns above
+    { id: 'wrapper_pipwerks', label: 'pipwerks SCORM wrapper', regex: /\bpipwerks\.SCORM\b/g },
+    { id: 'wrapper_adl', label: 'ADL APIWrapper', regex: /\bdo(?:LMS)?(?:Initialize|SetValue|GetValue|Commit|Finish|Terminate)\s*\(/g },
+    { id: 'wrapper_scorm_driver', label: 'SCORM Driver bookmark / data chunk', resume: true, regex: /\b(?:Set|Get)(?:DataChunk|Bookmark)\s*\(/g },
+    { id: 'wrapper_scorm_process', label: 'ScormProcess wrapper', regex: /\bScormProcess(?:Initialize|SetValue|GetValue|Finish|Terminate)\s*\(/g },
+    // Context only (not reported as API usage): used by the resume-confidence
+    // score and the suspend_data capacity check
+    { id: 'unload_handler', label: 'unload / pagehide handler', context: true, regex: /\bon(?:before)?unload\b|["'](?:beforeunload|unload|pagehide)["']/g },
+    { id: 'suspend_serialized', label: 'JSON serialized into suspend_data', context: true, regex: /cmi\.suspend_data["']\s*,\s*JSON\.stringify/g },
+    { id: 'suspend_compressed', label: 'state compression library', context: true, regex: /\bLZString\b|\bcompressToBase64\b|\bpako\.(?:deflate|gzip)\b/g }
+];
+
+// Locations kept per pattern per file; totals are always exact.
+const MAX_FINDINGS_PER_FILE = 20;
+
+const INJECTED_SCRIPT_MARKERS = ['SCORM API Shim (inlined)', 'SCORM Event Tracker (inlined)', 'SCORM Runtime Adapter — added to launch pages'];
+
+function scanScormApiUsage(zipEntries, patterns = API_USAGE_PATTERNS) {
+    const usage = { filesScanned: 0, jsFiles: 0, htmlFiles: 0, findings: [], summary: {}, byFile: {} };
+
+    for (const entry of zipEntries) {
+        if (entry.isDirectory) continue;
+        const name = entry.entryName;
+        const isJs = /\.js$/i.test(name);
+        const isHtml = /\.html?$/i.test(name);
+        if (!isJs && !isHtml) continue;
+
+        let content;
+        try { content = entry.getData().toString('utf8'); } catch (_) { continue; }
+
+        // For HTML only the inline script bodies are scanned, using offsets
+        // into the whole file so line numbers stay correct.
+        const ranges = isJs ? [[0, content.length]] : scriptRanges(content);
+        if (isJs) usage.jsFiles++; else usage.htmlFiles++;
+        usage.filesScanned++;
+
+        const lineStarts = lineStartsOf(content);
+        const kept = {};
+
+        for (const [from, to] of ranges) {
+            const code = content.slice(from, to);
+            if (INJECTED_SCRIPT_MARKERS.some(m => code.includes(m))) continue;
+
+            for (const pattern of patterns) {
+                pattern.regex.lastIndex = 0;
+                let match;
+                while ((match = pattern.regex.exec(code)) !== null) {
+                    usage.summary[pattern.id] = (usage.summary[pattern.id] || 0) + 1;
+                    const fileCounts = usage.byFile[name] = usage.byFile[name] || {};
+                    fileCounts[pattern.id] = (fileCounts[pattern.id] || 0) + 1;
+                    kept[pattern.id] = (kept[pattern.id] || 0) + 1;
+                    if (kept[pattern.id] > MAX_FINDINGS_PER_FILE) continue;
+                    const offset = from + match.index;
+                    const line = lineAt(lineStarts, offset);
+                    usage.findings.push({
+                        pattern: pattern.id,
+                        file: name,
+                        line,
+                        column: offset - lineStarts[line - 1] + 1,
+                        access: accessKind(code, match.index, match[0]),
+                        snippet: snippetAround(content, offset, match[0].length)
+                    });
+                }
+            }
+        }
+    }
+
+    return usage;
+}
+
+// Summarize a scan into findings; any `resume` pattern hit marks the
+// package resume-capable
+function reportApiUsage(analysis, usage, patterns, label) {
+    addFinding(analysis, 'API_SCAN_SUMMARY', 'info', 'api-usage',
+        `Scanned ${usage.filesScanned} script source(s) (${usage.jsFiles} JS, ${usage.htmlFiles} HTML)`, { icon: '📂' });
+
+    const foundIds = Object.keys(usage.summary).filter(id => !patterns.find(p => p.id === id).context);
+    if (foundIds.some(id => patterns.find(p => p.id === id).resume)) {
+        analysis.resumeCapable = true;
+        addFinding(analysis, 'API_RESUME_DATA', 'success', 'api-usage', `Found ${label}: ${foundIds.join(', ')}`);
+    } else if (foundIds.length > 0) {
+        addFinding(analysis, 'API_NO_RESUME_DATA', 'info', 'api-usage', `Found ${label} without resume data: ${foundIds.join(', ')}`,
+            { fix: 'Content never reads or writes suspend data / bookmark — enable resume in the authoring tool' });
+    }
+    foundIds.forEach(id => {
+        const first = usage.findings.find(f => f.pattern === id);
+        const pattern = patterns.find(p => p.id === id);
+        addFinding(analysis, `API_USAGE_${id.toUpperCase()}`, 'info', 'api-usage',
+            `${pattern.label}: ${usage.summary[id]} reference(s), first at ${first.file}:${first.line}`,
+            { icon: '🔎', evidence: { file: first.file, line: first.line, column: first.column } });
+    });
+}
+
+// Offsets of the bodies of inline <script> elements (external src= scripts
+// have an empty body and are scanned as JS files instead).
+function scriptRanges(html) {
+    const ranges = [];
+    const re = /<script\b[^>]*>([\s\S]*?)<\/script\s*>/gi;
+    let m;
+    while ((m = re.exec(html)) !== null) {
+        if (!m[1].trim()) continue;
+        const bodyStart = m.index + m[0].indexOf('>') + 1;
+        ranges.push([bodyStart, bodyStart + m[1].length]);
+    }
+    return ranges;
+}
+
+function lineStartsOf(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+        if (content.charCodeAt(i) === 10) lineStarts.push(i + 1);
+    }
+    return lineStarts;
+}
+
+function lineAt(lineStarts, offset) {
+    let lo = 0, hi = lineStarts.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return lo + 1;
+}
+
+// 'write' / 'read' when the match is the argument of a SCORM API or wrapper
+// Set/Get call: (LMS)SetValue / GetValue and their ADL / ScormProcess
+// wrappers, pipwerks.SCORM.set / get (also through a `scorm` alias) and
+// SCORM Driver's SetDataChunk / GetDataChunk. Any other .set( / .get(
+// (a Map, URLSearchParams) proves nothing.
+const WRITE_CALL = /(?:SetValue|\bscorm\.(?:data\.)?set|SetDataChunk)\s*\([^,()]*$/i;
+const READ_CALL = /(?:GetValue|\bscorm\.(?:data\.)?get|GetDataChunk)\s*\([^,()]*$/i;
+
+function accessKind(code, index, matched) {
+    if (/^Set/.test(matched)) return 'write';
+    if (/^Get/.test(matched)) return 'read';
+    const before = code.slice(Math.max(0, index - 40), index);
+    if (WRITE_CALL.test(before)) return 'write';
+    if (READ_CALL.test(before)) return 'read';
+    return null;
+}
+
+// Minified bundles are often one huge line, so show a window around the match
+function snippetAround(content, offset, length) {
+    const start = Math.max(0, offset - 40);
+    const end = Math.min(content.length, offset + length + 40);
+    return content.slice(start, end).replace(/\s+/g, ' ').trim();
+}
+
+// ─── RESUME CONFIDENCE ──────────────────────────────────────────────────────
+
+// Weighted evidence that a package really restores learner state. A factor
+// earns its full weight when the scan proves the access direction and half
+// when the element is referenced but read/write could not be told apart
+// (typical for minified players that pass element names through variables).
+// Weights add up to 100.
+const RESUME_FACTORS = [
+    { id: 'sco', label: 'SCO resource declared', weight: 10 },
+    { id: 'suspend_write', label: 'suspend_data written', weight: 25 },
+    { id: 'suspend_read', label: 'suspend_data read', weight: 15 },
+    { id: 'bookmark_read', label: 'Bookmark (location) read', weight: 15 },
+    { id: 'entry', label: 'cmi.entry checked (resume vs. new attempt)', weight: 10 },
+    { id: 'exit', label: 'cmi.exit set (e.g. "suspend")', weight: 10 },
+    { id: 'commit_unload', label: 'Commit / finish on page unload', weight: 15 }
+];
+
+function scoreResumeConfidence(manifest, usage) {
+    const findingsFor = ids => usage.findings.filter(f => ids.includes(f.pattern));
+    const at = f => `${f.file}:${f.line}`;
+
+    // Proven access → full weight; reference of unknown direction → half
+    const accessFactor = (ids, access, driverRegex) => {
+        const refs = findingsFor(ids);
+        const driverRefs = driverRegex ? findingsFor(['wrapper_scorm_driver']).filter(f => driverRegex.test(f.snippet)) : [];
+        const proven = refs.concat(driverRefs).find(f => f.access === access);
+        if (proven) return { ratio: 1, evidence: at(proven) };
+        const unknown = refs.find(f => f.access === null);
+        return unknown ? { ratio: 0.5, evidence: `${at(unknown)} (access not determined)` } : null;
+    };
+
+    const resources = childNodes(childNode(manifest, 'resources'), 'resource');
+    const sco = resources.find(r => (attrByLocalName(r, 'scormtype') || '').toLowerCase() === 'sco');
+
+    // Commit/finish in a file that also registers an unload handler; SCORM
+    // Driver commits on unload itself
+    const unloadFiles = new Set(findingsFor(['unload_handler']).map(f => f.file));
+    const unloadCommit = findingsFor(['LMS_Commit', 'LMS_Finish']).find(f => unloadFiles.has(f.file)) ||
+        findingsFor(['wrapper_scorm_driver'])[0];
+
+    const evidence = {
+        sco: sco ? { ratio: 1, evidence: `resource ${nodeAttrs(sco).identifier || nodeAttrs(sco).href}` } : null,
+        suspend_write: accessFactor(['suspend_data', 'string_built', 'string_element'], 'write', /SetDataChunk/),
+        suspend_read: accessFactor(['suspend_data', 'string_built', 'string_element'], 'read', /GetDataChunk/),
+        bookmark_read: accessFactor(['location'], 'read', /GetBookmark/),
+        entry: accessFactor(['entry'], 'read'),
+        exit: accessFactor(['exit'], 'write'),
+        commit_unload: unloadCommit ? { ratio: 1, evidence: at(unloadCommit) } : null
+    };
+
+    const factors = RESUME_FACTORS.map(f => {
+        const e = evidence[f.id];
+        return { id: f.id, label: f.label, weight: f.weight, points: e ? Math.round(f.weight * e.ratio) : 0, evidence: e ? e.evidence : null };
+    });
+    const score = factors.reduce((sum, f) => sum + f.points, 0);
+    return {
+        score,
+        level: score >= 70 ? 'high' : score >= 40 ? 'medium' : score > 0 ? 'low' : 'none',
+        factors
+    };
+}
+
+// ─── SUSPEND DATA CAPACITY ──────────────────────────────────────────────────
+
+// SCORM 1.2 types cmi.suspend_data as CMIString4096; 2004 raises the
+// smallest permitted maximum to 64000. Packages declared as 1.2 are flagged
+// when their authoring tool or code is known to store large state.
+const SUSPEND_DATA_LIMITS = { '1.2': 4096, '2004': 64000 };
+
+function assessSuspendDataCapacity(scormVersion, authoringTool, usage) {
+    const is12 = /^1\.2$/.test(String(scormVersion).trim());
+    const result = { limit: SUSPEND_DATA_LIMITS[is12 ? '1.2' : '2004'], risk: 'low', reasons: [], evidence: null };
+    const raise = level => { if (level === 'high' || result.risk === 'low') result.risk = level; };
+
+    if (authoringTool && authoringTool.suspendDataRisk) {
+        raise(authoringTool.suspendDataRisk);
+        result.reasons.push(`${authoringTool.name} stores ${authoringTool.suspendDataRisk === 'high' ? 'its full player state' : 'slide and quiz state'} in suspend_data`);
+    }
+    const first = id => {
+        const f = usage.findings.find(x => x.pattern === id);
+        return { file: f.file, line: f.line, column: f.column };
+    };
+    if (usage.summary.suspend_serialized) {
+        raise('high');
+        result.reasons.push('content serializes whole objects into suspend_data (JSON.stringify)');
+        result.evidence = result.evidence || first('suspend_serialized');
+    }
+    if (usage.summary.suspend_compressed) {
+        raise('medium');
+        result.reasons.push('content compresses its state, a sign it is already close to the limit');
+        result.evidence = result.evidence || first('suspend_compressed');
+    }
+
+    result.atRisk = is12 && result.risk !== 'low';
+    return result;
+}
+
+// ─── AUTHORING TOOL FINGERPRINTING ──────────────────────────────────────────
+
+// Signatures per tool: `files` are matched against entry paths, `content`
+// against the text of root-level HTML and well-known script files. Each hit
+// adds its weight; the best-scoring tool wins. `suspendData` rates how much
+// learner state the tool's player keeps in cmi.suspend_data.
+const AUTHORING_TOOLS = [
+    {
+        id: 'storyline',
+        name: 'Articulate Storyline',
+        files: [
+            { regex: /(^|\/)story_content\//i, weight: 3, evidence: 'story_content/ folder' },
+            { regex: /(^|\/)story\.html?$/i, weight: 2, evidence: 'story.html' },
+            { regex: /(^|\/)index_lms\.html?$/i, weight: 1, evidence: 'index_lms.html' },
+            { regex: /(^|\/)html5\/data\/js\/data\.js$/i, weight: 2, evidence: 'html5/data/js/data.js' }
+        ],
+        content: [
+            { regex: /Created using (Storyline[^\n\r<-]*)/i, weight: 4, evidence: 'Storyline "Created using" comment' }
+        ],
+        edition: /Created using Storyline\s*(360|\d+)/i,
+        suspendData: 'high',
+        version: [/<!--\s*version:\s*([\d.]+)\s*-->/i]
+    },
+    {
+        id: 'rise',
+        name: 'Articulate Rise',
+        files: [
+            { regex: /(^|\/)scormcontent\//i, weight: 3, evidence: 'scormcontent/ folder' },
+            { regex: /(^|\/)scormdriver\/indexAPI\.html$/i, weight: 2, evidence: 'scormdriver/indexAPI.html' },
+            { regex: /(^|\/)scormcontent\/lib\/rise\//i, weight: 3, evidence: 'scormcontent/lib/rise/' }
+        ],
+        content: [
+            { regex: /\bRise\s*360\b|articulate\.com\/360\/rise/i, weight: 3, evidence: 'Rise 360 reference' }
+        ],
+        suspendData: 'high',
+        version: []
+    },
+    {
+        id: 'captivate',
+        name: 'Adobe Captivate',
+        files: [
+            { regex: /(^|\/)assets\/js\/CPM\.js$/i, weight: 3, evidence: 'assets/js/CPM.js' },
+            { regex: /(^|\/)assets\/js\/CPXHRLoader\.js$/i, weight: 3, evidence: 'assets/js/CPXHRLoader.js' },
+            { regex: /(^|\/)index_SCORM\.html?$/i, weight: 2, evidence: 'index_SCORM.html' },
+            { regex: /(^|\/)SCORM_utilities\.js$/i, weight: 1, evidence: 'SCORM_utilities.js' }
+        ],
+        content: [
+            { regex: /Adobe Captivate/i, weight: 4, evidence: 'Adobe Captivate generator/comment' },
+            { regex: /\bcp\.CPProjInit\b|\bcpInfoAuthor\b/, weight: 2, evidence: 'Captivate runtime globals' }
+        ],
+        suspendData: 'medium',
+        version: [/Adobe Captivate\s*(?:Classic\s*)?(?:version\s*)?([\d.]+)/i]
+    },
+    {
+        id: 'ispring',
+        name: 'iSpring Suite',
+        files: [
+            { regex: /(^|\/)data\/player\.js$/i, weight: 1, evidence: 'data/player.js' },
+            { regex: /(^|\/)res\/index\.html$/i, weight: 1, evidence: 'res/index.html' },
+            { regex: /ispring/i, weight: 3, evidence: 'iSpring-named file' }
+        ],
+        content: [
+            { regex: /iSpring\s*(?:Suite|Presenter|QuizMaker|Pro)/i, weight: 4, evidence: 'iSpring generator/comment' },
+            { regex: /\bispring\b/i, weight: 2, evidence: 'iSpring script reference' }
+        ],
+        suspendData: 'medium',
+        version: [/iSpring\s*(?:Suite|Presenter|QuizMaker|Pro)\s*([\d.]+)/i]
+    },
+    {
+        id: 'lectora',
+        name: 'Lectora',
+        files: [
+            { regex: /(^|\/)a001index\.html?$/i, weight: 3, evidence: 'a001index.html' },
+            { regex: /(^|\/)trivantis[\w-]*\.(?:js|css)$/i, weight: 3, evidence: 'trivantis script/style' },
+            { regex: /(^|\/)titlemgr\.js$/i, weight: 2, evidence: 'titlemgr.js' }
+        ],
+        content: [
+            { regex: /Lectora\s*(?:Inspire|Online|Publisher)?/i, weight: 3, evidence: 'Lectora generator/comment' },
+            { regex: /\bTrivantis\b/i, weight: 2, evidence: 'Trivantis reference' }
+        ],
+        version: [/Lectora\s*(?:Inspire|Online|Publisher)?\s*([\d.]+)/i]
+    },
+    {
+        id: 'elucidat',
+        name: 'Elucidat',
+        files: [
+            { regex: /elucidat/i, weight: 3, evidence: 'Elucidat-named file' }
+        ],
+        content: [
+            { regex: /\belucidat\b/i, weight: 3, evidence: 'Elucidat reference' },
+            { regex: /learning\.elucidat\.com|app\.elucidat\.com/i, weight: 2, evidence: 'Elucidat-hosted content URL' }
+        ],
+        version: [/elucidat[^\n"']*?version["':\s]+([\d.]+)/i]
+    }
+];
+
+// Known resume behaviour and the publish settings that avoid it, per tool
+const AUTHORING_TOOL_GUIDANCE = {
+    storyline: {
+        findings: [
+            'Only index_lms.html talks to the LMS — launching story.html runs without SCORM tracking or resume',
+            'Resume state lives in cmi.suspend_data; large courses can exceed the SCORM 1.2 4096-character limit'
+        ],
+        settings: [
+            'Player → Other → Resume on restart: "Always resume" (or "Prompt to resume")',
+            'Publish → LMS → Reporting and tracking: choose SCORM 2004 3rd/4th Edition for long courses',
+            'Manifest launch file: index_lms.html'
+        ]
+    },
+    rise: {
+        findings: [
+            'Rise tracks progress through the bundled SCORM Driver (scormdriver/), which stores lesson progress in cmi.suspend_data',
+            'Courses with many lessons or knowledge checks can overflow SCORM 1.2 suspend_data'
+        ],
+        settings: [
+            'Export → LMS → SCORM 2004 for courses with many lessons',
+            'Keep index.html (which loads scormdriver/indexAPI.html) as the manifest launch file',
+            'Tracking: "Course completion" or "Quiz result" to match the LMS completion rule'
+        ]
+    },
+    captivate: {
+        findings: [
+            'Captivate only bookmarks when "Self-Paced Learning" is enabled in Quiz → Reporting',
+            'Slide visit data and quiz state are written to cmi.suspend_data on every slide change'
+        ],
+        settings: [
+            'Quiz → Preferences → Reporting: enable "Self-Paced Learning"',
+            'Reporting → Advanced: leave "Never Send Resume Data" unchecked',
+            'Publish the SCORM package with index_SCORM.html as the launch file'
+        ]
+    },
+    ispring: {
+        findings: [
+            'iSpring stores slide position and quiz state in cmi.suspend_data; resume depends on the player "Resume presentation" option',
+            'Quizzes with many question attempts can exceed the SCORM 1.2 suspend_data limit'
+        ],
+        settings: [
+            'Player → Navigation → Resume presentation: "Always" or "Prompt"',
+            'Publish → LMS → Profile: SCORM 2004 for quiz-heavy courses'
+        ]
+    },
+    lectora: {
+        findings: [
+            'Lectora only persists variables marked "Retain variable value between sessions" to cmi.suspend_data',
+            'Bookmarking relies on the title being published with AICC/SCORM tracking enabled'
+        ],
+        settings: [
+            'Title Properties → Content: enable AICC/SCORM for LMS tracking',
+            'Variables: set "Retain variable value between sessions" for every progress variable',
+            'Publish → SCORM: select SCORM 2004 when many variables are retained'
+        ]
+    },
+    elucidat: {
+        findings: [
+            'Elucidat learner progress is saved through the SCORM API; some release types load content from Elucidat servers and need network access',
+            'Resume only works when learner progress saving is enabled in the project settings'
+        ],
+        settings: [
+            'Project settings → Learner progress: enable saving/resuming progress',
+            'Release as SCORM 2004 for long courses; prefer an offline release for restricted networks'
+        ]
+    }
+};
+
+// Text sampled from each file is capped so huge bundles do not dominate
+const FINGERPRINT_SAMPLE_BYTES = 256 * 1024;
+
+function fingerprintAuthoringTool(zipEntries, launchFile) {
+    const names = zipEntries.filter(e => !e.isDirectory).map(e => e.entryName);
+
+    // HTML pages at the package root (or one folder down) plus the scripts
+    // tools typically stamp with their name
+    const sampled = zipEntries.filter(e => !e.isDirectory && (
+        /^[^/]*\/?[^/]+\.html?$/i.test(e.entryName) ||
+        /(^|\/)(?:CPM|user|data|player|trivantis[\w-]*|titlemgr)\.js$/i.test(e.entryName) ||
+        /(^|\/)meta\.xml$/i.test(e.entryName)
+    ));
+    const texts = [];
+    for (const entry of sampled) {
+        try { texts.push(entry.getData().slice(0, FINGERPRINT_SAMPLE_BYTES).toString('utf8')); } catch (_) { }
+    }
+    const generators = [];
+    texts.forEach(t => {
+        const re = /<meta[^>]+name=["']generator["'][^>]*content=["']([^"']+)["']/gi;
+        let m;
+        while ((m = re.exec(t)) !== null) generators.push(m[1]);
+    });
+    const haystack = texts.concat(generators).join('\n');
+
+    let best = null;
+    for (const tool of AUTHORING_TOOLS) {
+        let score = 0;
+        const evidence = [];
+        tool.files.forEach(sig => {
+            if (names.some(n => sig.regex.test(n))) { score += sig.weight; evidence.push(sig.evidence); }
+        });
+        tool.content.forEach(sig => {
+            if (sig.regex.test(haystack)) { score += sig.weight; evidence.push(sig.evidence); }
+        });
+        if (score > 0 && (!best || score > best.score)) best = { tool, score, evidence };
+    }
+    if (!best || best.score < 2) return null;
+
+    let version = null;
+    for (const re of best.tool.version) {
+        const m = haystack.match(re);
+        if (m && m[1]) { version = m[1].trim(); break; }
+    }
+
+    const edition = best.tool.edition && haystack.match(best.tool.edition);
+
+    const guidance = AUTHORING_TOOL_GUIDANCE[best.tool.id];
+    const result = {
+        id: best.tool.id,
+        name: best.tool.name + (edition ? ' ' + edition[1] : ''),
+        version,
+        confidence: best.score >= 5 ? 'high' : (best.score >= 3 ? 'medium' : 'low'),
+        evidence: best.evidence,
+        suspendDataRisk: best.tool.suspendData || null,
+        findings: guidance.findings.map(message => ({ code: 'TOOL_RESUME_NOTE', severity: 'info', message })),
+        recommendedSettings: [...guidance.settings]
+    };
+
+    // Checks against the package itself
+    const launch = (launchFile || '').toLowerCase();
+    if (best.tool.id === 'storyline' && /(^|\/)story\.html?$/.test(launch) && names.some(n => /(^|\/)index_lms\.html?$/i.test(n))) {
+        result.findings.unshift({ code: 'TOOL_WRONG_LAUNCH_FILE', severity: 'warning', message: `Manifest launches ${launchFile} instead of index_lms.html — resume will not work`, fix: 'Point the SCO resource href at index_lms.html' });
+    }
+    if (best.tool.id === 'captivate' && launchFile && !/index_scorm\.html?$/.test(launch) && names.some(n => /(^|\/)index_SCORM\.html?$/i.test(n))) {
+        result.findings.unshift({ code: 'TOOL_WRONG_LAUNCH_FILE', severity: 'warning', message: `Manifest launches ${launchFile} but the package ships index_SCORM.html`, fix: 'Point the SCO resource href at index_SCORM.html' });
+    }
+
+    return result;
+}
+
+// ─── SCHEMA VALIDATION ──────────────────────────────────────────────────────
+
+// Bundled IMS/ADL schema sets (schemas/<dir>/manifest.xsd imports the rest).
+const SCHEMA_SETS = {
+    scorm12: { dir: 'scorm12', label: 'SCORM 1.2' },
+    scorm2004_2nd: { dir: 'scorm2004_2nd', label: 'SCORM 2004 2nd Edition' },
+    scorm2004_3rd: { dir: 'scorm2004_3rd', label: 'SCORM 2004 3rd Edition' },
+    scorm2004_4th: { dir: 'scorm2004_4th', label: 'SCORM 2004 4th Edition' }
+};
+
+const SCHEMA_FILES_BY_NAMESPACE = {
+    'http://www.imsproject.org/xsd/imscp_rootv1p1p2': 'imscp_rootv1p1p2.xsd',
+    'http://www.adlnet.org/xsd/adlcp_rootv1p2': 'adlcp_rootv1p2.xsd',
+    'http://www.imsglobal.org/xsd/imsmd_rootv1p2p1': 'imsmd_lax.xsd',
+    'http://www.imsglobal.org/xsd/imscp_v1p1': 'imscp_v1p1.xsd',
+    'http://www.adlnet.org/xsd/adlcp_v1p3': 'adlcp_v1p3.xsd',
+    'http://www.adlnet.org/xsd/adlseq_v1p3': 'adlseq_v1p3.xsd',
+    'http://www.adlnet.org/xsd/adlnav_v1p3': 'adlnav_v1p3.xsd',
+    'http://www.imsglobal.org/xsd/imsss': 'imsss_v1p0.xsd'
+};
+
+// libxml2 message → short rule id
+const SCHEMA_RULES = [
+    { rule: 'well-formed', regex: /parser error/i },
+    { rule: 'required-attribute', regex: /attribute '[^']+' is required but missing/i },
+    { rule: 'required-element', regex: /Missing child element/i },
+    { rule: 'element-order', regex: /This element is not expected/i },
+    { rule: 'enumeration', regex: /\[facet 'enumeration'\]/i },
+    { rule: 'duplicate-identifier', regex: /xs:ID|Duplicate key|not unique/i },
+    { rule: 'datatype', regex: /is not a valid value of|\[facet '/i },
+    { rule: 'undeclared-attribute', regex: /The attribute '[^']+' is not allowed/i },
+    { rule: 'undeclared-element', regex: /No matching global (?:element )?declaration/i }
+];
+
+const schemaCache = {};
+
+function loadSchemaSet(key) {
+    if (schemaCache[key]) return schemaCache[key];
+    const dir = path.join(__dirname, 'schemas', SCHEMA_SETS[key].dir);
+    const files = fs.readdirSync(dir).map(f => ({ fileName: f, contents: fs.readFileSync(path.join(dir, f), 'utf8') }));
+    schemaCache[key] = {
+        schema: files.filter(f => f.fileName === 'manifest.xsd'),
+        preload: files.filter(f => f.fileName !== 'manifest.xsd')
+    };
+    return schemaCache[key];
+}
+
+function selectSchemaSet(manifestXml, scormVersion) {
+    const version = String(scormVersion || '').toLowerCase();
+    const notes = [];
+    let key;
+    if (version === '1.2' || /imscp_rootv1p1p2/.test(manifestXml)) {
+        key = 'scorm12';
+    } else if (/3rd/.test(version)) {
+        key = 'scorm2004_3rd';
+    } else if (/2nd|cam 1\.3/.test(version)) {
+        key = 'scorm2004_2nd';
+    } else if (/4th/.test(version)) {
+        key = 'scorm2004_4th';
+    } else {
+        key = 'scorm2004_4th';
+        notes.push(`Unrecognized schemaversion "${scormVersion || 'none'}" — validated as SCORM 2004 4th Edition`);
+    }
+    return { key, notes };
+}
+
+async function validateManifestSchema(manifestXml, scormVersion) {
+    const { key, notes } = selectSchemaSet(manifestXml, scormVersion);
+    const set = loadSchemaSet(key);
+    const result = await validateXML({
+        xml: [{ fileName: 'imsmanifest.xml', contents: manifestXml }],
+        schema: set.schema,
+        preload: set.preload
+    });
+
+    const lines = manifestXml.split(/\r?\n/);
+    const violations = result.errors
+        .filter(e => !e.loc || e.loc.fileName === 'imsmanifest.xml')
+        .map(e => {
+            const message = e.message.replace(/^.*?(?:Schemas validity|parser) (?:error|warning) : /, '');
+            const element = e.message.match(/Element '(?:\{([^}]*)\})?([^']+)'/);
+            const attribute = e.message.match(/attribute '(?:\{([^}]*)\})?([^']+)'/);
+            const namespace = (attribute && attribute[1]) || (element && element[1]);
+            const line = e.loc ? e.loc.lineNumber : null;
+            return {
+                line,
+                column: line ? elementColumn(lines[line - 1], element && element[2]) : null,
+                severity: /warning/i.test(e.message) ? 'warning' : 'error',
+                rule: (SCHEMA_RULES.find(r => r.regex.test(e.message)) || { rule: 'schema' }).rule,
+                element: element ? element[2] : null,
+                attribute: attribute ? attribute[2] : null,
+                schema: namespace ? (SCHEMA_FILES_BY_NAMESPACE[namespace] || null) : null,
+                message
+            };
+        });
+
+    return {
+        schemaSet: SCHEMA_SETS[key].label,
+        valid: violations.every(v => v.severity !== 'error'),
+        errorCount: violations.filter(v => v.severity === 'error').length,
+        warningCount: violations.filter(v => v.severity === 'warning').length,
+        notes,
+        violations
+    };
+}
+
+// libxml2 only reports lines; point the column at the offending start tag
+function elementColumn(lineText, name) {
+    if (!lineText) return 1;
+    if (name) {
+        const m = new RegExp(`<(?:[\\w.-]+:)?${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[\\s/>]`).exec(lineText);
+        if (m) return m.index + 1;
+    }
+    const firstTag = lineText.indexOf('<');
+    return firstTag === -1 ? 1 : firstTag + 1;
+}
+
+// ─── PACKAGE INTEGRITY ──────────────────────────────────────────────────────
+
+// Files that are expected to sit in a package without being listed by any
+// resource: the manifest itself, the schema files shipped next to it and
+// the repair log with its stored originals (scorm-repair/).
+const UNLISTED_FILE_PATTERN = /^(?:imsmanifest\.xml|[^/]+\.(?:xsd|dtd)|scorm-repair\/.+)$/i;
+
+// Resource base per IMS CP: xml:base on <resources> then on <resource>
+function resourceBase(resourcesNode, res) {
+    const base = (nodeAttrs(resourcesNode)['xml:base'] || '') + (nodeAttrs(res)['xml:base'] || '');
+    return base.replace(/\\/g, '/');
+}
+
+// Package-relative path of an href (query, fragment and %-escapes removed)
+function resolveHref(base, href) {
+    let clean = String(href).replace(/\\/g, '/').split(/[?#]/)[0];
+    try { clean = decodeURIComponent(clean); } catch (_) { }
+    return path.posix.normalize(path.posix.join(base || '', clean)).replace(/^\.\//, '');
+}
+
+// Only local hrefs can be checked; absolute URLs point outside the package
+function isLocalHref(href) {
+    return !!href && !/^[a-z][a-z0-9+.-]*:/i.test(href);
+}
+
+// Cross-check the manifest against the files that are actually in the
+// package. `files` are paths relative to the manifest's folder, '/'-separated.
+function checkPackageIntegrity(manifest, files) {
+    const report = {
+        declaredFiles: 0,
+        missingFiles: [],
+        caseMismatches: [],
+        orphanedFiles: [],
+        danglingDependencies: [],
+        duplicateIdentifiers: [],
+        ...checkOrganizationReferences(manifest)
+    };
+
+    const fileSet = new Set(files);
+    const byLower = {};
+    files.forEach(f => { (byLower[f.toLowerCase()] = byLower[f.toLowerCase()] || []).push(f); });
+
+    const resourcesNode = childNode(manifest, 'resources');
+    const resources = childNodes(resourcesNode, 'resource');
+    const resourceIds = new Set(resources.map(r => nodeAttrs(r).identifier).filter(Boolean));
+    const referenced = new Set();
+
+    const check = (res, href, kind) => {
+        report.declaredFiles++;
+        const resourceId = nodeAttrs(res).identifier || null;
+        const resolved = resolveHref(resourceBase(resourcesNode, res), href);
+        if (fileSet.has(resolved)) {
+            referenced.add(resolved);
+            return;
+        }
+        const candidates = byLower[resolved.toLowerCase()];
+        if (candidates) {
+            referenced.add(candidates[0]);
+            report.caseMismatches.push({ resource: resourceId, kind, declared: resolved, actual: candidates[0] });
+        } else {
+            report.missingFiles.push({ resource: resourceId, kind, href: resolved });
+        }
+    };
+
+    resources.forEach(res => {
+        const id = nodeAttrs(res).identifier || null;
+        if (isLocalHref(nodeAttrs(res).href)) check(res, nodeAttrs(res).href, 'launch');
+        childNodes(res, 'file').forEach(f => {
+            if (isLocalHref(nodeAttrs(f).href)) check(res, nodeAttrs(f).href, 'file');
+        });
+        childNodes(res, 'dependency').forEach(dep => {
+            const ref = nodeAttrs(dep).identifierref;
+            if (!ref || !resourceIds.has(ref)) report.danglingDependencies.push({ resource: id, identifierref: ref || null });
+        });
+    });
+
+    // External LOM files (<metadata><adlcp:location>) are in use too
+    childNodes(childNode(manifest, 'metadata'), 'location').forEach(loc => {
+        const href = resolveHref('', nodeText(loc));
+        const match = fileSet.has(href) ? href : (byLower[href.toLowerCase()] || [])[0];
+        if (match) referenced.add(match);
+    });
+
+    report.orphanedFiles = files.filter(f => !referenced.has(f) && !UNLISTED_FILE_PATTERN.test(f));
+
+    // Identifiers must be unique across the whole manifest
+    const seen = {};
+    const collect = (node, element) => {
+        const id = nodeAttrs(node).identifier;
+        if (id) (seen[id] = seen[id] || []).push(element);
+    };
+    collect(manifest, 'manifest');
+    childNodes(childNode(manifest, 'organizations'), 'organization').forEach(org => {
+        collect(org, 'organization');
+        const walk = node => childNodes(node, 'item').forEach(item => { collect(item, 'item'); walk(item); });
+        walk(org);
+    });
+    resources.forEach(res => collect(res, 'resource'));
+    Object.keys(seen).forEach(id => {
+        if (seen[id].length > 1) report.duplicateIdentifiers.push({ identifier: id, count: seen[id].length, elements: seen[id] });
+    });
+
+    report.ok = !report.missingFiles.length && !report.caseMismatches.length &&
+        !report.danglingDependencies.length && !report.duplicateIdentifiers.length &&
+        !report.defaultOrganization && !report.danglingItems.length;
+    return report;
+}
+
+// <organizations> ↔ <resources>: a default that names an organization,
+// items that launch an existing resource, and an item for every SCO
+function checkOrganizationReferences(manifest) {
+    const orgsNode = childNode(manifest, 'organizations');
+    const orgIds = childNodes(orgsNode, 'organization').map(org => nodeAttrs(org).identifier);
+    const defaultOrg = nodeAttrs(orgsNode).default;
+    const resources = childNodes(childNode(manifest, 'resources'), 'resource');
+    const resourceIds = new Set(resources.map(r => nodeAttrs(r).identifier).filter(Boolean));
+
+    let defaultOrganization = null;
+    if (orgIds.length && !defaultOrg) defaultOrganization = { problem: 'missing', default: null };
+    else if (defaultOrg && !orgIds.includes(defaultOrg)) defaultOrganization = { problem: 'unknown', default: defaultOrg };
+
+    const launched = new Set();
+    const danglingItems = [];
+    manifestItems(manifest).forEach(item => {
+        const ref = nodeAttrs(item).identifierref;
+        if (ref === undefined) return;
+        if (resourceIds.has(ref)) launched.add(ref);
+        else danglingItems.push({ item: nodeAttrs(item).identifier || null, identifierref: ref });
+    });
+
+    const unlaunchedScos = resources
+        .filter(r => (attrByLocalName(r, 'scormtype') || '').toLowerCase() === 'sco' && !launched.has(nodeAttrs(r).identifier))
+        .map(r => nodeAttrs(r).identifier || nodeAttrs(r).href || null);
+
+    return { defaultOrganization, danglingItems, unlaunchedScos };
+}
+
+// Every problem becomes a finding; the legacy details list stops after
+// MAX_LISTED per kind
+function reportIntegrity(analysis, report, manifestFile) {
+    const MAX_LISTED = 10;
+    const listed = (items, code, severity, format, fix) => {
+        items.forEach((item, i) => addFinding(analysis, code, severity, 'integrity', format(item),
+            { fix, evidence: { file: manifestFile }, legacy: i < MAX_LISTED }));
+        if (items.length > MAX_LISTED) analysis.details.push(`   …and ${items.length - MAX_LISTED} more`);
+    };
+
+    if (report.ok) {
+        addFinding(analysis, 'INTEGRITY_OK', 'success', 'integrity', `Integrity: all ${report.declaredFiles} declared file reference(s) present`);
+    }
+    listed(report.missingFiles, 'INTEGRITY_MISSING_FILE', 'error', m => `Missing file: ${m.href} (resource ${m.resource || '?'})`,
+        'Add the file to the package or remove the reference from the manifest');
+    const mismatches = report.caseMismatches.filter((m, i, all) => all.findIndex(o => o.declared === m.declared) === i);
+    listed(mismatches, 'INTEGRITY_CASE_MISMATCH', 'warning', m => `Case mismatch: manifest says ${m.declared}, package has ${m.actual} — breaks on case-sensitive (Linux) servers`,
+        'Repair with "Fix file name case mismatches" enabled');
+    listed(report.danglingDependencies, 'INTEGRITY_DANGLING_DEPENDENCY', 'error', d => `Dangling dependency: ${d.resource || '?'} → ${d.identifierref || '(empty)'}`,
+        'Point the <dependency identifierref> at an existing resource or remove it');
+    listed(report.duplicateIdentifiers, 'INTEGRITY_DUPLICATE_IDENTIFIER', 'error', d => `Duplicate identifier "${d.identifier}" on ${d.elements.join(', ')}`,
+        'Give each manifest element a unique identifier');
+    const referencesFix = 'Repair with "Fix organization and item references" enabled';
+    if (report.defaultOrganization) {
+        addFinding(analysis, 'INTEGRITY_DEFAULT_ORGANIZATION', 'error', 'integrity', report.defaultOrganization.problem === 'missing'
+            ? '<organizations> has no default attribute — LMSs cannot tell which organization to launch'
+            : `<organizations default="${report.defaultOrganization.default}"> names no organization`,
+            { fix: referencesFix, evidence: { file: manifestFile } });
+    }
+    listed(report.danglingItems, 'INTEGRITY_DANGLING_ITEM', 'error', d => `Item ${d.item || '?'} launches missing resource ${d.identifierref || '(empty)'}`,
+        referencesFix);
+    listed(report.unlaunchedScos, 'INTEGRITY_UNLAUNCHED_SCO', 'warning', id => `SCO ${id || '?'} is not launched by any item — learners can never reach it`,
+        referencesFix);
+    if (report.orphanedFiles.length) {
+        addFinding(analysis, 'INTEGRITY_ORPHANED_FILES', 'info', 'integrity', `${report.orphanedFiles.length} file(s) not referenced by any resource`,
+            { fix: 'Repair with "Regenerate <file> lists" enabled to declare them' });
+    }
+}
+
+// Repair side: correct href casing and/or rebuild each resource's <file>
+// list from what is on disk. Each fix goes through `propose(id, message)`
+// and is only applied when that returns true.
+function repairIntegrity(manifest, manifestDir, rules, propose) {
+    const files = listFiles(manifestDir);
+    const report = checkPackageIntegrity(manifest, files);
+    const resourcesNode = childNode(manifest, 'resources');
+    const resources = childNodes(resourcesNode, 'resource');
+
+    if (rules['fix-case-mismatches'] && report.caseMismatches.length
+        && propose('fix-case-mismatches', `🔧 Fixed ${report.caseMismatches.length} file name case mismatch(es) in manifest`)) {
+        const fixes = {};
+        report.caseMismatches.forEach(m => { fixes[m.declared] = m.actual; });
+        const fixNode = (res, node) => {
+            const href = nodeAttrs(node).href;
+            if (!href) return;
+            const base = resourceBase(resourcesNode, res);
+            const actual = fixes[resolveHref(base, href)];
+            if (actual) {
+                const suffix = (String(href).match(/[?#].*$/) || [''])[0];
+                node.$.href = (base && actual.startsWith(base) ? actual.slice(base.length) : actual) + suffix;
+            }
+        };
+        resources.forEach(res => {
+            fixNode(res, res);
+            childNodes(res, 'file').forEach(f => fixNode(res, f));
+        });
+    }
+
+    if (rules['regenerate-file-lists'] && resources.length) {
+        const claimed = new Set();
+        const lists = resources.map(res => {
+            const base = resourceBase(resourcesNode, res);
+            const declared = [];
+            if (isLocalHref(nodeAttrs(res).href)) declared.push(nodeAttrs(res).href);
+            childNodes(res, 'file').forEach(f => { if (nodeAttrs(f).href) declared.push(nodeAttrs(f).href); });
+            const existing = [];
+            declared.forEach(href => {
+                const resolved = resolveHref(base, href);
+                const actual = files.find(f => f === resolved) || files.find(f => f.toLowerCase() === resolved.toLowerCase());
+                if (actual && !existing.includes(actual)) existing.push(actual);
+            });
+            existing.forEach(f => claimed.add(f));
+            return { res, base, files: existing };
+        });
+
+        // Unlisted files go to the resource whose launch folder contains them
+        // (deepest match), otherwise to the first SCO
+        const orphans = files.filter(f => !claimed.has(f) && !UNLISTED_FILE_PATTERN.test(f));
+        const firstSco = lists.find(l => (attrByLocalName(l.res, 'scormtype') || '').toLowerCase() === 'sco') || lists[0];
+        orphans.forEach(f => {
+            let owner = null, ownerDepth = -1;
+            lists.forEach(l => {
+                const href = nodeAttrs(l.res).href;
+                if (!href) return;
+                const dir = path.posix.dirname(resolveHref(l.base, href));
+                const prefix = dir === '.' ? '' : dir + '/';
+                if (f.startsWith(prefix) && prefix.length > ownerDepth) { owner = l; ownerDepth = prefix.length; }
+            });
+            (owner && ownerDepth > 0 ? owner : firstSco).files.push(f);
+        });
+
+        const listed = lists.reduce((n, l) => n + l.files.length, 0);
+        const dropped = report.missingFiles.filter(m => m.kind === 'file').length;
+        if (!propose('regenerate-file-lists', `🔧 Regenerated <file> listings: ${listed} file(s), ${orphans.length} newly listed, ${dropped} missing removed`)) return;
+        lists.forEach(l => {
+            const fileKey = Object.keys(l.res).find(k => localName(k) === 'file') || 'file';
+            l.res[fileKey] = l.files.map(f => ({ $: { href: l.base && f.startsWith(l.base) ? f.slice(l.base.length) : f } }));
+            reorderChildren(l.res, ['metadata', 'file', 'dependency']);
+        });
+    }
+}
+
+// Repair side for <organizations>: point items at existing resources, give
+// every SCO an item and make `default` name an organization. Each fix goes
+// through `propose(id, message)` like repairIntegrity's.
+function repairReferences(manifest, manifestDir, propose) {
+    const resources = childNodes(childNode(manifest, 'resources'), 'resource');
+    const resourceIds = resources.map(r => nodeAttrs(r).identifier).filter(Boolean);
+    const isSco = res => (attrByLocalName(res, 'scormtype') || '').toLowerCase() === 'sco';
+
+    // New identifiers must not collide with anything in the manifest
+    const usedIds = new Set([nodeAttrs(manifest).identifier, ...resourceIds]);
+    childNodes(childNode(manifest, 'organizations'), 'organization').forEach(org => usedIds.add(nodeAttrs(org).identifier));
+    manifestItems(manifest).forEach(item => usedIds.add(nodeAttrs(item).identifier));
+    const uniqueId = base => {
+        let id = base.replace(/[^\w.-]/g, '_');
+        for (let n = 2; usedIds.has(id); n++) id = `${base.replace(/[^\w.-]/g, '_')}_${n}`;
+        usedIds.add(id);
+        return id;
+    };
+    const launchedIds = () => new Set(manifestItems(manifest).map(item => nodeAttrs(item).identifierref).filter(ref => resourceIds.includes(ref)));
+
+    // Items launching a missing resource: fix the case, or take the one SCO
+    // nothing launches; otherwise headings lose the reference, leaves go
+    const dangling = [];
+    const collect = (parent, key) => (parent[key] || []).forEach(item => {
+        const ref = nodeAttrs(item).identifierref;
+        if (ref !== undefined && !resourceIds.includes(ref)) dangling.push({ item, parent, key });
+        const itemKey = Object.keys(item).find(k => localName(k) === 'item');
+        if (itemKey) collect(item, itemKey);
+    });
+    childNodes(childNode(manifest, 'organizations'), 'organization').forEach(org => {
+        const itemKey = Object.keys(org).find(k => localName(k) === 'item');
+        if (itemKey) collect(org, itemKey);
+    });
+    const launchedBefore = launchedIds();
+    const unlaunched = resources.filter(r => isSco(r) && !launchedBefore.has(nodeAttrs(r).identifier));
+    dangling.forEach(({ item, parent, key }, i) => {
+        const ref = nodeAttrs(item).identifierref;
+        const label = nodeAttrs(item).identifier || nodeText(childNode(item, 'title')) || `#${i + 1}`;
+        const id = `organization-references:item:${label}`;
+        const sameCase = resourceIds.find(r => r.toLowerCase() === String(ref).toLowerCase());
+        const replacement = sameCase || (dangling.length === 1 && unlaunched.length === 1 ? nodeAttrs(unlaunched[0]).identifier : null);
+        if (replacement) {
+            if (propose(id, `🔧 Item ${label}: identifierref "${ref}" → "${replacement}"${sameCase ? ' (case mismatch)' : ' — the only SCO no item launched'}`)) {
+                item.$.identifierref = replacement;
+            }
+        } else if (childNodes(item, 'item').length) {
+            if (propose(id, `🔧 Item ${label}: removed identifierref to missing resource "${ref}"`)) delete item.$.identifierref;
+        } else if (propose(id, `🗑️ Removed item ${label} — it launched missing resource "${ref}"`)) {
+            parent[key] = parent[key].filter(other => other !== item);
+            if (!parent[key].length) delete parent[key];
+        }
+    });
+
+    // <organizations default> must name an organization, preferably one
+    // that differs only in case
+    let orgsNode = childNode(manifest, 'organizations');
+    const orgs = childNodes(orgsNode, 'organization');
+    const defaultOrg = nodeAttrs(orgsNode).default;
+    const orgIds = orgs.map(org => nodeAttrs(org).identifier);
+    if (orgs.length && (!defaultOrg || !orgIds.includes(defaultOrg))) {
+        const target = orgIds.find(id => id && defaultOrg && id.toLowerCase() === defaultOrg.toLowerCase()) || orgIds[0] || uniqueId('org_1');
+        const message = defaultOrg
+            ? `🔧 <organizations default> named missing organization "${defaultOrg}" → "${target}"`
+            : `🔧 Set missing <organizations default> → "${target}"`;
+        if (propose('organization-references:default', message)) {
+            if (!orgIds.includes(target)) orgs[0].$ = { ...nodeAttrs(orgs[0]), identifier: target };
+            orgsNode.$ = { ...nodeAttrs(orgsNode), default: target };
+        }
+    } else if (!orgs.length && defaultOrg && !resources.some(isSco)
+        && propose('organization-references:default', `🔧 Removed <organizations default> naming missing organization "${defaultOrg}"`)) {
+        delete orgsNode.$.default;
+    }
+
+    // SCOs no item launches get one in the default organization, which is
+    // created when there is none
+    const launched = launchedIds();
+    resources.filter(r => isSco(r) && !launched.has(nodeAttrs(r).identifier)).forEach(res => {
+        const resId = nodeAttrs(res).identifier;
+        if (!resId) return;
+        orgsNode = childNode(manifest, 'organizations');
+        let org = childNodes(orgsNode, 'organization').find(o => nodeAttrs(o).identifier === nodeAttrs(orgsNode).default);
+        const title = launchPageTitle(manifestDir, childNode(manifest, 'resources'), res) || resId;
+        const orgId = org ? nodeAttrs(org).identifier : uniqueId('org_1');
+        const message = org
+            ? `🆕 Added item "${title}" to organization ${orgId} for SCO ${resId}, which no item launched`
+            : `🆕 Created organization ${orgId} with item "${title}" for SCO ${resId}, which no item launched`;
+        if (!propose(`organization-references:sco:${resId}`, message)) return;
+
+        if (!org) {
+            if (!orgsNode || typeof orgsNode !== 'object') {
+                const orgsKey = Object.keys(manifest).find(k => localName(k) === 'organizations') || 'organizations';
+                manifest[orgsKey] = [{}];
+                orgsNode = manifest[orgsKey][0];
+                reorderChildren(manifest, ['metadata', 'organizations', 'resources']);
+            }
+            org = { $: { identifier: orgId }, title: ['Course'] };
+            const orgKey = Object.keys(orgsNode).find(k => localName(k) === 'organization') || 'organization';
+            orgsNode[orgKey] = [...(orgsNode[orgKey] || []), org];
+            orgsNode.$ = { ...nodeAttrs(orgsNode), default: org.$.identifier };
+        }
+        const itemKey = Object.keys(org).find(k => localName(k) === 'item') || 'item';
+        org[itemKey] = [...(org[itemKey] || []), { $: { identifier: uniqueId(`item_${resId}`), identifierref: resId }, title: [title] }];
+        reorderChildren(org, ['title', 'item', 'metadata', 'sequencing']);
+    });
+}
+
+// <title> of a resource's launch page, to name the items generated for it
+function launchPageTitle(manifestDir, resourcesNode, res) {
+    const href = nodeAttrs(res).href;
+    if (!isLocalHref(href)) return null;
+    const file = path.join(manifestDir, resolveHref(resourceBase(resourcesNode, res), href));
+    if (!/\.html?$/i.test(file) || !fs.existsSync(file)) return null;
+    const match = fs.readFileSync(file, 'utf8').match(/<title[^>]*>([^<]*)<\/title>/i);
+    return match && match[1].replace(/\s+/g, ' ').trim() || null;
+}
+
+// xml2js serializes children in key order; put the named ones first, in the
+// order the schema requires
+function reorderChildren(node, order) {
+    const keys = Object.keys(node);
+    const rank = k => {
+        if (k === '$') return -1;
+        const i = order.indexOf(localName(k));
+        return i === -1 ? order.length : i;
+    };
+    const sorted = keys.slice().sort((a, b) => rank(a) - rank(b));
+    const copy = {};
+    sorted.forEach(k => { copy[k] = node[k]; delete node[k]; });
+    sorted.forEach(k => { node[k] = copy[k]; });
+}
+
+// All files under a directory, relative and '/'-separated
+function listFiles(dir) {
+    const out = [];
+    (function walk(current) {
+        for (const e of fs.readdirSync(current, { withFileTypes: true })) {
+            const full = path.join(current, e.name);
+            if (e.isDirectory()) walk(full);
+            else out.push(path.relative(dir, full).replace(/\\/g, '/'));
+        }
+    })(dir);
+    return out;
+}
+
+// ─── SECURITY SCAN ──────────────────────────────────────────────────────────
+
+// Packages are played in an iframe on the analyzer's own origin with
+// scripts enabled, so anything they load or run has the UI's privileges.
+// Issue severity: high | medium | low. The package risk is the highest one.
+const EXECUTABLE_EXTENSIONS = /\.(?:exe|dll|com|scr|msi|msp|bat|cmd|ps1|psm1|vbs|vbe|wsf|wsh|hta|cpl|jar|sh|bash|command|app|dmg|pkg|apk|deb|rpm|so|dylib)$/i;
+const SERVER_SCRIPT_EXTENSIONS = /\.(?:php\d?|phtml|asp|aspx|ashx|jsp|jspx|cgi|pl|py|rb)$/i;
+const ARCHIVE_EXTENSIONS = /\.(?:zip|rar|7z|tar|gz|tgz|bz2|xz|cab|iso)$/i;
+const TEXT_SCAN_EXTENSIONS = /\.(?:html?|xhtml|js|mjs|css|svg)$/i;
+const MAX_SECURITY_ISSUES_PER_FILE = 10;
+const OVERSIZED_FILE_BYTES = 100 * 1024 * 1024;
+// Binary files above this are not decompressed just to check magic bytes
+const MAGIC_CHECK_MAX_BYTES = 10 * 1024 * 1024;
+const SECURITY_SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Content rules: `html` rules run on HTML/SVG markup, `code` rules on JS and
+// inline scripts, `css` on stylesheets and inline styles
+const SECURITY_CONTENT_RULES = [
+    { id: 'external_script', severity: 'medium', scope: ['html'], label: 'Script loaded from external origin', regex: /<script\b[^>]*\bsrc\s*=\s*["']?((?:https?:)?\/\/[^"'\s>]+)/gi },
+    { id: 'external_iframe', severity: 'low', scope: ['html'], label: 'Frame loaded from external origin', regex: /<i?frame\b[^>]*\bsrc\s*=\s*["']?((?:https?:)?\/\/[^"'\s>]+)/gi },
+    { id: 'external_script', severity: 'medium', scope: ['code'], label: 'Script loaded from external origin', regex: /\.src\s*=\s*["'`]((?:https?:)?\/\/[^"'`\s]+\.js\b[^"'`\s]*)/gi },
+    { id: 'mixed_content', severity: 'low', scope: ['html'], label: 'Insecure http:// resource (mixed content)', regex: /(?:\b(?:src|data|poster)|<link\b[^>]*\bhref)\s*=\s*["']?(http:\/\/[^"'\s>]+)/gi },
+    { id: 'mixed_content', severity: 'low', scope: ['css'], label: 'Insecure http:// resource (mixed content)', regex: /url\(\s*["']?(http:\/\/[^"')\s]+)/gi },
+    { id: 'mixed_content', severity: 'low', scope: ['code'], label: 'Insecure http:// resource (mixed content)', regex: /\b(?:src|href|url)\s*[:=]\s*["'`](http:\/\/[^"'`\s]+)/gi },
+    { id: 'eval', severity: 'low', scope: ['code'], label: 'eval / new Function', regex: /\beval\s*\(|\bnew\s+Function\s*\(/g },
+    { id: 'document_write', severity: 'low', scope: ['code'], label: 'document.write', regex: /\bdocument\.write(?:ln)?\s*\(/g }
+];
+
+function scanPackageSecurity(zipEntries) {
+    const issues = [];
+    const add = (id, severity, file, message, extra = {}) => issues.push({ id, severity, file, message, ...extra });
+
+    for (const entry of zipEntries) {
+        const raw = entry.entryName;
+        const name = raw.replace(/\\/g, '/');
+
+        // Path checks run on directories too
+        if (/^(?:\/|[a-zA-Z]:)/.test(name)) {
+            add('absolute_path', 'high', raw, 'Absolute path entry — extracts outside the target folder');
+        }
+        if (name.split('/').includes('..')) {
+            const escapes = path.posix.normalize(name).startsWith('..');
+            add(escapes ? 'zip_slip' : 'dot_dot_path', escapes ? 'high' : 'medium', raw,
+                escapes ? 'Zip-slip entry — resolves outside the extraction folder' : 'Entry path contains ".." segments');
+        }
+        if (entry.isDirectory) continue;
+        if (isSymlinkEntry(entry)) {
+            add('symlink', 'high', raw, 'Symbolic link entry — can point extraction at files outside the package');
+            continue;
+        }
+
+        const base = name.split('/').pop();
+        const size = entry.header.size;
+        if (EXECUTABLE_EXTENSIONS.test(base)) {
+            add('executable', 'high', raw, `Executable or installer file (${path.extname(base)})`);
+            continue;
+        }
+        if (SERVER_SCRIPT_EXTENSIONS.test(base)) {
+            add('server_script', 'medium', raw, `Server-side script (${path.extname(base)}) — never needed by SCORM content`);
+        } else if (ARCHIVE_EXTENSIONS.test(base)) {
+            add('nested_archive', 'low', raw, 'Nested archive — contents are not scanned');
+        }
+        if (/^\.ht(?:access|passwd)$|^web\.config$/i.test(base)) {
+            add('server_config', 'medium', raw, 'Web server configuration file');
+        }
+        if (size > OVERSIZED_FILE_BYTES) {
+            add('oversized_file', 'low', raw, `Oversized file (${(size / 1024 / 1024).toFixed(1)} MB)`);
+        }
+
+        const scanText = TEXT_SCAN_EXTENSIONS.test(base);
+        if (size > (scanText ? OVERSIZED_FILE_BYTES : MAGIC_CHECK_MAX_BYTES)) continue;
+        let data;
+        try { data = entry.getData(); } catch (_) { continue; }
+
+        // Executable/archive bytes hiding behind a harmless extension
+        const magic = data.slice(0, 4).toString('latin1');
+        if (magic.startsWith('MZ') || magic === '\x7fELF' || ['\xcf\xfa\xed\xfe', '\xce\xfa\xed\xfe'].includes(magic)) {
+            add('disguised_executable', 'high', raw, 'File content is a native executable despite its extension');
+            continue;
+        }
+        if (magic === 'PK\x03\x04' && !ARCHIVE_EXTENSIONS.test(base) && !/\.(?:docx|xlsx|pptx|jar|epub|odt|ods|odp)$/i.test(base)) {
+            add('disguised_archive', 'medium', raw, 'File content is a ZIP archive despite its extension');
+        }
+
+        if (scanText) scanSecurityContent(raw, data.toString('utf8'), add);
+    }
+
+    const risk = issues.reduce((max, i) => SECURITY_SEVERITY_RANK[i.severity] > SECURITY_SEVERITY_RANK[max] ? i.severity : max, 'low');
+    const counts = { high: 0, medium: 0, low: 0 };
+    issues.forEach(i => counts[i.severity]++);
+    return { risk: issues.length ? risk : 'none', counts, issues };
+}
+
+function scanSecurityContent(file, content, add) {
+    const isHtml = /\.(?:html?|xhtml|svg)$/i.test(file);
+    const isCss = /\.css$/i.test(file);
+    const lineStarts = lineStartsOf(content);
+
+    // [scope, from, to] ranges: markup, inline scripts and inline styles
+    const ranges = isHtml
+        ? [['html', 0, content.length], ...scriptRanges(content).map(([f, t]) => ['code', f, t]), ...styleRanges(content).map(([f, t]) => ['css', f, t])]
+        : [[isCss ? 'css' : 'code', 0, content.length]];
+    const perRule = {};
+
+    for (const [scope, from, to] of ranges) {
+        const text = content.slice(from, to);
+        if (scope === 'code' && INJECTED_SCRIPT_MARKERS.some(m => text.includes(m))) continue;
+        for (const rule of SECURITY_CONTENT_RULES) {
+            if (!rule.scope.includes(scope)) continue;
+            rule.regex.lastIndex = 0;
+            let m;
+            while ((m = rule.regex.exec(text)) !== null) {
+                if ((perRule[rule.id] = (perRule[rule.id] || 0) + 1) > MAX_SECURITY_ISSUES_PER_FILE) break;
+                const offset = from + m.index;
+                const url = m[1];
+                add(rule.id, rule.severity, file, url ? `${rule.label}: ${url}` : rule.label, {
+                    line: lineAt(lineStarts, offset),
+                    origin: url ? originOf(url) : undefined
+                });
+            }
+        }
+    }
+}
+
+function styleRanges(html) {
+    const ranges = [];
+    const re = /<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi;
+    let m;
+    while ((m = re.exec(html)) !== null) {
+        const bodyStart = m.index + m[0].indexOf('>') + 1;
+        ranges.push([bodyStart, bodyStart + m[1].length]);
+    }
+    return ranges;
+}
+
+function originOf(url) {
+    try { return new URL(url.startsWith('//') ? 'https:' + url : url).origin; } catch (_) { return undefined; }
+}
+
+// One finding per issue type, with the first location as evidence
+function reportSecurity(analysis, security) {
+    analysis.security = security;
+    if (!security.issues.length) {
+        addFinding(analysis, 'SECURITY_CLEAN', 'success', 'security', 'Security scan: no issues found', { icon: '🛡️' });
+        return;
+    }
+    addFinding(analysis, 'SECURITY_RISK', security.risk === 'high' ? 'error' : security.risk === 'medium' ? 'warning' : 'info', 'security',
+        `Security scan: ${security.risk} risk (${security.counts.high} high, ${security.counts.medium} medium, ${security.counts.low} low)`, { icon: '🛡️' });
+
+    const byId = {};
+    security.issues.forEach(i => (byId[i.id] = byId[i.id] || []).push(i));
+    Object.entries(byId).forEach(([id, list]) => {
+        const first = list[0];
+        const origins = [...new Set(list.map(i => i.origin).filter(Boolean))];
+        const severity = first.severity === 'high' ? 'error' : first.severity === 'medium' ? 'warning' : 'info';
+        addFinding(analysis, `SECURITY_${id.toUpperCase()}`, severity, 'security',
+            `${first.message}${list.length > 1 ? ` (+${list.length - 1} more)` : ''}${origins.length > 1 ? ` — origins: ${origins.join(', ')}` : ''}`,
+            { legacy: first.severity !== 'low', evidence: { file: first.file, line: first.line } });
+    });
+}
+
+// ─── OTHER STANDARDS (cmi5 / xAPI / AICC) ───────────────────────────────────
+
+// State API writes are what let xAPI/cmi5 content restore a learner's place.
+// setState needs a string first argument so React's this.setState({...}) in
+// bundled UI code is not mistaken for it.
+const XAPI_USAGE_PATTERNS = [
+    { id: 'state_write', label: 'xAPI State API write', resume: true, regex: /\b(?:sendState|saveState)\s*\(|\bsetState\s*\(\s*["'`]/g },
+    { id: 'state_read', label: 'xAPI State API read', regex: /\b(?:getState|retrieveState)\s*\(\s*["'`\w]/g },
+    { id: 'state_endpoint', label: 'activities/state endpoint', regex: /activities\/state\b/g },
+    { id: 'statements', label: 'xAPI statements', regex: /\b(?:sendStatements?|saveStatements?)\s*\(|\/statements\b/g },
+    { id: 'launch_data', label: 'cmi5 LMS.LaunchData', regex: /LMS\.LaunchData/g },
+    { id: 'wrapper_tincanjs', label: 'TinCanJS', regex: /\bTinCan\.(?:LRS|Statement|Agent)\b|\bnew\s+TinCan\s*\(/g },
+    { id: 'wrapper_xapiwrapper', label: 'ADL xAPIWrapper', regex: /\bADL\.XAPIWrapper\b/g },
+    { id: 'wrapper_cmi5', label: 'cmi5 client library', regex: /\bnew\s+Cmi5\s*\(|\bcmi5\.(?:start|initialize|completed?|passed|failed|terminate)\s*\(/g }
+];
+
+// AICC HACP: [Core_Lesson] is AICC's suspend data, Lesson_Location its bookmark
+const AICC_USAGE_PATTERNS = [
+    { id: 'core_lesson', label: '[Core_Lesson] suspend data', resume: true, regex: /\bCore_Lesson\b/gi },
+    { id: 'lesson_location', label: 'Lesson_Location bookmark', resume: true, regex: /\bLesson_Location\b/gi },
+    { id: 'lesson_status', label: 'Lesson_Status', regex: /\bLesson_Status\b/gi },
+    { id: 'put_param', label: 'HACP PutParam', regex: /\bPutParam\b/gi },
+    { id: 'get_param', label: 'HACP GetParam', regex: /\bGetParam\b/gi },
+    { id: 'exit_au', label: 'HACP ExitAU', regex: /\bExitAU\b/gi },
+    { id: 'aicc_launch', label: 'AICC_SID / AICC_URL launch parameters', regex: /\bAICC_(?:SID|URL)\b/gi }
+];
+
+async function analyzeOtherStandard(zipEntries) {
+    const cmi5Entry = findDescriptor(zipEntries, /^cmi5\.xml$/i);
+    if (cmi5Entry) return analyzeCmi5(zipEntries, cmi5Entry);
+
+    const tincanEntry = findDescriptor(zipEntries, /^tincan\.xml$/i);
+    if (tincanEntry) return analyzeXapi(zipEntries, tincanEntry);
+
+    const aiccEntries = zipEntries.filter(e => !e.isDirectory && /\.(?:crs|au|des|cst)$/i.test(e.entryName));
+    if (aiccEntries.some(e => /\.(?:crs|au)$/i.test(e.entryName))) return analyzeAicc(zipEntries, aiccEntries);
+
+    return null;
+}
+
+// Shallowest matching entry, so a copy nested in an asset folder never wins
+// over the one at the package root
+function findDescriptor(zipEntries, nameRegex) {
+    return zipEntries
+        .filter(e => !e.isDirectory && nameRegex.test(e.entryName.split('/').pop()))
+        .sort((a, b) => a.entryName.split('/').length - b.entryName.split('/').length)[0];
+}
+
+function otherStandardAnalysis(standard, descriptorFile) {
+    const analysis = {
+        success: true,
+        hasManifest: false,
+        standard,
+        descriptorFile,
+        resumeCapable: false,
+        details: [],
+        findings: [],
+        metadata: {}
+    };
+    addFinding(analysis, 'PACKAGE_STANDARD', 'info', 'package', `Package standard: ${standard} (${descriptorFile})`,
+        { icon: '📋', evidence: { file: descriptorFile } });
+    return analysis;
+}
+
+function finishOtherStandard(analysis, zipEntries, patterns, label) {
+    analysis.apiUsage = scanScormApiUsage(zipEntries, patterns);
+    reportApiUsage(analysis, analysis.apiUsage, patterns, label);
+
+    reportAuthoringTool(analysis, fingerprintAuthoringTool(zipEntries, analysis.metadata.launchFile));
+    reportSecurity(analysis, scanPackageSecurity(zipEntries));
+    reportResumeFallback(analysis);
+    return analysis;
+}
+
+async function analyzeXapi(zipEntries, entry) {
+    const analysis = otherStandardAnalysis('xAPI', entry.entryName);
+    const doc = await new xml2js.Parser().parseStringPromise(entry.getData().toString('utf8'));
+    const root = doc[Object.keys(doc)[0]];
+
+    const activities = childNodes(childNode(root, 'activities'), 'activity').map(a => ({
+        id: nodeAttrs(a).id || null,
+        type: nodeAttrs(a).type || null,
+        name: langText(childNode(a, 'name')),
+        description: langText(childNode(a, 'description')),
+        launch: nodeText(childNode(a, 'launch')) || null
+    }));
+    analysis.xapi = { activities };
+
+    const course = activities.find(a => /\/course$/.test(a.type || '')) || activities.find(a => a.launch) || activities[0];
+    const launchable = activities.filter(a => a.launch);
+    if (course && course.name) {
+        analysis.metadata.title = course.name;
+        addFinding(analysis, 'XAPI_TITLE', 'info', 'manifest', `Course: ${course.name}`, { icon: '📚' });
+    }
+    addFinding(analysis, 'XAPI_ACTIVITIES', 'info', 'structure', `${activities.length} activit${activities.length === 1 ? 'y' : 'ies'} declared`, { icon: '🎯' });
+    launchable.forEach(a => addFinding(analysis, 'XAPI_LAUNCH', 'info', 'structure', `Launch: ${a.name || a.id} → ${a.launch}`, { icon: '🚀' }));
+    if (launchable.length) {
+        analysis.metadata.launchFile = launchable[0].launch;
+    } else {
+        addFinding(analysis, 'XAPI_NO_LAUNCH', 'error', 'structure', 'No activity has a <launch> element — an LRS/LMS cannot start this package',
+            { evidence: { file: entry.entryName }, fix: 'Add a <launch> element with the start page to the course activity in tincan.xml' });
+    }
+
+    finishOtherStandard(analysis, zipEntries, XAPI_USAGE_PATTERNS, 'xAPI calls');
+    if (!analysis.apiUsage.summary.state_write) {
+        addFinding(analysis, 'XAPI_NO_STATE_WRITES', 'warning', 'resume', 'No xAPI State API writes found — learner progress cannot be restored across sessions',
+            { fix: 'Enable resume/bookmarking in the authoring tool so progress is saved to the State API' });
+    }
+    return analysis;
+}
+
+async function analyzeCmi5(zipEntries, entry) {
+    const analysis = otherStandardAnalysis('cmi5', entry.entryName);
+    const doc = await new xml2js.Parser().parseStringPromise(entry.getData().toString('utf8'));
+    const root = doc[Object.keys(doc)[0]];
+
+    const courseNode = childNode(root, 'course');
+    const course = {
+        id: nodeAttrs(courseNode).id || null,
+        title: langText(childNode(courseNode, 'title')),
+        description: langText(childNode(courseNode, 'description'))
+    };
+
+    // AUs can sit at the top level or inside (nested) blocks
+    const aus = [];
+    let blockCount = 0;
+    const walk = (node, blockPath) => {
+        childNodes(node, 'au').forEach(au => {
+            const a = nodeAttrs(au);
+            aus.push({
+                id: a.id || null,
+                title: langText(childNode(au, 'title')),
+                url: nodeText(childNode(au, 'url')) || null,
+                moveOn: a.moveOn || 'NotApplicable',
+                masteryScore: a.masteryScore !== undefined ? parseFloat(a.masteryScore) : null,
+                launchMethod: a.launchMethod || 'AnyWindow',
+                activityType: a.activityType || null,
+                launchParameters: nodeText(childNode(au, 'launchParameters')) || null,
+                entitlementKey: nodeText(childNode(au, 'entitlementKey')) || null,
+                block: blockPath.length ? blockPath.join(' › ') : null
+            });
+        });
+        childNodes(node, 'block').forEach(block => {
+            blockCount++;
+            walk(block, blockPath.concat(langText(childNode(block, 'title')) || nodeAttrs(block).id || 'Block'));
+        });
+    };
+    walk(root, []);
+    analysis.cmi5 = { course, blockCount, aus };
+
+    if (course.title) {
+        analysis.metadata.title = course.title;
+        addFinding(analysis, 'CMI5_TITLE', 'info', 'manifest', `Course: ${course.title}`, { icon: '📚' });
+    }
+    addFinding(analysis, 'CMI5_AUS', 'info', 'structure', `${aus.length} AU(s) in ${blockCount} block(s)`, { icon: '🧩' });
+    aus.forEach(au => {
+        const parts = [`moveOn=${au.moveOn}`];
+        if (au.masteryScore !== null) parts.push(`mastery ${au.masteryScore}`);
+        parts.push(au.launchMethod);
+        addFinding(analysis, 'CMI5_AU', 'info', 'structure', `AU ${au.title || au.id}: ${au.url || '(no url)'} | ${parts.join(' | ')}`, { icon: '🧩' });
+        if (!au.url) {
+            addFinding(analysis, 'CMI5_AU_NO_URL', 'error', 'structure', `AU ${au.title || au.id} has no <url>`,
+                { evidence: { file: entry.entryName }, fix: 'Add a <url> with the AU launch page' });
+        }
+        if (au.masteryScore !== null && !/Passed/.test(au.moveOn)) {
+            addFinding(analysis, 'CMI5_MASTERY_IGNORED', 'warning', 'structure', `AU ${au.title || au.id}: masteryScore is set but moveOn=${au.moveOn} ignores passing`,
+                { evidence: { file: entry.entryName }, fix: 'Use moveOn="Passed" or "CompletedAndPassed", or drop masteryScore' });
+        }
+    });
+    const firstLocal = aus.find(au => au.url && isLocalHref(au.url));
+    if (firstLocal) analysis.metadata.launchFile = firstLocal.url;
+
+    finishOtherStandard(analysis, zipEntries, XAPI_USAGE_PATTERNS, 'xAPI/cmi5 calls');
+    if (!analysis.apiUsage.summary.launch_data && !analysis.apiUsage.summary.wrapper_cmi5) {
+        addFinding(analysis, 'CMI5_NO_LAUNCH_DATA', 'warning', 'api-usage', 'AUs never read LMS.LaunchData — cmi5 requires it before sending statements',
+            { fix: 'Read the LMS.LaunchData state document after fetching the auth token' });
+    }
+    return analysis;
+}
+
+async function analyzeAicc(zipEntries, aiccEntries) {
+    const byExt = ext => aiccEntries.find(e => new RegExp(`\\.${ext}$`, 'i').test(e.entryName));
+    const crsEntry = byExt('crs');
+    const analysis = otherStandardAnalysis('AICC', (crsEntry || byExt('au')).entryName);
+
+    const crs = crsEntry ? parseAiccIni(crsEntry.getData().toString('utf8')) : {};
+    const courseSection = crs.course || {};
+    const course = {
+        id: courseSection.course_id || null,
+        title: courseSection.course_title || null,
+        creator: courseSection.course_creator || null,
+        version: courseSection.version || null,
+        totalAUs: courseSection.total_aus ? parseInt(courseSection.total_aus, 10) : null
+    };
+
+    const auRows = byExt('au') ? parseAiccCsv(byExt('au').getData().toString('utf8')) : [];
+    const desRows = byExt('des') ? parseAiccCsv(byExt('des').getData().toString('utf8')) : [];
+    const titles = {};
+    desRows.forEach(d => { if (d.system_id) titles[d.system_id.toLowerCase()] = d.title; });
+
+    const aus = auRows.map(r => ({
+        systemId: r.system_id || null,
+        title: (r.system_id && titles[r.system_id.toLowerCase()]) || null,
+        fileName: r.file_name || null,
+        commandLine: r.command_line || null,
+        webLaunch: r.web_launch || null,
+        masteryScore: r.mastery_score ? parseFloat(r.mastery_score) : null,
+        maxScore: r.max_score ? parseFloat(r.max_score) : null,
+        maxTimeAllowed: r.max_time_allowed || null,
+        timeLimitAction: r.time_limit_action || null
+    }));
+    analysis.aicc = { course, aus, files: aiccEntries.map(e => e.entryName) };
+
+    if (course.title) {
+        analysis.metadata.title = course.title;
+        addFinding(analysis, 'AICC_TITLE', 'info', 'manifest', `Course: ${course.title}`, { icon: '📚' });
+    }
+    if (course.version) {
+        analysis.metadata.version = course.version;
+        addFinding(analysis, 'AICC_VERSION', 'info', 'manifest', `AICC CMI version: ${course.version}`, { icon: '📋' });
+    }
+    addFinding(analysis, 'AICC_AUS', 'info', 'structure',
+        `${aus.length} AU(s)${course.totalAUs !== null && course.totalAUs !== aus.length ? ` (course file declares ${course.totalAUs})` : ''}`, { icon: '🧩' });
+    aus.forEach(au => {
+        addFinding(analysis, 'AICC_AU', 'info', 'structure',
+            `AU ${au.systemId}${au.title ? ` "${au.title}"` : ''}: ${au.fileName || '(no file_name)'}${au.masteryScore !== null ? ` | mastery ${au.masteryScore}` : ''}`, { icon: '🧩' });
+    });
+    ['crs', 'au', 'des', 'cst'].forEach(ext => {
+        if (!byExt(ext)) {
+            addFinding(analysis, 'AICC_MISSING_FILE', 'warning', 'integrity', `Missing required AICC .${ext} file`,
+                { fix: `Re-export the course with AICC enabled so the .${ext} file is included` });
+        }
+    });
+    if (aus.length && aus[0].fileName) analysis.metadata.launchFile = aus[0].fileName;
+
+    return finishOtherStandard(analysis, zipEntries, AICC_USAGE_PATTERNS, 'AICC HACP references');
+}
+
+// AICC .crs: INI-style sections, keys case-insensitive
+function parseAiccIni(text) {
+    const sections = {};
+    let current = null;
+    text.split(/\r?\n/).forEach(line => {
+        const section = line.match(/^\s*\[([^\]]+)\]/);
+        if (section) {
+            current = section[1].trim().toLowerCase();
+            sections[current] = sections[current] || {};
+            return;
+        }
+        const kv = line.match(/^\s*([^=;]+?)\s*=\s*(.*?)\s*$/);
+        if (kv && current) sections[current][kv[1].toLowerCase()] = kv[2].replace(/^"(.*)"$/, '$1');
+    });
+    return sections;
+}
+
+// AICC .au/.des/.cst: CSV with a header row, quoted fields
+function parseAiccCsv(text) {
+    const rows = text.split(/\r?\n/).filter(l => l.trim()).map(line => {
+        const fields = [];
+        let field = '', quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quoted) {
+                if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else field += c;
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                fields.push(field.trim()); field = '';
+            } else {
+                field += c;
+            }
+        }
+        fields.push(field.trim());
+        return fields;
+    });
+    if (!rows.length) return [];
+    const header = rows[0].map(h => h.toLowerCase());
+    return rows.slice(1).map(r => {
+        const obj = {};
+        header.forEach((h, i) => { obj[h] = r[i] !== undefined ? r[i] : ''; });
+        return obj;
+    });
+}
+
+// ─── MANIFEST NODE HELPERS ──────────────────────────────────────────────────
+
+// xml2js keeps namespace prefixes in element names, and not every authoring
+// tool uses the conventional ones (imsss:, adlseq:, adlnav:), so children are
+// matched on their local name.
+function localName(name) {
+    const i = name.indexOf(':');
+    return i === -1 ? name : name.slice(i + 1);
+}
+
+// Matching is case-insensitive too: SCORM 1.2 spells adlcp elements in
+// lowercase (masteryscore) while 2004 uses camelCase (dataFromLMS).
+function childNodes(node, name) {
+    if (!node || typeof node !== 'object') return [];
+    const lower = name.toLowerCase();
+    const out = [];
+    for (const key of Object.keys(node)) {
+        if (key === '$' || key === '_') continue;
+        if (localName(key).toLowerCase() === lower && Array.isArray(node[key])) out.push(...node[key]);
+    }
+    return out;
+}
+
+function childNode(node, name) {
+    return childNodes(node, name)[0];
+}
+
+function nodeAttrs(node) {
+    return (node && typeof node === 'object' && node.$) || {};
+}
+
+// Attribute lookup by local name, e.g. adlcp:scormtype (1.2) and adlcp:scormType (2004)
+function attrByLocalName(node, name) {
+    const attrs = nodeAttrs(node);
+    const lower = name.toLowerCase();
+    const key = Object.keys(attrs).find(k => localName(k).toLowerCase() === lower);
+    return key ? attrs[key] : undefined;
+}
+
+function nodeText(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'string') return node.trim();
+    return typeof node._ === 'string' ? node._.trim() : '';
+}
+
+// First language variant of a multilingual text element: <langstring>
+// (SCORM 1.2 / IMS MD, tincan.xml), <string> (LOM in SCORM 2004) or lang=""
+function langText(node) {
+    const strings = [...childNodes(node, 'langstring'), ...childNodes(node, 'string')];
+    return nodeText(strings.length ? strings[0] : node) || null;
+}
+
+function boolAttr(value, fallback) {
+    if (value === undefined) return fallback;
+    return String(value).trim().toLowerCase() === 'true';
+}
+
+// ─── LOM METADATA ───────────────────────────────────────────────────────────
+
+// Package-level <metadata>: inline <lom> plus any external LOM files named by
+// <adlcp:location>. Inline values win; external files only fill the gaps.
+async function extractManifestMetadata(manifest, zipEntries, manifestPrefix) {
+    const result = { lom: {}, sources: [], missingLocations: [], unreadableLocations: [] };
+    const metadataNode = childNode(manifest, 'metadata');
+    if (!metadataNode) return result;
+
+    childNodes(metadataNode, 'lom').forEach(lom => {
+        mergeLom(result.lom, extractLom(lom));
+        result.sources.push('inline');
+    });
+
+    for (const location of childNodes(metadataNode, 'location')) {
+        const href = nodeText(location);
+        if (!href) continue;
+        const target = manifestPrefix + resolveHref('', href);
+        const entry = zipEntries.find(e => e.entryName.replace(/\\/g, '/') === target)
+            || zipEntries.find(e => e.entryName.replace(/\\/g, '/').toLowerCase() === target.toLowerCase());
+        if (!entry) {
+            result.missingLocations.push(href);
+            continue;
+        }
+        try {
+            const doc = await new xml2js.Parser().parseStringPromise(entry.getData().toString('utf8'));
+            const rootName = Object.keys(doc)[0];
+            const lom = localName(rootName).toLowerCase() === 'lom' ? doc[rootName] : childNode(doc[rootName], 'lom');
+            if (!lom) throw new Error('no <lom> element');
+            mergeLom(result.lom, extractLom(lom));
+            result.sources.push(entry.entryName);
+        } catch (err) {
+            result.unreadableLocations.push({ file: entry.entryName, error: err.message.split('\n')[0] });
+        }
+    }
+    return result;
+}
+
+// IMS MD 1.2.x (SCORM 1.2) and IEEE LOM (SCORM 2004) differ in text wrappers
+// (<langstring> vs <string>) and in element case, which langText/childNode
+// already absorb
+function extractLom(lom) {
+    const general = childNode(lom, 'general');
+    const rights = childNode(lom, 'rights');
+    const learningTime = childNode(childNode(lom, 'educational'), 'typicalLearningTime');
+    const restricted = childNode(rights, 'copyrightAndOtherRestrictions');
+
+    const copyright = rights ? {
+        restricted: langText(childNode(restricted, 'value')),
+        description: langText(childNode(rights, 'description'))
+    } : null;
+
+    return {
+        title: langText(childNode(general, 'title')),
+        description: langText(childNode(general, 'description')),
+        keywords: childNodes(general, 'keyword').map(langText).filter(Boolean),
+        language: nodeText(childNode(general, 'language')) || null,
+        contentVersion: langText(childNode(childNode(lom, 'lifecycle'), 'version')),
+        // 1.2 wraps the duration in <datetime>, 2004 in <duration>
+        typicalLearningTime: learningTime
+            ? nodeText(childNode(learningTime, 'duration')) || nodeText(childNode(learningTime, 'datetime')) || nodeText(learningTime) || null
+            : null,
+        copyright: copyright && (copyright.restricted || copyright.description) ? copyright : null
+    };
+}
+
+function mergeLom(target, lom) {
+    Object.entries(lom).forEach(([key, value]) => {
+        const empty = target[key] === undefined || target[key] === null || (Array.isArray(target[key]) && target[key].length === 0);
+        if (empty) target[key] = value;
+    });
+}
+
+// adlcp launch data (masteryscore, datafromlms, maxtimeallowed, timelimitaction)
+// of every item that declares any of it
+function collectLaunchData(organizations) {
+    const launch = [];
+    const walk = items => items.forEach(item => {
+        const data = {
+            masteryScore: item.masteryScore,
+            dataFromLMS: item.dataFromLMS,
+            maxTimeAllowed: item.maxTimeAllowed,
+            timeLimitAction: item.timeLimitAction
+        };
+        if (Object.values(data).some(v => v !== null)) launch.push({ item: item.identifier, title: item.title, ...data });
+        walk(item.children);
+    });
+    (organizations || []).forEach(org => walk(org.items));
+    return launch;
+}
+
+function reportMetadata(analysis, extracted, manifestFile) {
+    const lom = extracted.lom;
+    Object.entries(lom).forEach(([key, value]) => {
+        if (value !== null && !(Array.isArray(value) && value.length === 0)) analysis.metadata[key] = value;
+    });
+    if (extracted.sources.length) analysis.metadata.metadataSources = extracted.sources;
+
+    if (lom.title) addFinding(analysis, 'MANIFEST_TITLE', 'info', 'manifest', `Course: ${lom.title}`, { icon: '📚' });
+    const parts = [];
+    if (lom.language) parts.push(`language ${lom.language}`);
+    if (lom.contentVersion) parts.push(`version ${lom.contentVersion}`);
+    if (lom.typicalLearningTime) parts.push(`typical learning time ${lom.typicalLearningTime}`);
+    if (lom.keywords && lom.keywords.length) parts.push(`${lom.keywords.length} keyword(s)`);
+    if (lom.copyright) parts.push(`copyright ${lom.copyright.restricted || 'stated'}`);
+    if (parts.length) addFinding(analysis, 'MANIFEST_METADATA', 'info', 'manifest', `Metadata: ${parts.join(', ')}`, { icon: '🏷️' });
+
+    extracted.missingLocations.forEach(href => addFinding(analysis, 'MANIFEST_METADATA_MISSING', 'warning', 'manifest',
+        `External metadata file not found: ${href}`, { evidence: { file: manifestFile }, fix: 'Add the file to the package or remove the <adlcp:location> reference' }));
+    extracted.unreadableLocations.forEach(u => addFinding(analysis, 'MANIFEST_METADATA_UNREADABLE', 'warning', 'manifest',
+        `External metadata file ${u.file} could not be read: ${u.error}`, { evidence: { file: u.file } }));
+
+    const launch = collectLaunchData(analysis.organizations);
+    if (launch.length) {
+        analysis.metadata.launch = launch;
+        launch.forEach(l => {
+            const values = [
+                l.masteryScore !== null ? `mastery score ${l.masteryScore}` : null,
+                l.maxTimeAllowed ? `max time ${l.maxTimeAllowed}` : null,
+                l.timeLimitAction ? `on time limit: ${l.timeLimitAction}` : null,
+                l.dataFromLMS ? 'launch data from LMS' : null
+            ].filter(Boolean);
+            addFinding(analysis, 'MANIFEST_LAUNCH_DATA', 'info', 'manifest', `${l.title}: ${values.join(', ')}`, { icon: '🚀' });
+        });
+    }
+}
+
+// ─── ORGANIZATION TREE ──────────────────────────────────────────────────────
+
+// Full item hierarchy of every organization, with the per-item launch and
+// tracking settings an LMS reads from the manifest.
+function buildOrganizationTree(manifest) {
+    const orgsNode = childNode(manifest, 'organizations');
+    const defaultOrg = nodeAttrs(orgsNode).default || null;
+
+    const resourceTypes = {};
+    childNodes(childNode(manifest, 'resources'), 'resource').forEach(res => {
+        const id = nodeAttrs(res).identifier;
+        if (id) resourceTypes[id] = (attrByLocalName(res, 'scormtype') || '').toLowerCase() || null;
+    });
+
+    const buildItem = item => {
+        const a = nodeAttrs(item);
+        const text = name => nodeText(childNode(item, name)) || null;
+        const prereq = childNode(item, 'prerequisites');
+        const masteryScore = text('masteryscore');
+        return {
+            identifier: a.identifier || null,
+            identifierref: a.identifierref || null,
+            title: nodeText(childNode(item, 'title')) || 'Untitled',
+            isvisible: boolAttr(a.isvisible, true),
+            parameters: a.parameters || null,
+            scormType: a.identifierref ? (resourceTypes[a.identifierref] || null) : null,
+            prerequisites: prereq ? { type: nodeAttrs(prereq).type || null, expression: nodeText(prereq) } : null,
+            masteryScore: masteryScore !== null ? parseFloat(masteryScore) : null,
+            maxTimeAllowed: text('maxtimeallowed'),
+            timeLimitAction: text('timelimitaction'),
+            dataFromLMS: text('datafromlms'),
+            children: childNodes(item, 'item').map(buildItem)
+        };
+    };
+
+    return childNodes(orgsNode, 'organization').map(org => ({
+        identifier: nodeAttrs(org).identifier || null,
+        title: nodeText(childNode(org, 'title')) || 'Untitled',
+        isDefault: !!defaultOrg && nodeAttrs(org).identifier === defaultOrg,
+        items: childNodes(org, 'item').map(buildItem)
+    }));
+}
+
+// ─── SCO RESOURCES ──────────────────────────────────────────────────────────
+
+// Every SCO resource in the order the default organization launches them
+// (unreferenced SCOs last, in manifest order). Paths are relative to the
+// manifest's folder; `resource` is the manifest node, for repair.
+function listScoResources(manifest) {
+    const resourcesNode = childNode(manifest, 'resources');
+    const orgsNode = childNode(manifest, 'organizations');
+    const defaultOrg = nodeAttrs(orgsNode).default;
+    const orgs = childNodes(orgsNode, 'organization');
+    orgs.sort((a, b) => (nodeAttrs(b).identifier === defaultOrg) - (nodeAttrs(a).identifier === defaultOrg));
+
+    const itemsByRef = {};
+    const order = [];
+    const walk = node => childNodes(node, 'item').forEach(item => {
+        const ref = nodeAttrs(item).identifierref;
+        if (ref) {
+            if (!itemsByRef[ref]) { itemsByRef[ref] = []; order.push(ref); }
+            itemsByRef[ref].push({ identifier: nodeAttrs(item).identifier || null, title: nodeText(childNode(item, 'title')) || 'Untitled' });
+        }
+        walk(item);
+    });
+    orgs.forEach(walk);
+
+    const resources = childNodes(resourcesNode, 'resource');
+    const byId = {};
+    resources.forEach(r => { if (nodeAttrs(r).identifier) byId[nodeAttrs(r).identifier] = r; });
+
+    // Declared files of a resource and, transitively, of its dependencies
+    const filesOf = (res, seen = new Set()) => {
+        if (seen.has(res)) return [];
+        seen.add(res);
+        const base = resourceBase(resourcesNode, res);
+        const own = childNodes(res, 'file').map(f => nodeAttrs(f).href).filter(isLocalHref).map(href => resolveHref(base, href));
+        const deps = childNodes(res, 'dependency').map(d => byId[nodeAttrs(d).identifierref]).filter(Boolean);
+        return own.concat(...deps.map(dep => filesOf(dep, seen)));
+    };
+
+    const rank = res => {
+        const i = order.indexOf(nodeAttrs(res).identifier);
+        return i === -1 ? order.length : i;
+    };
+    return resources
+        .filter(res => (attrByLocalName(res, 'scormtype') || '').toLowerCase() === 'sco')
+        .sort((a, b) => rank(a) - rank(b))
+        .map(res => {
+            const a = nodeAttrs(res);
+            return {
+                identifier: a.identifier || null,
+                href: a.href || null,
+                launchFile: isLocalHref(a.href) ? resolveHref(resourceBase(resourcesNode, res), a.href) : (a.href || null),
+                items: itemsByRef[a.identifier] || [],
+                files: [...new Set(filesOf(res))],
+                resource: res
+            };
+        });
+}
+
+// Attribute the API scan to SCOs. A SCO owns its declared files, the scripts
+// its launch page loads and, when it lives in its own folder, everything
+// under that folder. Hits in files no SCO owns are reported as shared.
+function breakDownScos(scoResources, zipEntries, manifestPrefix, usage) {
+    const names = zipEntries.filter(e => !e.isDirectory).map(e => e.entryName.replace(/\\/g, '/'));
+    const entryByName = {};
+    zipEntries.forEach(e => { entryByName[e.entryName.replace(/\\/g, '/')] = e; });
+
+    const owned = scoResources.map(sco => {
+        const files = new Set(sco.files.concat(sco.launchFile ? [sco.launchFile] : []).map(f => manifestPrefix + f));
+        const launchEntry = sco.launchFile && entryByName[manifestPrefix + sco.launchFile];
+        if (launchEntry && /\.html?$/i.test(sco.launchFile)) {
+            const launchDir = path.posix.dirname(manifestPrefix + sco.launchFile);
+            const html = launchEntry.getData().toString('utf8');
+            const re = /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi;
+            let m;
+            while ((m = re.exec(html)) !== null) {
+                if (isLocalHref(m[1])) files.add(resolveHref(launchDir === '.' ? '' : launchDir, m[1]));
+            }
+            const folder = path.posix.dirname(sco.launchFile);
+            if (folder !== '.') names.filter(n => n.startsWith(manifestPrefix + folder + '/')).forEach(n => files.add(n));
+        }
+        return files;
+    });
+
+    const shared = { summary: {}, files: [] };
+    const scos = scoResources.map(sco => ({
+        identifier: sco.identifier,
+        launchFile: sco.launchFile,
+        launchFound: !!sco.launchFile && (!isLocalHref(sco.href) || !!entryByName[manifestPrefix + sco.launchFile]),
+        items: sco.items,
+        fileCount: sco.files.length,
+        apiUsage: { summary: {}, files: [] },
+        resumeCapable: false
+    }));
+
+    Object.entries(usage.byFile).forEach(([file, counts]) => {
+        const owners = scos.filter((_, i) => owned[i].has(file.replace(/\\/g, '/')));
+        const targets = owners.length ? owners.map(o => o.apiUsage) : [shared];
+        targets.forEach(target => {
+            target.files.push(file);
+            Object.entries(counts).forEach(([id, n]) => { target.summary[id] = (target.summary[id] || 0) + n; });
+        });
+    });
+
+    const resumeIds = API_USAGE_PATTERNS.filter(p => p.resume).map(p => p.id);
+    scos.forEach(sco => { sco.resumeCapable = resumeIds.some(id => sco.apiUsage.summary[id]); });
+    return { scos, shared };
+}
+
+function reportScos(analysis, breakdown) {
+    const { scos, shared } = breakdown;
+    analysis.scos = scos;
+    if (shared.files.length) analysis.sharedApiUsage = shared;
+    if (scos.length < 2) return;
+
+    const calls = summary => Object.keys(summary).filter(id => !API_USAGE_PATTERNS.find(p => p.id === id).context);
+    const sharedCalls = calls(shared.summary);
+
+    scos.forEach(sco => {
+        const label = `SCO ${sco.identifier} (${sco.launchFile || 'no launch file'})`;
+        const found = calls(sco.apiUsage.summary);
+        if (found.length) {
+            addFinding(analysis, 'SCO_API_USAGE', 'info', 'resources', `${label}: ${found.join(', ')}`, { icon: '🧩' });
+        } else if (!sharedCalls.length) {
+            addFinding(analysis, 'SCO_NO_API_CALLS', 'warning', 'resources', `${label} makes no SCORM API calls — it cannot save progress or report completion`,
+                { evidence: sco.launchFile ? { file: sco.launchFile } : undefined, fix: 'Publish this SCO with LMS tracking enabled' });
+        }
+    });
+
+    const resumable = scos.filter(s => s.resumeCapable).length;
+    if (resumable > 0 && resumable < scos.length && !sharedCalls.some(id => API_USAGE_PATTERNS.find(p => p.id === id).resume)) {
+        addFinding(analysis, 'SCO_RESUME_PARTIAL', 'warning', 'resume',
+            `Resume data is saved by ${resumable} of ${scos.length} SCOs — learners lose their place in the others`,
+            { fix: 'Enable resume in every SCO of the course' });
+    }
+}
+
+// ─── SEQUENCING ─────────────────────────────────────────────────────────────
+
+// Walk the organizations and collect the IMS Simple Sequencing and ADL
+// navigation settings of every activity (organization or item) that has any.
+function analyzeSequencing(manifest) {
+    const result = { collection: [], activities: [] };
+
+    const collection = {};
+    childNodes(manifest, 'sequencingCollection').forEach(sc => {
+        childNodes(sc, 'sequencing').forEach(seq => {
+            const id = nodeAttrs(seq).ID;
+            if (id) collection[id] = seq;
+        });
+    });
+    result.collection = Object.keys(collection);
+
+    const visit = (node, isOrganization, depth) => {
+        const seqNode = childNode(node, 'sequencing');
+        const presNode = childNode(node, 'presentation');
+        if (seqNode || presNode) {
+            const activity = {
+                identifier: nodeAttrs(node).identifier || null,
+                title: nodeText(childNode(node, 'title')) || 'Untitled',
+                type: isOrganization ? 'organization' : 'item',
+                depth,
+                cluster: childNodes(node, 'item').length > 0
+            };
+            if (seqNode) {
+                const idRef = nodeAttrs(seqNode).IDRef;
+                if (idRef) {
+                    activity.sequencingRef = idRef;
+                    if (!collection[idRef]) activity.unresolvedRef = true;
+                }
+                Object.assign(activity, parseSequencing(mergeSequencing(seqNode, collection[idRef])));
+            }
+            if (presNode) activity.presentation = parsePresentation(presNode);
+            result.activities.push(activity);
+        }
+        childNodes(node, 'item').forEach(child => visit(child, false, depth + 1));
+    };
+
+    const orgsNode = childNode(manifest, 'organizations');
+    childNodes(orgsNode, 'organization').forEach(org => visit(org, true, 0));
+
+    return result;
+}
+
+function reportSequencing(analysis, sequencing) {
+    if (sequencing.collection.length > 0) {
+        addFinding(analysis, 'SEQUENCING_COLLECTION', 'info', 'sequencing', `Sequencing collection: ${sequencing.collection.length} shared definition(s) (${sequencing.collection.join(', ')})`, { icon: '🗂️' });
+    }
+    if (sequencing.activities.length > 0) {
+        addFinding(analysis, 'SEQUENCING_ACTIVITIES', 'info', 'sequencing', `Sequencing defined on ${sequencing.activities.length} activit${sequencing.activities.length === 1 ? 'y' : 'ies'}`, { icon: '🧭' });
+    }
+    sequencing.activities.forEach(a => {
+        const parts = [];
+        if (a.controlMode) {
+            const modes = ['flow', 'choice', 'choiceExit', 'forwardOnly'].filter(m => a.controlMode[m]);
+            parts.push(`control: ${modes.length ? modes.join(', ') : 'none'}`);
+        }
+        if (a.limitConditions && a.limitConditions.attemptLimit) parts.push(`attempts ≤ ${a.limitConditions.attemptLimit}`);
+        if (a.limitConditions && a.limitConditions.attemptAbsoluteDurationLimit) parts.push(`duration ≤ ${a.limitConditions.attemptAbsoluteDurationLimit}`);
+        if (a.sequencingRules && a.sequencingRules.length) parts.push(`${a.sequencingRules.length} sequencing rule(s)`);
+        if (a.rollupRules && a.rollupRules.rules.length) parts.push(`${a.rollupRules.rules.length} rollup rule(s)`);
+        if (a.objectives && a.objectives.length) parts.push(`${a.objectives.length} objective(s)`);
+        if (a.presentation && a.presentation.hideLMSUI.length) parts.push(`hides LMS UI: ${a.presentation.hideLMSUI.join(', ')}`);
+        addFinding(analysis, 'SEQUENCING_ACTIVITY', 'info', 'sequencing', `${a.title}: ${parts.length ? parts.join(' | ') : 'default sequencing'}`, { icon: '🧭' });
+
+        if (a.unresolvedRef) {
+            addFinding(analysis, 'SEQUENCING_UNRESOLVED_REF', 'warning', 'sequencing', `${a.title}: sequencing IDRef "${a.sequencingRef}" not found in sequencingCollection`,
+                { fix: 'Add the referenced <sequencing ID> to <imsss:sequencingCollection> or fix the IDRef' });
+        }
+        if (a.deliveryControls && !a.deliveryControls.tracked) {
+            addFinding(analysis, 'SEQUENCING_UNTRACKED', 'warning', 'sequencing', `${a.title}: tracked="false" — LMS will not persist progress for this activity`,
+                { fix: 'Remove tracked="false" from <imsss:deliveryControls> if progress should be kept' });
+        }
+        if (a.cluster && a.controlMode && !a.controlMode.flow && !a.controlMode.choice) {
+            addFinding(analysis, 'SEQUENCING_NO_NAVIGATION', 'warning', 'sequencing', `${a.title}: both flow and choice disabled — learners cannot navigate into children`,
+                { fix: 'Enable flow or choice in <imsss:controlMode>' });
+        }
+    });
+}
+
+// An item's <sequencing IDRef="..."> inherits every element from the shared
+// definition in <sequencingCollection> that it does not override locally.
+function mergeSequencing(local, shared) {
+    if (!shared) return local;
+    const merged = { $: nodeAttrs(local) };
+    const localNames = new Set(Object.keys(local).filter(k => k !== '$').map(localName));
+    for (const key of Object.keys(shared)) {
+        if (key === '$' || localNames.has(localName(key))) continue;
+        merged[key] = shared[key];
+    }
+    for (const key of Object.keys(local)) {
+        if (key !== '$') merged[key] = local[key];
+    }
+    return merged;
+}
+
+function parseSequencing(seq) {
+    const out = {};
+
+    // Defaults per IMS SS: choice/choiceExit true, flow/forwardOnly false
+    const cm = nodeAttrs(childNode(seq, 'controlMode'));
+    out.controlMode = {
+        choice: boolAttr(cm.choice, true),
+        choiceExit: boolAttr(cm.choiceExit, true),
+        flow: boolAttr(cm.flow, false),
+        forwardOnly: boolAttr(cm.forwardOnly, false),
+        useCurrentAttemptObjectiveInfo: boolAttr(cm.useCurrentAttemptObjectiveInfo, true),
+        useCurrentAttemptProgressInfo: boolAttr(cm.useCurrentAttemptProgressInfo, true)
+    };
+
+    const limit = childNode(seq, 'limitConditions');
+    if (limit) {
+        const la = nodeAttrs(limit);
+        out.limitConditions = {
+            attemptLimit: la.attemptLimit ? parseInt(la.attemptLimit, 10) : null,
+            attemptAbsoluteDurationLimit: la.attemptAbsoluteDurationLimit || null
+        };
+    }
+
+    const rulesNode = childNode(seq, 'sequencingRules');
+    if (rulesNode) {
+        out.sequencingRules = [];
+        [['preConditionRule', 'pre'], ['exitConditionRule', 'exit'], ['postConditionRule', 'post']].forEach(([tag, type]) => {
+            childNodes(rulesNode, tag).forEach(rule => {
+                const conds = childNode(rule, 'ruleConditions');
+                out.sequencingRules.push({
+                    type,
+                    conditionCombination: nodeAttrs(conds).conditionCombination || 'all',
+                    conditions: childNodes(conds, 'ruleCondition').map(c => {
+                        const ca = nodeAttrs(c);
+                        return {
+                            condition: ca.condition,
+                            operator: ca.operator || 'noOp',
+                            referencedObjective: ca.referencedObjective || null,
+                            measureThreshold: ca.measureThreshold || null
+                        };
+                    }),
+                    action: nodeAttrs(childNode(rule, 'ruleAction')).action || null
+                });
+            });
+        });
+    }
+
+    const rollup = childNode(seq, 'rollupRules');
+    if (rollup) {
+        const ra = nodeAttrs(rollup);
+        out.rollupRules = {
+            rollupObjectiveSatisfied: boolAttr(ra.rollupObjectiveSatisfied, true),
+            rollupProgressCompletion: boolAttr(ra.rollupProgressCompletion, true),
+            objectiveMeasureWeight: ra.objectiveMeasureWeight ? parseFloat(ra.objectiveMeasureWeight) : 1,
+            rules: childNodes(rollup, 'rollupRule').map(rule => {
+                const rra = nodeAttrs(rule);
+                const conds = childNode(rule, 'rollupConditions');
+                return {
+                    childActivitySet: rra.childActivitySet || 'all',
+                    minimumCount: rra.minimumCount ? parseInt(rra.minimumCount, 10) : 0,
+                    minimumPercent: rra.minimumPercent ? parseFloat(rra.minimumPercent) : 0,
+                    conditionCombination: nodeAttrs(conds).conditionCombination || 'any',
+                    conditions: childNodes(conds, 'rollupCondition').map(c => ({
+                        condition: nodeAttrs(c).condition,
+                        operator: nodeAttrs(c).operator || 'noOp'
+                    })),
+                    action: nodeAttrs(childNode(rule, 'rollupAction')).action || null
+                };
+            })
+        };
+    }
+
+    const objectives = childNode(seq, 'objectives');
+    if (objectives) {
+        const parseObjective = (obj, primary) => {
+            const oa = nodeAttrs(obj);
+            const minMeasure = nodeText(childNode(obj, 'minNormalizedMeasure'));
+            return {
+                objectiveID: oa.objectiveID || null,
+                primary,
+                satisfiedByMeasure: boolAttr(oa.satisfiedByMeasure, false),
+                minNormalizedMeasure: minMeasure ? parseFloat(minMeasure) : null,
+                mapInfo: childNodes(obj, 'mapInfo').map(m => {
+                    const ma = nodeAttrs(m);
+                    return {
+                        targetObjectiveID: ma.targetObjectiveID,
+                        readSatisfiedStatus: boolAttr(ma.readSatisfiedStatus, true),
+                        readNormalizedMeasure: boolAttr(ma.readNormalizedMeasure, true),
+                        writeSatisfiedStatus: boolAttr(ma.writeSatisfiedStatus, false),
+                        writeNormalizedMeasure: boolAttr(ma.writeNormalizedMeasure, false)
+                    };
+                })
+            };
+        };
+        out.objectives = [
+            ...childNodes(objectives, 'primaryObjective').map(o => parseObjective(o, true)),
+            ...childNodes(objectives, 'objective').map(o => parseObjective(o, false))
+        ];
+    }
+
+    const delivery = childNode(seq, 'deliveryControls');
+    if (delivery) {
+        const da = nodeAttrs(delivery);
+        out.deliveryControls = {
+            tracked: boolAttr(da.tracked, true),
+            completionSetByContent: boolAttr(da.completionSetByContent, false),
+            objectiveSetByContent: boolAttr(da.objectiveSetByContent, false)
+        };
+    }
+
+    return out;
+}
+
+function parsePresentation(pres) {
+    const hideLMSUI = [];
+    childNodes(pres, 'navigationInterface').forEach(ni => {
+        childNodes(ni, 'hideLMSUI').forEach(h => {
+            const value = nodeText(h);
+            if (value) hideLMSUI.push(value);
+        });
+    });
+    return { hideLMSUI };
+}
+
+// ─── PACKAGE COMPARISON ─────────────────────────────────────────────────────
+
+// Compare two versions of a package and judge whether learners who already
+// started the old one can resume after the LMS swaps in the new one
+async function comparePackages(oldZipPath, newZipPath) {
+    const before = await packageSnapshot(oldZipPath);
+    const after = await packageSnapshot(newZipPath);
+    for (const [label, snap] of [['Old', before], ['New', after]]) {
+        if (snap.analysis.extractionError) {
+            const error = new Error(`${label} package: ${snap.analysis.error}`);
+            error.extraction = snap.analysis.extractionError;
+            throw error;
+        }
+        if (!snap.analysis.success) throw requestError(`${label} package: ${snap.analysis.error}`, 422);
+    }
+
+    const comparison = {
+        success: true,
+        old: snapshotSummary(before),
+        new: snapshotSummary(after),
+        metadata: diffMetadata(before, after),
+        items: diffKeyed(flattenItems(before.analysis.organizations), flattenItems(after.analysis.organizations)),
+        resources: diffKeyed(resourceMap(before.manifest), resourceMap(after.manifest)),
+        sequencing: diffKeyed(sequencingMap(before.analysis.sequencing), sequencingMap(after.analysis.sequencing)),
+        files: diffFiles(before.files, after.files),
+        apiUsage: diffApiUsage(before.analysis.apiUsage, after.analysis.apiUsage)
+    };
+    comparison.resumeImpact = assessResumeImpact(before, after, comparison);
+    return comparison;
+}
+
+async function packageSnapshot(zipPath) {
+    const analysis = await analyzeSCORM(zipPath);
+    const snapshot = { analysis, manifest: null, files: {} };
+    if (!analysis.success) return snapshot;
+
+    // Sizes and CRCs come from the entry headers, so nothing is inflated twice
+    const zipEntries = new AdmZip(zipPath).getEntries();
+    zipEntries.filter(e => !e.isDirectory).forEach(e => {
+        snapshot.files[e.entryName.replace(/\\/g, '/')] = { size: e.header.size, crc: e.header.crc };
+    });
+
+    const manifestEntry = zipEntries.find(e => e.entryName.toLowerCase().endsWith('imsmanifest.xml'));
+    if (manifestEntry) {
+        try {
+            const parsed = await new xml2js.Parser().parseStringPromise(manifestEntry.getData().toString('utf8'));
+            snapshot.manifest = parsed.manifest;
+        } catch (_) { /* analysis already reported the parse error */ }
+    }
+    return snapshot;
+}
+
+function snapshotSummary(snapshot) {
+    const a = snapshot.analysis;
+    return {
+        success: a.success,
+        error: a.error || null,
+        standard: a.standard || null,
+        version: (a.metadata && a.metadata.version) || null,
+        title: (a.metadata && a.metadata.title) || null,
+        authoringTool: a.authoringTool ? { name: a.authoringTool.name, version: a.authoringTool.version || null } : null,
+        resumeCapable: !!a.resumeCapable,
+        resumeScore: a.resumeConfidence ? a.resumeConfidence.score : null,
+        fileCount: Object.keys(snapshot.files).length
+    };
+}
+
+// Generic keyed diff: each map is identifier → flat record
+function diffKeyed(oldMap, newMap) {
+    const diff = { added: [], removed: [], changed: [] };
+    Object.keys(oldMap).forEach(id => {
+        if (!(id in newMap)) diff.removed.push({ identifier: id, ...oldMap[id] });
+    });
+    Object.keys(newMap).forEach(id => {
+        if (!(id in oldMap)) return diff.added.push({ identifier: id, ...newMap[id] });
+        const changes = [];
+        new Set([...Object.keys(oldMap[id]), ...Object.keys(newMap[id])]).forEach(field => {
+            const from = oldMap[id][field] === undefined ? null : oldMap[id][field];
+            const to = newMap[id][field] === undefined ? null : newMap[id][field];
+            if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, old: from, new: to });
+        });
+        if (changes.length > 0) diff.changed.push({ identifier: id, title: newMap[id].title || null, changes });
+    });
+    return diff;
+}
+
+function diffMetadata(before, after) {
+    const record = snapshot => {
+        const m = { ...(snapshot.analysis.metadata || {}) };
+        m.manifestIdentifier = snapshot.manifest ? (nodeAttrs(snapshot.manifest).identifier || null) : null;
+        m.standard = snapshot.analysis.standard || null;
+        const tool = snapshot.analysis.authoringTool;
+        m.authoringTool = tool ? `${tool.name}${tool.version ? ' ' + tool.version : ''}` : null;
+        return m;
+    };
+    return diffKeyed({ package: record(before) }, { package: record(after) }).changed
+        .flatMap(c => c.changes);
+}
+
+function flattenItems(organizations) {
+    const map = {};
+    const walk = (items, org, parent) => items.forEach(item => {
+        if (item.identifier) {
+            map[item.identifier] = {
+                title: item.title,
+                organization: org,
+                parent,
+                identifierref: item.identifierref,
+                isvisible: item.isvisible,
+                parameters: item.parameters,
+                masteryScore: item.masteryScore,
+                maxTimeAllowed: item.maxTimeAllowed,
+                dataFromLMS: item.dataFromLMS,
+                prerequisites: item.prerequisites ? item.prerequisites.expression : null
+            };
+        }
+        walk(item.children, org, item.identifier);
+    });
+    (organizations || []).forEach(org => walk(org.items, org.identifier, null));
+    return map;
+}
+
+function resourceMap(manifest) {
+    const map = {};
+    if (!manifest) return map;
+    childNodes(childNode(manifest, 'resources'), 'resource').forEach(res => {
+        const a = nodeAttrs(res);
+        if (!a.identifier) return;
+        map[a.identifier] = {
+            href: a.href || null,
+            type: a.type || null,
+            scormType: (attrByLocalName(res, 'scormtype') || '').toLowerCase() || null,
+            fileCount: childNodes(res, 'file').length,
+            dependencies: childNodes(res, 'dependency').map(d => nodeAttrs(d).identifierref).filter(Boolean)
+        };
+    });
+    return map;
+}
+
+function sequencingMap(sequencing) {
+    const map = {};
+    if (!sequencing) return map;
+    sequencing.activities.forEach(activity => {
+        if (!activity.identifier) return;
+        const { identifier, depth, ...rest } = activity;
+        map[identifier] = rest;
+    });
+    return map;
+}
+
+function diffFiles(oldFiles, newFiles) {
+    const diff = { added: [], removed: [], modified: [], unchanged: 0, oldBytes: 0, newBytes: 0 };
+    Object.entries(oldFiles).forEach(([file, info]) => {
+        diff.oldBytes += info.size;
+        if (!(file in newFiles)) diff.removed.push({ file, size: info.size });
+    });
+    Object.entries(newFiles).forEach(([file, info]) => {
+        diff.newBytes += info.size;
+        const old = oldFiles[file];
+        if (!old) diff.added.push({ file, size: info.size });
+        else if (old.size !== info.size || old.crc !== info.crc) diff.modified.push({ file, oldSize: old.size, newSize: info.size });
+        else diff.unchanged++;
+    });
+    return diff;
+}
+
+function diffApiUsage(oldUsage, newUsage) {
+    const oldSummary = (oldUsage && oldUsage.summary) || {};
+    const newSummary = (newUsage && newUsage.summary) || {};
+    return API_USAGE_PATTERNS
+        .filter(p => (oldSummary[p.id] || 0) !== (newSummary[p.id] || 0))
+        .map(p => ({ pattern: p.id, label: p.label, resume: !!p.resume, old: oldSummary[p.id] || 0, new: newSummary[p.id] || 0 }));
+}
+
+// Saved learner data is keyed on the manifest and item identifiers, and the
+// suspend_data string is only readable by the code that wrote it
+function assessResumeImpact(before, after, comparison) {
+    const reasons = [];
+    const add = (level, message) => reasons.push({ level, message });
+    const meta = field => comparison.metadata.find(c => c.field === field);
+
+    const manifestId = meta('manifestIdentifier');
+    if (manifestId) add('breaking', `Manifest identifier changed (${manifestId.old || 'none'} → ${manifestId.new || 'none'}) — most LMSs treat this as a new course`);
+    const version = meta('version');
+    if (version) add('breaking', `SCORM version changed (${version.old || 'unknown'} → ${version.new || 'unknown'}) — the runtime data model differs`);
+    const standard = meta('standard');
+    if (standard) add('breaking', `Packaging standard changed (${standard.old} → ${standard.new})`);
+
+    const removedScos = comparison.items.removed.filter(i => i.identifierref);
+    if (removedScos.length > 0) {
+        add('breaking', `${removedScos.length} SCO item(s) removed (${removedScos.map(i => i.identifier).join(', ')}) — their saved attempts are orphaned`);
+    }
+    comparison.items.changed.forEach(item => {
+        if (item.changes.some(c => c.field === 'identifierref')) add('risky', `Item ${item.identifier} now launches a different resource`);
+    });
+
+    comparison.apiUsage
+        .filter(u => u.resume && u.old > 0 && u.new === 0)
+        .forEach(u => add('breaking', `New version no longer uses ${u.label} — saved progress will be ignored`));
+
+    const tool = meta('authoringTool');
+    if (tool) add('risky', `Authoring tool changed (${tool.old || 'unknown'} → ${tool.new || 'unknown'}) — the suspend_data format is tool-specific`);
+
+    // Modified files that read or write suspend_data may change its format
+    const resumeFiles = new Set([before, after].flatMap(s => ((s.analysis.apiUsage && s.analysis.apiUsage.findings) || [])
+        .filter(f => f.pattern === 'suspend_data')
+        .map(f => f.file.replace(/\\/g, '/'))));
+    const changedResumeFiles = comparison.files.modified.filter(f => resumeFiles.has(f.file));
+    if (changedResumeFiles.length > 0) {
+        add('risky', `${changedResumeFiles.length} file(s) handling suspend_data changed (${changedResumeFiles.slice(0, 5).map(f => f.file).join(', ')}${changedResumeFiles.length > 5 ? ', …' : ''}) — check saved state still parses`);
+    }
+
+    const launch = meta('launchFile');
+    if (launch) add('risky', `Launch file changed (${launch.old || 'none'} → ${launch.new || 'none'}) — bookmarks may point at old pages`);
+
+    if (comparison.sequencing.changed.length + comparison.sequencing.added.length + comparison.sequencing.removed.length > 0) {
+        add('risky', 'Sequencing changed — rollup and objective status of in-progress attempts may be recalculated');
+    }
+
+    const addedScos = comparison.items.added.filter(i => i.identifierref);
+    if (addedScos.length > 0) add('info', `${addedScos.length} SCO item(s) added — learners who completed the old version may show as incomplete`);
+
+    const verdict = reasons.some(r => r.level === 'breaking') ? 'breaking'
+        : reasons.some(r => r.level === 'risky') ? 'risky' : 'safe';
+    return { verdict, reasons };
+}
+
+// ─── SAFE EXTRACTION ────────────────────────────────────────────────────────
+
+// Every extraction of an uploaded or repaired package goes through
+// safeExtract. Limits are checked against the zip headers first and again
+// against the bytes actually inflated, since headers can lie.
+const EXTRACT_LIMITS = {
+    maxTotalBytes: 1024 * 1024 * 1024, // 1 GB uncompressed
+    maxEntries: 20000,
+    maxRatio: 200,                      // per entry, uncompressed / compressed
+    ratioMinBytes: 1024 * 1024          // small files may compress arbitrarily well
+};
+
+// Errors carry `extraction: { code, message, entry?, limit?, actual? }` so
+// endpoints can hand the UI a structured reason
+function extractionError(code, message, details = {}) {
+    const error = new Error(message);
+    error.extraction = { code, message, ...details };
+    return error;
+}
+
+// Size, count and ratio limits only; path problems are left to the caller
+// (analysis reports them through the security scan instead of failing)
+function checkArchiveLimits(entries, limits = EXTRACT_LIMITS) {
+    if (entries.length > limits.maxEntries) {
+        throw extractionError('TOO_MANY_ENTRIES', `Archive has ${entries.length} entries (limit ${limits.maxEntries})`,
+            { limit: limits.maxEntries, actual: entries.length });
+    }
+    let total = 0;
+    for (const entry of entries) {
+        if (entry.isDirectory) continue;
+        const size = entry.header.size;
+        const compressed = entry.header.compressedSize;
+        total += size;
+        if (total > limits.maxTotalBytes) {
+            throw extractionError('TOO_LARGE', `Archive expands to more than ${formatBytes(limits.maxTotalBytes)}`,
+                { entry: entry.entryName, limit: limits.maxTotalBytes, actual: total });
+        }
+        if (size >= limits.ratioMinBytes && size / Math.max(compressed, 1) > limits.maxRatio) {
+            throw extractionError('COMPRESSION_RATIO', `${entry.entryName} has a ${Math.round(size / Math.max(compressed, 1))}:1 compression ratio (limit ${limits.maxRatio}:1) — possible zip bomb`,
+                { entry: entry.entryName, limit: limits.maxRatio, actual: Math.round(size / Math.max(compressed, 1)) });
+        }
+    }
+    return total;
+}
+
+function safeExtract(zipPath, destDir, limits = EXTRACT_LIMITS) {
+    const entries = new AdmZip(zipPath).getEntries();
+    checkArchiveLimits(entries, limits);
+
+    const root = path.resolve(destDir);
+    const targets = entries.map(entry => {
+        const name = entry.entryName.replace(/\\/g, '/');
+        if (isSymlinkEntry(entry)) {
+            throw extractionError('SYMLINK', `Symbolic link entries are not allowed: ${entry.entryName}`, { entry: entry.entryName });
+        }
+        const target = path.resolve(root, name.replace(/^[a-zA-Z]:/, ''));
+        if (/^(?:\/|[a-zA-Z]:)/.test(name) || (target !== root && !target.startsWith(root + path.sep))) {
+            throw extractionError('PATH_ESCAPE', `Entry escapes the extraction folder: ${entry.entryName}`, { entry: entry.entryName });
+        }
+        return target;
+    });
+
+    fs.mkdirSync(root, { recursive: true });
+    let written = 0;
+    entries.forEach((entry, i) => {
+        if (entry.isDirectory) {
+            fs.mkdirSync(targets[i], { recursive: true });
+            return;
+        }
+        const data = entry.getData();
+        written += data.length;
+        if (written > limits.maxTotalBytes) {
+            throw extractionError('TOO_LARGE', `Archive expands to more than ${formatBytes(limits.maxTotalBytes)}`,
+                { entry: entry.entryName, limit: limits.maxTotalBytes, actual: written });
+        }
+        fs.mkdirSync(path.dirname(targets[i]), { recursive: true });
+        fs.writeFileSync(targets[i], data);
+    });
+    return { entries: entries.length, bytes: written };
+}
+
+// Unix mode lives in the high 16 bits of the external attributes
+function isSymlinkEntry(entry) {
+    return ((entry.header.attr >>> 16) & 0o170000) === 0o120000;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(0)} MB` : `${(bytes / 1024).toFixed(0)} KB`;
+}
+
+// ─── REPAIR RULES & PROFILES ────────────────────────────────────────────────
+
+// Each repair belongs to one rule; plan ids are `<rule>` or `<rule>:<target>`.
+// Creating or rebuilding a missing/corrupt manifest is not a rule — it always runs.
+const REPAIR_RULES = [
+    { id: 'adlcp-namespace', label: 'Add missing adlcp/SCORM namespaces', default: true },
+    { id: 'metadata-block', label: 'Add missing metadata/schema block', default: true },
+    { id: 'fix-case-mismatches', label: 'Fix file-name case mismatches', default: false },
+    { id: 'regenerate-file-lists', label: 'Regenerate <file> listings', default: false },
+    { id: 'scormtype', label: 'Mark launched resources as SCOs', default: true },
+    { id: 'launch-file', label: 'Fix broken launch files', default: true },
+    { id: 'create-resources', label: 'Create missing resources block', default: true },
+    { id: 'organization-references', label: 'Fix organization and item references', default: true },
+    { id: 'inject-shim', label: 'Inject SCORM API shim into launch pages', default: true },
+    { id: 'runtime-adapter', label: 'Add the runtime adapter when converting versions', default: true }
+];
+
+const BUILTIN_REPAIR_PROFILES = [
+    {
+        id: 'local-play',
+        label: 'Local play',
+        description: 'Fix what the in-browser player needs and inject the API shim',
+        rules: {}
+    },
+    {
+        id: 'lms-ready',
+        label: 'LMS-ready',
+        description: 'Clean manifest for LMS import — never injects the shim',
+        rules: { 'fix-case-mismatches': true, 'regenerate-file-lists': true, 'inject-shim': false }
+    }
+];
+
+const DEFAULT_REPAIR_PROFILE = 'local-play';
+const REPAIR_PROFILES_FILE = path.join(__dirname, 'repair_profiles.json');
+
+function defaultRepairRules() {
+    const rules = {};
+    REPAIR_RULES.forEach(rule => { rules[rule.id] = rule.default; });
+    return rules;
+}
+
+// Built-in profiles plus the ones saved to repair_profiles.json
+function loadRepairProfiles() {
+    let saved = [];
+    try { saved = JSON.parse(fs.readFileSync(REPAIR_PROFILES_FILE, 'utf8')); } catch (_) { }
+    if (!Array.isArray(saved)) saved = [];
+    const builtIn = BUILTIN_REPAIR_PROFILES.map(p => ({ ...p, builtIn: true, rules: { ...defaultRepairRules(), ...p.rules } }));
+    return builtIn.concat(saved
+        .filter(p => p && p.id && !BUILTIN_REPAIR_PROFILES.some(b => b.id === p.id))
+        .map(p => ({ ...p, builtIn: false, rules: { ...defaultRepairRules(), ...cleanRepairRules(p.rules) } })));
+}
+
+function saveRepairProfile(profile) {
+    const id = String(profile.id || profile.label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!id) throw requestError('Profile needs a name');
+    if (BUILTIN_REPAIR_PROFILES.some(p => p.id === id)) throw requestError(`"${id}" is a built-in profile and can't be overwritten`);
+    const saved = loadRepairProfiles().filter(p => !p.builtIn && p.id !== id)
+        .map(({ builtIn, ...p }) => p);
+    const entry = {
+        id,
+        label: String(profile.label || id),
+        description: profile.description ? String(profile.description) : '',
+        rules: { ...defaultRepairRules(), ...cleanRepairRules(profile.rules) }
+    };
+    saved.push(entry);
+    fs.writeFileSync(REPAIR_PROFILES_FILE, JSON.stringify(saved, null, 2) + '\n', 'utf8');
+    return { ...entry, builtIn: false };
+}
+
+function deleteRepairProfile(id) {
+    if (BUILTIN_REPAIR_PROFILES.some(p => p.id === id)) throw requestError(`"${id}" is a built-in profile and can't be deleted`);
+    const saved = loadRepairProfiles().filter(p => !p.builtIn);
+    if (!saved.some(p => p.id === id)) throw requestError(`Unknown repair profile: ${id}`, 404);
+    const rest = saved.filter(p => p.id !== id).map(({ builtIn, ...p }) => p);
+    fs.writeFileSync(REPAIR_PROFILES_FILE, JSON.stringify(rest, null, 2) + '\n', 'utf8');
+}
+
+// Only known rule ids with boolean values survive
+function cleanRepairRules(rules) {
+    const clean = {};
+    if (!rules || typeof rules !== 'object') return clean;
+    REPAIR_RULES.forEach(rule => {
+        const v = rules[rule.id];
+        if (v === true || v === 'true') clean[rule.id] = true;
+        else if (v === false || v === 'false') clean[rule.id] = false;
+    });
+    return clean;
+}
+
+// Rule switches for one repair: the profile's, then per-request overrides
+function resolveRepairRules(profileId, overrides) {
+    const id = profileId || DEFAULT_REPAIR_PROFILE;
+    const profile = loadRepairProfiles().find(p => p.id === id);
+    if (!profile) throw requestError(`Unknown repair profile: ${id}`);
+    return { profile: profile.id, rules: { ...profile.rules, ...cleanRepairRules(overrides) } };
+}
+
+function requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// ─── DIFF ───────────────────────────────────────────────────────────────────
+
+const DIFF_CONTEXT = 3;
+const DIFF_MAX_CELLS = 4000000;   // LCS table budget; bigger edits become one replace block
+const DIFF_MAX_LINE = 400;        // minified one-liners are cut in the output
+
+// Line-based unified diff. The common head and tail are trimmed before the
+// LCS table, so a one-line injection into a large page stays cheap.
+function unifiedDiff(oldText, newText, oldName, newName) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const ops = a.slice(0, start).map(line => [' ', line])
+        .concat(diffLines(a.slice(start, endA), b.slice(start, endB)))
+        .concat(a.slice(endA).map(line => [' ', line]));
+    const additions = ops.filter(op => op[0] === '+').length;
+    const deletions = ops.filter(op => op[0] === '-').length;
+    if (additions + deletions === 0) return { text: '', additions, deletions };
+    return { text: [`--- ${oldName}`, `+++ ${newName}`, ...diffHunks(ops)].join('\n') + '\n', additions, deletions };
+}
+
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+function diffLines(a, b) {
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+        return a.map(line => ['-', line]).concat(b.map(line => ['+', line]));
+    }
+    // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) { ops.push([' ', a[i]]); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push(['-', a[i++]]);
+        else ops.push(['+', b[j++]]);
+    }
+    while (i < a.length) ops.push(['-', a[i++]]);
+    while (j < b.length) ops.push(['+', b[j++]]);
+    return ops;
+}
+
+// Group changed lines into @@ hunks with DIFF_CONTEXT lines around them
+function diffHunks(ops) {
+    const oldNo = [], newNo = [];
+    let o = 1, n = 1;
+    ops.forEach((op, i) => {
+        oldNo[i] = o;
+        newNo[i] = n;
+        if (op[0] !== '+') o++;
+        if (op[0] !== '-') n++;
+    });
+    const changed = ops.map((op, i) => (op[0] === ' ' ? -1 : i)).filter(i => i >= 0);
+
+    const out = [];
+    for (let k = 0; k < changed.length; k++) {
+        const from = Math.max(0, changed[k] - DIFF_CONTEXT);
+        while (k + 1 < changed.length && changed[k + 1] - changed[k] <= 2 * DIFF_CONTEXT) k++;
+        const to = Math.min(ops.length, changed[k] + DIFF_CONTEXT + 1);
+        const hunk = ops.slice(from, to);
+        const oldCount = hunk.filter(op => op[0] !== '+').length;
+        const newCount = hunk.filter(op => op[0] !== '-').length;
+        // An empty side is numbered from the line before it, as in GNU diff
+        out.push(`@@ -${oldCount ? oldNo[from] : oldNo[from] - 1},${oldCount} +${newCount ? newNo[from] : newNo[from] - 1},${newCount} @@`);
+        hunk.forEach(([mark, line]) => out.push(mark + (line.length > DIFF_MAX_LINE ? line.slice(0, DIFF_MAX_LINE) + ' …' : line)));
+    }
+    return out;
+}
+
+// ─── VERSION CONVERSION ─────────────────────────────────────────────────────
+
+// Manifest half of converting between SCORM 1.2 and SCORM 2004 4th Edition;
+// repairSCORM runs it when options.convertTo is set. The content keeps
+// calling the API it was written for — public/scorm-runtime-adapter.js
+// translates those calls to the other data model at runtime. Manifest
+// repair uses SCORM_VERSIONS too, to stay within the package's version.
+
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const SCORM_VERSIONS = {
+    '1.2': {
+        label: 'SCORM 1.2',
+        schemaversion: '1.2',
+        namespaces: {
+            xmlns: 'http://www.imsproject.org/xsd/imscp_rootv1p1p2',
+            'xmlns:adlcp': 'http://www.adlnet.org/xsd/adlcp_rootv1p2',
+            'xmlns:xsi': XSI_NAMESPACE
+        },
+        schemaLocation: 'http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd '
+            + 'http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd '
+            + 'http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd',
+        lomNamespace: 'http://www.imsglobal.org/xsd/imsmd_rootv1p2p1',
+        scormTypeKey: 'adlcp:scormtype'
+    },
+    '2004': {
+        label: 'SCORM 2004 4th Edition',
+        schemaversion: '2004 4th Edition',
+        namespaces: {
+            xmlns: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+            'xmlns:adlcp': 'http://www.adlnet.org/xsd/adlcp_v1p3',
+            'xmlns:adlseq': 'http://www.adlnet.org/xsd/adlseq_v1p3',
+            'xmlns:adlnav': 'http://www.adlnet.org/xsd/adlnav_v1p3',
+            'xmlns:imsss': 'http://www.imsglobal.org/xsd/imsss',
+            'xmlns:xsi': XSI_NAMESPACE
+        },
+        schemaLocation: 'http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd '
+            + 'http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd '
+            + 'http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd '
+            + 'http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd '
+            + 'http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd',
+        lomNamespace: 'http://ltsc.ieee.org/xsd/LOM',
+        scormTypeKey: 'adlcp:scormType'
+    }
+};
+
+// Every namespace a conversion replaces on the root element
+const SCORM_NAMESPACE_URIS = new Set(Object.values(SCORM_VERSIONS).flatMap(v => [...Object.values(v.namespaces), v.lomNamespace]));
+
+// Child order the schemas require (xml2js serializes in key order)
+const ITEM_ORDER = {
+    '1.2': ['title', 'item', 'metadata', 'prerequisites', 'maxtimeallowed', 'timelimitaction', 'datafromlms', 'masteryscore'],
+    '2004': ['title', 'item', 'metadata', 'timeLimitAction', 'dataFromLMS', 'completionThreshold', 'sequencing', 'presentation']
+};
+
+const RUNTIME_ADAPTER_FILE = 'scorm-runtime-adapter.js';
+
+// schemaversion decides; without one, 2004-only namespaces or the camelCase
+// adlcp:scormType give a 2004 manifest away
+function manifestVersion(manifest) {
+    const schemaversion = nodeText(childNode(childNode(manifest, 'metadata'), 'schemaversion'));
+    if (schemaversion) return /2004|CAM 1\.3/i.test(schemaversion) ? '2004' : '1.2';
+    const only2004 = Object.values(SCORM_VERSIONS['2004'].namespaces).filter(uri => uri !== XSI_NAMESPACE);
+    if (Object.values(nodeAttrs(manifest)).some(uri => only2004.includes(uri))) return '2004';
+    const camelCase = childNodes(childNode(manifest, 'resources'), 'resource')
+        .some(res => Object.keys(nodeAttrs(res)).some(key => localName(key) === 'scormType'));
+    return camelCase ? '2004' : '1.2';
+}
+
+// Rewrites the parsed manifest in place for `target` ('1.2' or '2004').
+// Returns the source version and one note per change worth knowing about.
+function convertManifest(manifest, target) {
+    const from = manifestVersion(manifest);
+    const version = SCORM_VERSIONS[target];
+    const notes = [];
+
+    // Renamed adlcp keys keep their prefix, so odd prefixes (adl:) become adlcp:
+    const adlcpUris = Object.values(SCORM_VERSIONS).map(v => v.namespaces['xmlns:adlcp']);
+    Object.entries(nodeAttrs(manifest)).forEach(([key, value]) => {
+        if (key.startsWith('xmlns:') && key !== 'xmlns:adlcp' && adlcpUris.includes(value)) renamePrefix(manifest, key.slice(6), 'adlcp');
+    });
+
+    // ── Root namespaces and schemaLocation
+    const kept = {};
+    Object.entries(nodeAttrs(manifest)).forEach(([key, value]) => {
+        const isNamespace = key === 'xmlns' || key.startsWith('xmlns:');
+        if (localName(key) === 'schemaLocation' || (isNamespace && (SCORM_NAMESPACE_URIS.has(value) || value === XSI_NAMESPACE))) return;
+        kept[key] = value;
+    });
+    manifest.$ = { ...kept, ...version.namespaces, 'xsi:schemaLocation': version.schemaLocation };
+    notes.push(`🏷️ Namespaces and schemaversion set to ${version.label}`);
+
+    // ── Package metadata and LOM
+    if (!childNode(manifest, 'metadata')) manifest.metadata = [{}];
+    const metadata = childNode(manifest, 'metadata');
+    replaceChild(metadata, 'schema', 'ADL SCORM');
+    replaceChild(metadata, 'schemaversion', version.schemaversion);
+    reorderChildren(metadata, ['schema', 'schemaversion']);
+    const nested = [...manifestItems(manifest), ...childNodes(childNode(manifest, 'resources'), 'resource')]
+        .map(node => childNode(node, 'metadata')).filter(Boolean);
+    const lomCount = [metadata, ...nested].filter(node => rebuildLom(node, target)).length;
+    if (lomCount) notes.push(`📝 Rebuilt ${lomCount} inline LOM record(s) in the ${target === '2004' ? 'IEEE LOM' : 'IMS MD 1.2'} format (title, description, keywords, language, version, learning time, copyright; other LOM fields are not carried over)`);
+    childNodes(metadata, 'location').forEach(location => {
+        notes.push(`ℹ️ External metadata file ${nodeText(location)} is left as is`);
+    });
+
+    // ── Resources: scormtype ↔ scormType
+    childNodes(childNode(manifest, 'resources'), 'resource').forEach(res => {
+        if (res.$) renameKeys(res.$, key => localName(key).toLowerCase() === 'scormtype' ? version.scormTypeKey : key);
+    });
+
+    // ── Organizations and items
+    const collection = {};
+    childNodes(childNode(manifest, 'sequencingCollection'), 'sequencing').forEach(seq => {
+        if (nodeAttrs(seq).ID) collection[nodeAttrs(seq).ID] = seq;
+    });
+    let droppedSequencing = 0;
+    let droppedPresentation = 0;
+    childNodes(childNode(manifest, 'organizations'), 'organization').forEach(org => {
+        const id = nodeAttrs(org).identifier || '(organization)';
+        if (target === '2004') {
+            // 1.2 LMSs let learners pick any item from the menu; keep that
+            // and add Continue/Previous on top
+            if (!childNode(org, 'sequencing')) {
+                org['imsss:sequencing'] = [{ 'imsss:controlMode': [{ $: { choice: 'true', flow: 'true' } }] }];
+                notes.push(`🧭 Organization ${id}: added default sequencing (choice and flow navigation)`);
+            }
+            reorderChildren(org, ['title', 'item', 'metadata', 'sequencing']);
+        } else {
+            if (sequencingBeyondDefaults(childNode(org, 'sequencing'), collection)) droppedSequencing++;
+            removeChildren(org, ['sequencing']);
+            Object.keys(nodeAttrs(org)).forEach(key => {
+                if (/^(?:objectivesGlobalToSystem|sharedDataGlobalToSystem)$/.test(localName(key))) delete org.$[key];
+            });
+        }
+        allItems(org).forEach(item => {
+            const itemId = nodeAttrs(item).identifier || '(item)';
+            if (target === '2004') {
+                convertItemTo2004(item, itemId, notes);
+            } else {
+                if (sequencingBeyondDefaults(childNode(item, 'sequencing'), collection, true)) droppedSequencing++;
+                if (childNode(item, 'presentation')) droppedPresentation++;
+                convertItemTo12(item, itemId, collection, notes);
+            }
+            reorderChildren(item, ITEM_ORDER[target]);
+        });
+    });
+    if (target === '1.2') {
+        removeChildren(manifest, ['sequencingCollection']);
+        if (droppedSequencing) notes.push(`⚠️ Removed sequencing rules from ${droppedSequencing} organization(s)/item(s) — SCORM 1.2 has no sequencing, so learners can open items in any order`);
+        if (droppedPresentation) notes.push(`ℹ️ Removed adlnav:presentation (hidden LMS navigation controls) from ${droppedPresentation} item(s)`);
+    }
+    reorderChildren(manifest, ['metadata', 'organizations', 'resources', 'manifest', 'sequencingCollection']);
+
+    return { from, to: target, notes };
+}
+
+// masteryscore → primary objective satisfied by measure, maxtimeallowed →
+// attempt duration limit, lowercase adlcp launch data → camelCase
+function convertItemTo2004(item, id, notes) {
+    const masteryScore = nodeText(childNode(item, 'masteryscore'));
+    const maxTime = nodeText(childNode(item, 'maxtimeallowed'));
+    const prerequisites = nodeText(childNode(item, 'prerequisites'));
+    removeChildren(item, ['masteryscore', 'maxtimeallowed', 'prerequisites']);
+    renameChild(item, 'timelimitaction', 'adlcp:timeLimitAction');
+    renameChild(item, 'datafromlms', 'adlcp:dataFromLMS');
+
+    const sequencing = {};
+    if (maxTime) {
+        const duration = timespanToDuration(maxTime);
+        if (duration) {
+            sequencing['imsss:limitConditions'] = [{ $: { attemptAbsoluteDurationLimit: duration } }];
+            notes.push(`⏱️ Item ${id}: maxtimeallowed ${maxTime} → attemptAbsoluteDurationLimit ${duration}`);
+        } else {
+            notes.push(`⚠️ Item ${id}: maxtimeallowed "${maxTime}" is not a valid time span — dropped`);
+        }
+    }
+    if (masteryScore) {
+        const score = parseFloat(masteryScore);
+        if (isNaN(score) || score < 0 || score > 100) {
+            notes.push(`⚠️ Item ${id}: masteryscore "${masteryScore}" is not a 0–100 score — dropped`);
+        } else {
+            const measure = String(Math.round(score * 100) / 10000);
+            sequencing['imsss:objectives'] = [{
+                'imsss:primaryObjective': [{
+                    $: { objectiveID: 'PRIMARYOBJ', satisfiedByMeasure: 'true' },
+                    'imsss:minNormalizedMeasure': [measure]
+                }]
+            }];
+            notes.push(`🎯 Item ${id}: masteryscore ${masteryScore} → primary objective satisfied by measure ≥ ${measure}`);
+        }
+    }
+    if (prerequisites) notes.push(`⚠️ Item ${id}: prerequisites "${prerequisites}" have no SCORM 2004 equivalent short of sequencing rules — dropped`);
+    if (Object.keys(sequencing).length) item['imsss:sequencing'] = [sequencing];
+}
+
+// The reverse: what 1.2 can express of the sequencing is kept as launch data
+function convertItemTo12(item, id, collection, notes) {
+    const seq = childNode(item, 'sequencing');
+    const shared = seq && nodeAttrs(seq).IDRef ? collection[nodeAttrs(seq).IDRef] : null;
+    const part = name => childNode(seq, name) || childNode(shared, name);
+
+    const primary = childNode(part('objectives'), 'primaryObjective');
+    if (primary && boolAttr(nodeAttrs(primary).satisfiedByMeasure, false)) {
+        // minNormalizedMeasure defaults to 1.0
+        const measure = parseFloat(nodeText(childNode(primary, 'minNormalizedMeasure')) || '1');
+        const score = String(Math.round(Math.max(0, measure) * 10000) / 100);
+        item['adlcp:masteryscore'] = [score];
+        notes.push(`🎯 Item ${id}: primary objective measure ${measure} → masteryscore ${score}`);
+    }
+    const limit = nodeAttrs(part('limitConditions')).attemptAbsoluteDurationLimit;
+    if (limit) {
+        const timespan = durationToTimespan(limit);
+        if (timespan) {
+            item['adlcp:maxtimeallowed'] = [timespan];
+            notes.push(`⏱️ Item ${id}: attemptAbsoluteDurationLimit ${limit} → maxtimeallowed ${timespan}`);
+        }
+    }
+    if (childNode(item, 'completionThreshold')) notes.push(`ℹ️ Item ${id}: completionThreshold has no SCORM 1.2 equivalent — dropped`);
+    removeChildren(item, ['sequencing', 'presentation', 'completionThreshold', 'data']);
+    renameChild(item, 'timeLimitAction', 'adlcp:timelimitaction');
+    renameChild(item, 'dataFromLMS', 'adlcp:datafromlms');
+}
+
+// Whether dropping this sequencing loses more than a 1.2 manifest can keep
+// (default control modes, a measure-based primary objective, a time limit)
+function sequencingBeyondDefaults(seq, collection, isItem = false) {
+    if (!seq) return false;
+    const nodes = [seq, nodeAttrs(seq).IDRef ? collection[nodeAttrs(seq).IDRef] : null].filter(Boolean);
+    return nodes.some(node => Object.keys(node).some(key => {
+        if (key === '$' || key === '_') return false;
+        const name = localName(key);
+        if (name === 'controlMode') {
+            const attrs = nodeAttrs(node[key][0]);
+            return Object.keys(attrs).some(a => a !== 'choice' && a !== 'flow') || boolAttr(attrs.choice, true) === false;
+        }
+        if (isItem && name === 'limitConditions') return Object.keys(nodeAttrs(node[key][0])).some(a => a !== 'attemptAbsoluteDurationLimit');
+        if (isItem && name === 'objectives') return childNodes(node[key][0], 'objective').length > 0;
+        return true;
+    }));
+}
+
+// Inline LOM is rebuilt from what extractLom reads; the two formats differ in
+// namespace, text wrappers, element case and vocabulary markup
+function rebuildLom(metadataNode, target) {
+    const lomKey = Object.keys(metadataNode).find(k => localName(k).toLowerCase() === 'lom');
+    if (!lomKey) return false;
+    const lom = extractLom(metadataNode[lomKey][0]);
+    delete metadataNode[lomKey];
+    metadataNode.lom = [buildLom(lom, target)];
+    return true;
+}
+
+function buildLom(lom, target) {
+    const is2004 = target === '2004';
+    const text = value => is2004
+        ? { string: [lom.language ? { _: value, $: { language: lom.language } } : value] }
+        : { langstring: [lom.language ? { _: value, $: { 'xml:lang': lom.language } } : value] };
+    const vocabulary = value => is2004
+        ? { source: ['LOMv1.0'], value: [value] }
+        : { source: [{ langstring: [{ _: 'LOMv1.0', $: { 'xml:lang': 'x-none' } }] }], value: [{ langstring: [{ _: value, $: { 'xml:lang': 'x-none' } }] }] };
+
+    const node = { $: { xmlns: SCORM_VERSIONS[target].lomNamespace } };
+    const general = {};
+    if (lom.title) general.title = [text(lom.title)];
+    if (lom.language) general.language = [lom.language];
+    if (lom.description) general.description = [text(lom.description)];
+    if (lom.keywords.length) general.keyword = lom.keywords.map(text);
+    if (Object.keys(general).length) node.general = [general];
+    if (lom.contentVersion) node[is2004 ? 'lifeCycle' : 'lifecycle'] = [{ version: [text(lom.contentVersion)] }];
+    if (lom.typicalLearningTime) {
+        node.educational = [is2004
+            ? { typicalLearningTime: [{ duration: [timespanToDuration(lom.typicalLearningTime) || lom.typicalLearningTime] }] }
+            : { typicallearningtime: [{ datetime: [lom.typicalLearningTime] }] }];
+    }
+    if (lom.copyright) {
+        const rights = {};
+        if (lom.copyright.restricted) rights[is2004 ? 'copyrightAndOtherRestrictions' : 'copyrightandotherrestrictions'] = [vocabulary(lom.copyright.restricted)];
+        if (lom.copyright.description) rights.description = [text(lom.copyright.description)];
+        node.rights = [rights];
+    }
+    return node;
+}
+
+// Every <item> below an organization or item, depth first
+function allItems(node) {
+    return childNodes(node, 'item').flatMap(item => [item, ...allItems(item)]);
+}
+
+function manifestItems(manifest) {
+    return childNodes(childNode(manifest, 'organizations'), 'organization').flatMap(allItems);
+}
+
+function replaceChild(node, name, value) {
+    removeChildren(node, [name]);
+    node[name] = [value];
+}
+
+function removeChildren(node, names) {
+    const lower = names.map(n => n.toLowerCase());
+    Object.keys(node).forEach(key => {
+        if (key !== '$' && key !== '_' && lower.includes(localName(key).toLowerCase())) delete node[key];
+    });
+}
+
+function renameChild(node, name, newKey) {
+    renameKeys(node, key => key !== '$' && localName(key).toLowerCase() === name.toLowerCase() ? newKey : key);
+}
+
+// Element and attribute keys `from:x` → `to:x`, recursively
+function renamePrefix(node, from, to) {
+    if (Array.isArray(node)) return node.forEach(child => renamePrefix(child, from, to));
+    if (!node || typeof node !== 'object') return;
+    const rename = key => key.startsWith(from + ':') ? to + key.slice(from.length) : key;
+    if (node.$) renameKeys(node.$, rename);
+    renameKeys(node, rename);
+    Object.keys(node).forEach(key => { if (key !== '$' && key !== '_') renamePrefix(node[key], from, to); });
+}
+
+// Renames keys in place without moving them — key order is document order
+function renameKeys(obj, rename) {
+    const entries = Object.entries(obj);
+    entries.forEach(([key]) => { delete obj[key]; });
+    entries.forEach(([key, value]) => { obj[rename(key)] = value; });
+}
+
+// CMITimespan "HHHH:MM:SS.SS" (1.2) → ISO 8601 duration (2004)
+function timespanToDuration(value) {
+    const m = /^(\d{2,4}):(\d{2}):(\d{2})(\.\d{1,2})?$/.exec(String(value).trim());
+    if (!m) return null;
+    const seconds = +m[3] + (m[4] ? parseFloat(m[4]) : 0);
+    return 'PT' + (+m[1] ? `${+m[1]}H` : '') + (+m[2] ? `${+m[2]}M` : '') + (seconds || !(+m[1] || +m[2]) ? `${seconds}S` : '');
+}
+
+function durationToTimespan(value) {
+    const m = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(value).trim());
+    if (!m || /^PT?$/.test(String(value).trim())) return null;
+    const n = i => parseFloat(m[i] || 0);
+    // Round the total to hundredths before splitting it, so a fraction never
+    // carries into a "60" seconds or minutes field; capped at 9999:59:59.99
+    const total = Math.min(Math.round((((n(1) * 365 + n(2) * 30 + n(3)) * 24 + n(4)) * 3600 + n(5) * 60 + n(6)) * 100), 9999 * 360000 + 359999);
+    const hours = Math.floor(total / 360000);
+    const minutes = Math.floor(total / 6000) % 60;
+    const hundredths = total % 6000;
+    const seconds = String(Math.floor(hundredths / 100)).padStart(2, '0') + (hundredths % 100 ? '.' + String(hundredths % 100).padStart(2, '0') : '');
+    return `${String(hours).padStart(4, '0')}:${String(minutes).padStart(2, '0')}:${seconds}`;
+}
+
+// Adds (or, when the content already speaks the target version, removes) the
+// runtime adapter tag in one launch page's bytes. Returns the new content,
+// `{ reason }` when the page can't take the tag, or null when nothing changes.
+function adaptLaunchPage(buffer, adapterSrc, contentVersion, target) {
+    const decoded = decodeHtml(buffer);
+    const existing = decoded.text.match(/(?:\r?\n)?<script\b[^>]*\bscorm-runtime-adapter\.js\b[^>]*>\s*<\/script>/i);
+    if (existing) {
+        const declared = (existing[0].match(/data-content-version="([^"]+)"/) || [])[1];
+        if (declared !== target) return null;
+        return { buffer: encodeHtml(decoded.text.replace(existing[0], ''), decoded), removed: true, contentVersion: declared };
+    }
+    if (contentVersion === target) return null;
+    const result = injectScriptIntoHtml(buffer, { src: adapterSrc, attrs: { 'data-content-version': contentVersion } });
+    if (!result.injected) return { reason: result.reason };
+    return { buffer: result.buffer, removed: false, contentVersion, where: result.where };
+}
+
+// ─── REPAIR ─────────────────────────────────────────────────────────────────
+
+// Namespace prefixes used by element or attribute names (xml2js keys) with no
+// xmlns:<prefix> declaration in scope — a manifest with any fails to parse
+function undeclaredPrefixes(name, node, declared = new Set(['xml', 'xmlns']), found = new Set()) {
+    const scope = new Set(declared);
+    const attrs = (node && typeof node === 'object' && node.$) || {};
+    Object.keys(attrs).forEach(key => { if (key.startsWith('xmlns:')) scope.add(key.slice(6)); });
+    const check = key => {
+        const i = key.indexOf(':');
+        if (i > 0 && !scope.has(key.slice(0, i))) found.add(key.slice(0, i));
+    };
+    check(name);
+    Object.keys(attrs).forEach(check);
+    if (node && typeof node === 'object') {
+        Object.keys(node).filter(key => key !== '$' && key !== '_').forEach(key => {
+            [].concat(node[key]).forEach(child => undeclaredPrefixes(key, child, scope, found));
+        });
+    }
+    return found;
+}
+
+// options.rules switches REPAIR_RULES on and off (defaults otherwise).
+// Every repair has an id (see `plan`); ids listed in options.skip are
+// rejected. options.dryRun applies the accepted repairs to a scratch copy
+// and returns unified diffs instead of writing a zip. options.convertTo
+// ('1.2' or '2004') also converts the package to that SCORM version.
+// A real repair writes a repair log (see REPAIR LOG & UNDO) into the zip
+// and next to it; options.sourceName is the uploaded file's name for it.
+async function repairSCORM(zipPath, outputZipPath, options = {}) {
+    const repairs = [];
+    const plan = [];
+    const rules = { ...defaultRepairRules(), ...(options.rules || {}) };
+    const skip = new Set(options.skip || []);
+    const tmpDir = path.join(os.tmpdir(), 'scorm_repair_' + crypto.randomBytes(6).toString('hex'));
+
+    // Record a planned repair; returns whether it is accepted. Repairs of a
+    // switched-off rule are not planned at all. Rebuilding a missing or
+    // corrupt manifest can't be rejected — nothing else works without it.
+    let manifestChanged = false;
+    const propose = (id, message, files, optional = true) => {
+        const rule = id.split(':')[0];
+        if (optional && !rules[rule]) return false;
+        const accepted = !optional || !skip.has(id);
+        plan.push({ id, rule, message, files, optional, accepted });
+        if (accepted) {
+            repairs.push(message);
+            if (files.includes(manifestRel())) manifestChanged = true;
+        }
+        return accepted;
+    };
+
+    // Original bytes of every file a repair rewrites, for the dry-run diff
+    // and the repair log
+    const originals = new Map();
+    const track = fullPath => {
+        const rel = path.relative(tmpDir, fullPath).replace(/\\/g, '/');
+        if (!originals.has(rel)) originals.set(rel, fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null);
+    };
+    const writeTracked = (fullPath, content) => {
+        track(fullPath);
+        fs.writeFileSync(fullPath, content);
+    };
+    const removeTracked = fullPath => {
+        track(fullPath);
+        fs.unlinkSync(fullPath);
+    };
+
+    let manifestPath;
+    const manifestRel = () => path.relative(tmpDir, manifestPath).replace(/\\/g, '/');
+
+    try {
+        safeExtract(zipPath, tmpDir);
+
+        // ── Fix 1: Find / create imsmanifest.xml ──────────────────────────
+        manifestPath = findFile(tmpDir, 'imsmanifest.xml');
+        let manifestXml;
+
+        if (!manifestPath) {
+            // Generate a minimal manifest
+            manifestPath = path.join(tmpDir, 'imsmanifest.xml');
+            const launchFile = findLaunchFile(tmpDir);
+            const scormVersion = detectContentVersion(tmpDir);
+            manifestXml = buildMinimalManifest(launchFile ? path.relative(tmpDir, launchFile).replace(/\\/g, '/') : 'index.html', scormVersion);
+            writeTracked(manifestPath, manifestXml);
+            propose('create-manifest', `🆕 Created missing imsmanifest.xml (${SCORM_VERSIONS[scormVersion].label})`, [manifestRel()], false);
+        } else {
+            manifestXml = fs.readFileSync(manifestPath, 'utf8');
+        }
+
+        // ── Fix 2: Parse & repair manifest XML ────────────────────────────
+        let manifestObj;
+        try {
+            const parser = new xml2js.Parser({ explicitArray: true });
+            manifestObj = await parser.parseStringPromise(manifestXml);
+        } catch (xmlErr) {
+            // XML is broken — rebuild from scratch, in the version the
+            // broken text still names (or the content's scripts speak)
+            const launchFile = findLaunchFile(tmpDir);
+            const scormVersion = /imscp_v1p1|adlcp_v1p3|<schemaversion>\s*(?:2004|CAM 1\.3)/i.test(manifestXml) ? '2004' : detectContentVersion(tmpDir);
+            manifestXml = buildMinimalManifest(launchFile ? path.relative(tmpDir, launchFile).replace(/\\/g, '/') : 'index.html', scormVersion);
+            const parser = new xml2js.Parser({ explicitArray: true });
+            manifestObj = await parser.parseStringPromise(manifestXml);
+            propose('rebuild-manifest', `🔧 Rebuilt corrupt imsmanifest.xml (${SCORM_VERSIONS[scormVersion].label})`, [manifestRel()], false);
+        }
+
+        const manifest = manifestObj.manifest;
+        const unboundBefore = undeclaredPrefixes('manifest', manifest);
+
+        // ── Fix 3: Ensure the version's namespaces on root ────────────────
+        if (!manifest.$) manifest.$ = {};
+        const scormVersion = manifestVersion(manifest);
+        const version = SCORM_VERSIONS[scormVersion];
+        const missing = Object.keys(version.namespaces).filter(key => key !== 'xmlns:xsi' && !manifest.$[key]);
+        // A namespace (default, adlcp, …) of the other version breaks schema
+        // validation, and so does a schemaLocation still naming it
+        const wrong = Object.keys(version.namespaces).filter(key => {
+            const uri = manifest.$[key];
+            return key !== 'xmlns:xsi' && uri && uri !== version.namespaces[key]
+                && Object.values(SCORM_VERSIONS).some(v => v.namespaces[key] === uri);
+        });
+        const schemaLocationKey = Object.keys(manifest.$).find(key => localName(key) === 'schemaLocation');
+        const staleSchemaLocation = schemaLocationKey
+            && wrong.some(key => String(manifest.$[schemaLocationKey]).split(/\s+/).includes(manifest.$[key]));
+        // 2004 manifests are expected to name their schemas; 1.2 ones only
+        // get a schemaLocation when their root is being repaired anyway
+        const addSchemaLocation = !schemaLocationKey && (scormVersion === '2004' || missing.length > 0);
+        if (missing.length || wrong.length || addSchemaLocation) {
+            const added = [
+                missing.length && `namespace declarations (${missing.map(key => key === 'xmlns' ? 'default' : key.slice(6)).join(', ')})`,
+                addSchemaLocation && 'xsi:schemaLocation'
+            ].filter(Boolean);
+            const corrected = wrong.map(key => key === 'xmlns' ? 'default' : key.slice(6)).join(', ')
+                + ' namespace' + (wrong.length > 1 ? 's' : '') + (staleSchemaLocation ? ' and xsi:schemaLocation' : '');
+            const message = added.length
+                ? `🔧 Added missing ${version.label} ${added.join(' and ')}${wrong.length ? `, corrected ${corrected}` : ''}`
+                : `🔧 Corrected ${corrected} to ${version.label}`;
+            if (propose('adlcp-namespace', message, [manifestRel()])) {
+                missing.forEach(key => { manifest.$[key] = version.namespaces[key]; });
+                wrong.forEach(key => { manifest.$[key] = version.namespaces[key]; });
+                if (staleSchemaLocation) manifest.$[schemaLocationKey] = version.schemaLocation;
+                if (addSchemaLocation) {
+                    manifest.$['xmlns:xsi'] = manifest.$['xmlns:xsi'] || XSI_NAMESPACE;
+                    manifest.$['xsi:schemaLocation'] = version.schemaLocation;
                 }
             }
         }
 
-        if (manifest.organizations && manifest.organizations[0].organization) {
-            const orgs = manifest.organizations[0].organization;
-            analysis.details.push(`📁 Found ${orgs.length} organization(s)`);
-            orgs.forEach(org => {
-                if (org.item) {
-                    org.item.forEach(item => {
-                        if (item.$ && item.$.identifierref) {
-                            analysis.details.push(`📄 SCO: ${item.title ? item.title[0] : 'Untitled'}`);
+        // ── Fix 4: Ensure metadata / schema ──────────────────────────────
+        const metadataNode = childNode(manifest, 'metadata');
+        if (!metadataNode && propose('metadata-block', `🔧 Added missing metadata/schema block (${version.label})`, [manifestRel()])) {
+            manifest.metadata = [{ schema: ['ADL SCORM'], schemaversion: [version.schemaversion] }];
+            reorderChildren(manifest, ['metadata', 'organizations', 'resources']);
+        } else if (metadataNode && !childNode(metadataNode, 'schemaversion')
+            && propose('metadata-block', `🔧 Added missing schemaversion (${version.schemaversion})`, [manifestRel()])) {
+            if (!childNode(metadataNode, 'schema')) metadataNode.schema = ['ADL SCORM'];
+            metadataNode.schemaversion = [version.schemaversion];
+            reorderChildren(metadataNode, ['schema', 'schemaversion']);
+        }
+
+        // ── Fix 4b: Optional integrity fixes (href case, <file> lists) ───
+        repairIntegrity(manifest, path.dirname(manifestPath), rules, (id, message) => propose(id, message, [manifestRel()]));
+
+        // ── Fix 5: Ensure resources & fix each SCO's launch file ──────────
+        const manifestDir = path.dirname(manifestPath);
+        let scos = [];
+        if (manifest.resources && manifest.resources[0].resource) {
+            const resources = manifest.resources[0].resource;
+            const scormTypeKey = version.scormTypeKey;
+
+            // Resources launched by an item but missing a scormtype are SCOs;
+            // with no item references at all, the first resource is
+            const launched = new Set();
+            const walkItems = node => childNodes(node, 'item').forEach(item => {
+                if (nodeAttrs(item).identifierref) launched.add(nodeAttrs(item).identifierref);
+                walkItems(item);
+            });
+            childNodes(childNode(manifest, 'organizations'), 'organization').forEach(walkItems);
+            resources.forEach((res, i) => {
+                if (!res.$ || attrByLocalName(res, 'scormtype') || !res.$.href) return;
+                if (!launched.has(res.$.identifier) && !(launched.size === 0 && i === 0)) return;
+                const label = res.$.identifier || res.$.href;
+                if (propose(`scormtype:${label}`, `🔧 Set ${scormTypeKey}="sco" on resource ${label}`, [manifestRel()])) {
+                    res.$[scormTypeKey] = 'sco';
+                }
+            });
+
+            const scoResources = listScoResources(manifest).filter(sco => isLocalHref(sco.href));
+            scos = scoResources.map(sco => {
+                const result = { identifier: sco.identifier, launchFile: null, repairs: [] };
+                const note = message => { repairs.push(message); result.repairs.push(message); };
+                const base = resourceBase(manifest.resources[0], sco.resource);
+
+                if (fs.existsSync(path.join(manifestDir, sco.launchFile))) {
+                    result.launchFile = sco.launchFile;
+                    return result;
+                }
+                // Find a real HTML file to use instead — anywhere for a single
+                // SCO, only in the SCO's own folder when there are several
+                const ownDir = path.join(manifestDir, path.dirname(sco.launchFile));
+                const found = scoResources.length === 1
+                    ? findLaunchFile(tmpDir)
+                    : (path.dirname(sco.launchFile) !== '.' && fs.existsSync(ownDir) ? findLaunchFile(ownDir) : null);
+                if (found) {
+                    const rel = path.relative(manifestDir, found).replace(/\\/g, '/');
+                    const message = scoResources.length === 1 ? `🔧 Fixed broken launch file → ${rel}` : `🔧 SCO ${sco.identifier}: fixed broken launch file → ${rel}`;
+                    if (propose(`launch-file:${sco.identifier}`, message, [manifestRel()])) {
+                        sco.resource.$.href = path.relative(path.join(manifestDir, base), found).replace(/\\/g, '/');
+                        result.launchFile = rel;
+                        result.repairs.push(message);
+                    }
+                } else {
+                    note(`⚠️ SCO ${sco.identifier}: launch file ${sco.launchFile} not found`);
+                }
+                if (!result.launchFile) result.missingLaunchFile = sco.launchFile;
+                return result;
+            });
+
+            // No SCO resolved (asset-only package): the first local resource
+            // is still what the player launches, so it gets the shim too
+            if (!scos.some(sco => sco.launchFile)) {
+                const first = resources.find(res => res.$ && res.$.href && isLocalHref(res.$.href));
+                const launchRel = first && resolveHref(resourceBase(manifest.resources[0], first), first.$.href);
+                if (launchRel && fs.existsSync(path.join(manifestDir, launchRel))) {
+                    scos.push({ identifier: first.$.identifier || null, launchFile: launchRel, asset: true, repairs: [] });
+                }
+            }
+        } else {
+            // No resources at all — build one
+            const found = findLaunchFile(tmpDir);
+            const href = found
+                ? path.relative(manifestDir, found).replace(/\\/g, '/')
+                : 'index.html';
+
+            if (propose('create-resources', `🆕 Created missing resources block (launch: ${href})`, [manifestRel()])) {
+                manifest.resources = [{
+                resource: [{
+                    $: {
+                        identifier: 'resource_1',
+                        type: 'webcontent',
+                        [version.scormTypeKey]: 'sco',
+                        href: href
+                    }
+                }]
+                }];
+                scos = [{ identifier: 'resource_1', launchFile: href, repairs: [] }];
+            }
+        }
+
+        // ── Fix 5b: Organization default and item ↔ resource references ──
+        repairReferences(manifest, manifestDir, (id, message) => propose(id, message, [manifestRel()]));
+
+        // ── Fix 5c: Convert to another SCORM version ──────────────────────
+        let conversion = null;
+        if (options.convertTo) {
+            const from = manifestVersion(manifest);
+            const to = options.convertTo;
+            conversion = { from, to, notes: [], adapted: [], failed: [] };
+            if (from === to) {
+                repairs.push(`ℹ️ Already ${SCORM_VERSIONS[to].label} — nothing to convert`);
+            } else {
+                propose('convert-manifest', `🔄 Converted manifest from ${SCORM_VERSIONS[from].label} to ${SCORM_VERSIONS[to].label}`, [manifestRel()], false);
+                conversion.notes = convertManifest(manifest, to).notes;
+                repairs.push(...conversion.notes);
+
+                // Content keeps its API calls; the adapter translates them
+                const adapterPath = path.join(manifestDir, RUNTIME_ADAPTER_FILE);
+                const adapterRel = path.relative(tmpDir, adapterPath).replace(/\\/g, '/');
+                const resourcesNode = childNode(manifest, 'resources');
+                const adapted = new Set();
+                // Without the adapter the page keeps calling the old API and
+                // never reaches the new version's LMS: a failed conversion
+                const notAdapted = (sco, why) => {
+                    const launchFile = sco.launchFile || sco.missingLaunchFile;
+                    const message = `⚠️ Conversion failed for ${launchFile}: no runtime adapter (${why}) — its ${SCORM_VERSIONS[from].label} calls won't reach a ${SCORM_VERSIONS[to].label} LMS`;
+                    conversion.notes.push(message);
+                    conversion.failed.push({ launchFile, reason: why });
+                    repairs.push(message);
+                    sco.repairs.push(message);
+                };
+                scos.forEach(sco => {
+                    if (!sco.launchFile) return sco.missingLaunchFile && notAdapted(sco, 'launch file missing');
+                    if (adapted.has(sco.launchFile)) return;
+                    adapted.add(sco.launchFile);
+                    const launchFullPath = path.join(manifestDir, sco.launchFile);
+                    if (!fs.existsSync(launchFullPath)) return notAdapted(sco, 'launch file missing');
+                    if (!/\.(?:html?|xhtml)$/i.test(launchFullPath)) return notAdapted(sco, 'launch file is not an HTML page');
+                    const src = path.relative(path.dirname(launchFullPath), adapterPath).replace(/\\/g, '/');
+                    const change = adaptLaunchPage(fs.readFileSync(launchFullPath), src, from, to);
+                    if (!change) return;
+                    if (change.reason) {
+                        notAdapted(sco, change.reason);
+                        return;
+                    }
+
+                    const rel = path.relative(tmpDir, launchFullPath).replace(/\\/g, '/');
+                    const message = change.removed
+                        ? `🔌 Removed runtime adapter from ${sco.launchFile} — its content already speaks ${SCORM_VERSIONS[to].label}`
+                        : `🔌 Added runtime adapter to ${sco.launchFile} (${SCORM_VERSIONS[from].label} calls → ${SCORM_VERSIONS[to].label} LMS, ${change.where})`;
+                    if (!propose(`runtime-adapter:${rel}`, message, change.removed ? [rel, adapterRel] : [rel, adapterRel, manifestRel()])) {
+                        if (!change.removed) notAdapted(sco, rules['runtime-adapter'] ? 'repair rejected' : 'runtime-adapter rule off');
+                        return;
+                    }
+                    writeTracked(launchFullPath, change.buffer);
+                    sco.repairs.push(message);
+                    conversion.adapted.push({ launchFile: sco.launchFile, contentVersion: change.contentVersion, removed: change.removed });
+                    if (change.removed) return;
+
+                    if (!fs.existsSync(adapterPath)) {
+                        writeTracked(adapterPath, fs.readFileSync(path.join(__dirname, 'public', RUNTIME_ADAPTER_FILE), 'utf8'));
+                    }
+                    const res = childNodes(resourcesNode, 'resource').find(r => nodeAttrs(r).identifier === sco.identifier);
+                    if (res) {
+                        const href = path.posix.relative(path.posix.join('.', resourceBase(resourcesNode, res)), RUNTIME_ADAPTER_FILE);
+                        const fileKey = Object.keys(res).find(k => localName(k) === 'file') || 'file';
+                        if (!childNodes(res, 'file').some(f => nodeAttrs(f).href === href)) {
+                            res[fileKey] = [...(res[fileKey] || []), { $: { href } }];
+                            reorderChildren(res, ['metadata', 'file', 'dependency']);
                         }
+                    }
+                });
+
+                // Once no page loads the adapter any more, it goes too
+                const adapterUsed = listFiles(tmpDir).some(f => /\.(?:html?|xhtml)$/i.test(f)
+                    && readTextFile(path.join(tmpDir, f)).includes(RUNTIME_ADAPTER_FILE));
+                if (conversion.adapted.some(a => a.removed) && !adapterUsed && fs.existsSync(adapterPath)) {
+                    removeTracked(adapterPath);
+                    childNodes(resourcesNode, 'resource').forEach(res => {
+                        const fileKey = Object.keys(res).find(k => localName(k) === 'file');
+                        if (fileKey) res[fileKey] = res[fileKey].filter(f => path.posix.basename(nodeAttrs(f).href || '') !== RUNTIME_ADAPTER_FILE);
+                        if (fileKey && !res[fileKey].length) delete res[fileKey];
                     });
                 }
+            }
+        }
+
+        // ── Fix 6: Inject SCORM API shim into every SCO's launch HTML ─────
+        const injected = new Set();
+        scos.forEach(sco => {
+            if (!sco.launchFile || injected.has(sco.launchFile)) return;
+            injected.add(sco.launchFile);
+            const launchFullPath = path.join(manifestDir, sco.launchFile);
+            if (fs.existsSync(launchFullPath) && launchFullPath.match(/\.(?:html?|xhtml)$/i)) {
+                // Shim goes ahead of the page's own scripts, inside the head
+                const result = injectScriptIntoHtml(fs.readFileSync(launchFullPath), { src: '/scorm-api-shim.js', marker: 'scorm-api-shim.js' });
+                const rel = path.relative(tmpDir, launchFullPath).replace(/\\/g, '/');
+                if (result.injected) {
+                    const message = `💉 Injected SCORM API shim into ${sco.launchFile} (${result.where})`;
+                    if (propose(`inject-shim:${rel}`, message, [rel])) {
+                        writeTracked(launchFullPath, result.buffer);
+                        sco.repairs.push(message);
+                    }
+                } else if (result.reason !== 'already present' && rules['inject-shim']) {
+                    const message = `⚠️ SCORM API shim not injected into ${sco.launchFile}: ${result.reason}`;
+                    repairs.push(message);
+                    sco.repairs.push(message);
+                }
+            }
+        });
+        const launchFile = (scos.find(sco => sco.launchFile) || {}).launchFile || null;
+
+        // ── Serialize repaired manifest (untouched when no repair changed it) ──
+        if (manifestChanged) {
+            // An accepted repair may write adlcp: / imsss: … keys while the
+            // namespace repair that declares them was rejected or switched off
+            const unbound = [...undeclaredPrefixes('manifest', manifest)];
+            const namespaces = SCORM_VERSIONS[manifestVersion(manifest)].namespaces;
+            const declarable = unbound.filter(prefix => namespaces['xmlns:' + prefix]);
+            if (declarable.length) {
+                declarable.forEach(prefix => { manifest.$['xmlns:' + prefix] = namespaces['xmlns:' + prefix]; });
+                propose('declare-namespaces', `🔧 Declared ${declarable.map(prefix => 'xmlns:' + prefix).join(', ')} — used by the accepted repairs`, [manifestRel()], false);
+            }
+            const introduced = unbound.filter(prefix => !declarable.includes(prefix) && !unboundBefore.has(prefix));
+            if (introduced.length) {
+                throw requestError(`Repaired manifest would use undeclared namespace prefix(es) ${introduced.join(', ')}; not written`, 422);
+            }
+            const builder = new xml2js.Builder({
+                xmldec: { version: '1.0', encoding: 'UTF-8' },
+                renderOpts: { pretty: true, indent: '  ' }
             });
+            writeTracked(manifestPath, builder.buildObject(manifestObj));
+        }
+
+        if (options.dryRun) {
+            const diffs = [...originals].map(([file, original]) => {
+                const before = original && bufferText(file, original);
+                const after = fs.existsSync(path.join(tmpDir, file)) ? readTextFile(path.join(tmpDir, file)) : null;
+                const diff = unifiedDiff(before || '', after || '', before === null ? '/dev/null' : `a/${file}`, after === null ? '/dev/null' : `b/${file}`);
+                return { file, status: before === null ? 'added' : after === null ? 'deleted' : 'modified', ...diff };
+            }).filter(d => d.text);
+            return { success: true, dryRun: true, repairs, plan, diffs, rules, launchFile, scos, conversion };
         }
 
-        if (manifest.resources && manifest.resources[0].resource) {
-            const resources = manifest.resources[0].resource;
-            const scoResources = resources.filter(res =>
-                res.$ && res.$['adlcp:scormtype'] === 'sco'
-            );
-
-            if (scoResources.length > 0) {
-                analysis.details.push(`📦 Found ${scoResources.length} SCO resource(s)`);
-                analysis.resumeCapable = true;
-                analysis.details.push('✅ Package contains SCO resources (supports data persistence)');
-            }
+        // ── Repair log + originals, in the zip and next to it ──────────────
+        const { log: repairLog, stored } = buildRepairLog(zipPath, options, rules, plan, originals, tmpDir);
+        writeRepairLog(tmpDir, repairLog, stored);
+        fs.writeFileSync(repairLogPath(outputZipPath), JSON.stringify(repairLog, null, 2));
+
+        // ── Re-zip ────────────────────────────────────────────────────────
+        const outZip = new AdmZip();
+        addDirToZip(outZip, tmpDir, tmpDir);
+        outZip.writeZip(outputZipPath);
+
+        return { success: true, repairs, plan, rules, launchFile, scos, conversion, repairLog: summarizeRepairLog(repairLog) };
+
+    } finally {
+        // Clean up temp dir
+        try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
+    }
+}
+
+// ─── REPAIR LOG & UNDO ──────────────────────────────────────────────────────
 
-            if (resources[0].$ && resources[0].$.href) {
-                analysis.metadata.launchFile = resources[0].$.href;
-            }
-        }
+// A repaired zip carries scorm-repair/repair-log.json: what each accepted
+// repair changed, with sha256 hashes of every file before and after, plus
+// the original bytes of each modified or deleted file under
+// scorm-repair/originals/<sha256>. Hash names keep the stored pages out of
+// the shim injection and the script scans. Repairing a repaired package
+// nests the earlier log as `previous`; undo peels one repair off at a time.
+const REPAIR_LOG_DIR = 'scorm-repair';
+const REPAIR_LOG_FILE = `${REPAIR_LOG_DIR}/repair-log.json`;
+const REPAIR_ORIGINALS_DIR = `${REPAIR_LOG_DIR}/originals`;
+const REPAIR_LOG_FORMAT = 'scorm-repair-log';
+const REPAIR_TOOL = (({ name, version }) => ({ name, version }))(require('./package.json'));
 
-        const jsFiles = zipEntries.filter(entry =>
-            entry.entryName.toLowerCase().endsWith('.js')
-        );
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
 
-        let hasAPIReferences = false;
-        let apiCallsFound = [];
+function fileDigest(buffer) {
+    return { sha256: sha256(buffer), size: buffer.length };
+}
 
-        for (const jsFile of jsFiles.slice(0, 10)) {
-            try {
-                const content = jsFile.getData().toString('utf8');
-                if (content.includes('cmi.core.lesson_status') || content.includes('cmi.completion_status')) {
-                    apiCallsFound.push('lesson_status');
-                }
-                if (content.includes('cmi.suspend_data')) {
-                    apiCallsFound.push('suspend_data');
-                    hasAPIReferences = true;
-                }
-                if (content.includes('cmi.location')) {
-                    apiCallsFound.push('location');
-                    hasAPIReferences = true;
-                }
-                if (content.includes('API.LMSInitialize') || content.includes('API_1484_11.Initialize')) {
-                    apiCallsFound.push('LMS_Initialize');
-                }
-            } catch (err) { /* skip encoding issues */ }
-        }
+// The log and the original bytes it refers to; `originals` maps each
+// touched file to its content before the repair (null when it was added)
+function buildRepairLog(zipPath, options, rules, plan, originals, tmpDir) {
+    let previous = null;
+    try {
+        previous = readRepairLog(tmpDir);
+    } catch (_) { } // an unreadable earlier log can't be undone anyway
 
-        if (hasAPIReferences) {
-            analysis.resumeCapable = true;
-            const uniqueCalls = [...new Set(apiCallsFound)];
-            analysis.details.push(`✅ Found SCORM API calls: ${uniqueCalls.join(', ')}`);
-        }
+    const accepted = plan.filter(p => p.accepted);
+    const stored = new Map();
+    const files = [];
+    originals.forEach((original, file) => {
+        const fullPath = path.join(tmpDir, file);
+        const current = fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null;
+        if (!original && !current) return;
+        if (original && current && original.equals(current)) return;
+        const before = original && fileDigest(original);
+        if (before) stored.set(before.sha256, original);
+        files.push({
+            file,
+            change: !original ? 'added' : !current ? 'deleted' : 'modified',
+            rules: [...new Set(accepted.filter(p => p.files.includes(file)).map(p => p.rule))],
+            before,
+            after: current && fileDigest(current)
+        });
+    });
 
-        if (!analysis.resumeCapable) {
-            analysis.details.push('⚠️ No clear resume capability indicators found');
-            analysis.details.push('ℹ️ Package may still support resume if implemented at runtime');
-        }
+    const log = {
+        format: REPAIR_LOG_FORMAT,
+        formatVersion: 1,
+        tool: REPAIR_TOOL,
+        timestamp: new Date().toISOString(),
+        source: { file: options.sourceName || path.basename(zipPath), ...fileDigest(fs.readFileSync(zipPath)) },
+        profile: options.profile || null,
+        rules: Object.keys(rules).filter(id => rules[id]),
+        skipped: options.skip || [],
+        convertTo: options.convertTo || null,
+        repairs: accepted.map(({ id, rule, message, files }) => ({ id, rule, message, files })),
+        files,
+        previous
+    };
+    return { log, stored };
+}
 
-        return analysis;
+function writeRepairLog(dir, log, stored) {
+    const originalsDir = path.join(dir, REPAIR_ORIGINALS_DIR);
+    fs.mkdirSync(originalsDir, { recursive: true });
+    stored.forEach((buffer, hash) => {
+        const storedPath = path.join(originalsDir, hash);
+        if (!fs.existsSync(storedPath)) fs.writeFileSync(storedPath, buffer);
+    });
+    fs.writeFileSync(path.join(dir, REPAIR_LOG_FILE), JSON.stringify(log, null, 2));
+    return log;
+}
 
+// null when the package has no log; throws when it has a broken one
+function readRepairLog(dir) {
+    const logPath = path.join(dir, REPAIR_LOG_FILE);
+    if (!fs.existsSync(logPath)) return null;
+    let log;
+    try {
+        log = JSON.parse(fs.readFileSync(logPath, 'utf8'));
     } catch (error) {
-        return { success: false, error: error.message };
+        throw requestError(`${REPAIR_LOG_FILE} is not valid JSON: ${error.message}`, 422);
+    }
+    if (!log || log.format !== REPAIR_LOG_FORMAT || !Array.isArray(log.files)) {
+        throw requestError(`${REPAIR_LOG_FILE} is not a repair log of this tool`, 422);
     }
+    return log;
 }
 
-// ─── REPAIR ─────────────────────────────────────────────────────────────────
+// The copy kept in repaired/ next to the zip: <name>_repaired.repair-log.json
+function repairLogPath(zipPath) {
+    return zipPath.replace(/\.zip$/i, '') + '.repair-log.json';
+}
 
-async function repairSCORM(zipPath, outputZipPath) {
-    const repairs = [];
-    const tmpDir = path.join(os.tmpdir(), 'scorm_repair_' + crypto.randomBytes(6).toString('hex'));
+function summarizeRepairLog(log) {
+    let earlierRepairs = 0;
+    for (let l = log.previous; l; l = l.previous) earlierRepairs++;
+    return {
+        timestamp: log.timestamp,
+        tool: log.tool,
+        source: log.source && log.source.file,
+        repairs: (log.repairs || []).map(r => r.message),
+        files: log.files.map(f => ({ file: f.file, change: f.change, rules: f.rules })),
+        earlierRepairs
+    };
+}
 
+// Analysis of a package that was repaired here: say so and offer the undo
+function reportRepairLog(analysis, zipEntries) {
+    const entry = zipEntries.find(e => e.entryName.replace(/\\/g, '/') === REPAIR_LOG_FILE);
+    if (!entry) return;
+    let log;
     try {
-        // Extract zip
-        const zip = new AdmZip(zipPath);
-        zip.extractAllTo(tmpDir, true);
+        log = JSON.parse(entry.getData().toString('utf8'));
+        if (!log || log.format !== REPAIR_LOG_FORMAT || !Array.isArray(log.files)) throw new Error('not a repair log of this tool');
+    } catch (error) {
+        addFinding(analysis, 'REPAIR_LOG_UNREADABLE', 'warning', 'package', `Repair log can't be read: ${error.message} — the repair can't be undone`,
+            { evidence: { file: REPAIR_LOG_FILE } });
+        return;
+    }
+    analysis.repairLog = summarizeRepairLog(log);
+    const { repairs, files, earlierRepairs } = analysis.repairLog;
+    addFinding(analysis, 'REPAIR_LOG_FOUND', 'info', 'package',
+        `Repaired ${log.timestamp} by ${log.tool.name} ${log.tool.version}: ${repairs.length} repair(s), ${files.length} file(s) changed${earlierRepairs ? `, after ${earlierRepairs} earlier repair(s)` : ''}`,
+        { icon: '🧾', evidence: { file: REPAIR_LOG_FILE }, fix: 'Use Undo Repairs to get the package as it was before this repair' });
+}
 
-        // ── Fix 1: Find / create imsmanifest.xml ──────────────────────────
-        let manifestPath = findFile(tmpDir, 'imsmanifest.xml');
-        let manifestXml;
+// Put back every file the latest repair changed: added files go, modified
+// and deleted ones get their stored original (checked against its `before`
+// hash). Files edited since the repair no longer match their `after` hash
+// and block the undo unless options.force. options.dryRun only reports.
+function undoRepairs(zipPath, outputZipPath, options = {}) {
+    const tmpDir = path.join(os.tmpdir(), 'scorm_undo_' + crypto.randomBytes(6).toString('hex'));
+    try {
+        safeExtract(zipPath, tmpDir);
+        const log = readRepairLog(tmpDir);
+        if (!log) throw requestError(`No ${REPAIR_LOG_FILE} in this package — only packages repaired by this tool can be undone`, 422);
 
-        if (!manifestPath) {
-            // Generate a minimal manifest
-            manifestPath = path.join(tmpDir, 'imsmanifest.xml');
-            const launchFile = findLaunchFile(tmpDir);
-            manifestXml = buildMinimalManifest(launchFile || 'index.html');
-            fs.writeFileSync(manifestPath, manifestXml, 'utf8');
-            repairs.push('🆕 Created missing imsmanifest.xml');
-        } else {
-            manifestXml = fs.readFileSync(manifestPath, 'utf8');
+        const conflicts = [];
+        const unrestorable = [];
+        const restores = log.files.map(entry => {
+            const fullPath = path.join(tmpDir, String(entry.file));
+            if (!fullPath.startsWith(tmpDir + path.sep)) throw requestError(`Repair log names a file outside the package: ${entry.file}`, 422);
+            const current = fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null;
+            if ((current && sha256(current)) !== (entry.after ? entry.after.sha256 : null)) conflicts.push(entry.file);
+
+            let original = null;
+            if (entry.before) {
+                const hash = String(entry.before.sha256);
+                const storedPath = path.join(tmpDir, REPAIR_ORIGINALS_DIR, hash);
+                original = /^[0-9a-f]{64}$/.test(hash) && fs.existsSync(storedPath) ? fs.readFileSync(storedPath) : null;
+                if (!original || sha256(original) !== hash) unrestorable.push(entry.file);
+            }
+            return { entry, fullPath, original };
+        });
+        if (unrestorable.length) {
+            throw requestError(`Stored original missing or damaged for ${unrestorable.join(', ')} — the repair can't be undone`, 422);
         }
 
-        // ── Fix 2: Parse & repair manifest XML ────────────────────────────
-        let manifestObj;
-        try {
-            const parser = new xml2js.Parser({ explicitArray: true });
-            manifestObj = await parser.parseStringPromise(manifestXml);
-        } catch (xmlErr) {
-            // XML is broken — rebuild from scratch
-            const launchFile = findLaunchFile(tmpDir);
-            manifestXml = buildMinimalManifest(launchFile || 'index.html');
-            const parser = new xml2js.Parser({ explicitArray: true });
-            manifestObj = await parser.parseStringPromise(manifestXml);
-            repairs.push('🔧 Rebuilt corrupt imsmanifest.xml');
+        const report = {
+            success: true,
+            repairedAt: log.timestamp,
+            tool: log.tool,
+            source: log.source,
+            undone: (log.repairs || []).map(r => r.message),
+            files: log.files.map(f => ({ file: f.file, change: f.change, restore: f.change === 'added' ? 'removed' : 'restored' })),
+            conflicts,
+            earlierRepairs: summarizeRepairLog(log).earlierRepairs
+        };
+        if (options.dryRun) return { ...report, dryRun: true };
+        if (conflicts.length && !options.force) {
+            throw requestError(`Changed since the repair: ${conflicts.join(', ')} — send force=true to put the originals back anyway`, 409);
         }
 
-        const manifest = manifestObj.manifest;
+        restores.forEach(({ fullPath, original }) => {
+            if (original) {
+                fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+                fs.writeFileSync(fullPath, original);
+            } else if (fs.existsSync(fullPath)) {
+                fs.unlinkSync(fullPath);
+            }
+        });
 
-        // ── Fix 3: Ensure adlcp namespace on root ─────────────────────────
-        if (!manifest.$) manifest.$ = {};
-        const nsKey = 'xmlns:adlcp';
-        if (!manifest.$[nsKey]) {
-            manifest.$[nsKey] = 'http://www.adlnet.org/xsd/adlcp_rootv1p2';
-            repairs.push('🔧 Added missing adlcp namespace');
+        // An earlier repair stays on record, keeping only its own originals
+        if (log.previous) {
+            const keep = new Set();
+            for (let l = log.previous; l; l = l.previous) (l.files || []).forEach(f => f.before && keep.add(f.before.sha256));
+            const originalsDir = path.join(tmpDir, REPAIR_ORIGINALS_DIR);
+            if (fs.existsSync(originalsDir)) listFiles(originalsDir).filter(hash => !keep.has(hash)).forEach(hash => fs.unlinkSync(path.join(originalsDir, hash)));
+            fs.writeFileSync(path.join(tmpDir, REPAIR_LOG_FILE), JSON.stringify(log.previous, null, 2));
+        } else {
+            fs.rmSync(path.join(tmpDir, REPAIR_LOG_DIR), { recursive: true, force: true });
         }
 
-        // ── Fix 4: Ensure metadata / schema ──────────────────────────────
-        if (!manifest.metadata) {
-            manifest.metadata = [{ schema: ['ADL SCORM'], schemaversion: ['1.2'] }];
-            repairs.push('🔧 Added missing metadata/schema block');
-        }
+        const outZip = new AdmZip();
+        addDirToZip(outZip, tmpDir, tmpDir);
+        outZip.writeZip(outputZipPath);
+        return report;
+    } finally {
+        try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
+    }
+}
 
-        // ── Fix 5: Ensure resources & fix launch file ─────────────────────
-        let launchFile = null;
-        if (manifest.resources && manifest.resources[0].resource) {
-            const resources = manifest.resources[0].resource;
-            const primary = resources[0];
+// ─── PACKAGE AS SCORM ───────────────────────────────────────────────────────
 
-            if (primary.$) {
-                // Ensure scormtype
-                if (!primary.$['adlcp:scormtype']) {
-                    primary.$['adlcp:scormtype'] = 'sco';
-                    repairs.push('🔧 Set adlcp:scormtype="sco" on primary resource');
-                }
+// What raw content can be wrapped, and which completion rules fit it:
+// `time` — viewed N seconds, `scroll` — scrolled to the end of a page,
+// `video` — X % of the video actually played
+const PACKAGE_ASSET_KINDS = {
+    html: { label: 'web page', extensions: ['.html', '.htm'], rules: ['scroll', 'time'] },
+    pdf: { label: 'PDF', extensions: ['.pdf'], rules: ['time'] },
+    video: { label: 'video', extensions: ['.mp4', '.m4v', '.webm', '.ogv'], rules: ['video', 'time'] }
+};
+const PACKAGE_RULES = ['time', 'scroll', 'video'];
+const PACKAGE_LAUNCHER_FILE = 'scorm-package-launcher.js';
+const PACKAGE_CONTENT_DIR = 'content';
+const PACKAGE_DEFAULTS = { seconds: 60, percent: 90 };
 
-                // Check launch file exists
-                const declaredHref = primary.$.href;
-                if (declaredHref) {
-                    const fullLaunchPath = path.join(path.dirname(manifestPath), declaredHref);
-                    if (!fs.existsSync(fullLaunchPath)) {
-                        // Find a real HTML file to use instead
-                        const found = findLaunchFile(tmpDir);
-                        if (found) {
-                            const rel = path.relative(path.dirname(manifestPath), found).replace(/\\/g, '/');
-                            primary.$.href = rel;
-                            repairs.push(`🔧 Fixed broken launch file → ${rel}`);
-                            launchFile = rel;
-                        }
-                    } else {
-                        launchFile = declaredHref;
-                    }
-                }
+function packageAssetKind(file) {
+    const ext = path.extname(file).toLowerCase();
+    return Object.keys(PACKAGE_ASSET_KINDS).find(kind => PACKAGE_ASSET_KINDS[kind].extensions.includes(ext)) || null;
+}
+
+// Options of a /package request; the rule defaults to the asset kind's first
+function packageOptionsFrom(body) {
+    body = body || {};
+    const scormVersion = body.scormVersion ? String(body.scormVersion) : '1.2';
+    if (!SCORM_VERSIONS[scormVersion]) throw requestError('scormVersion must be "1.2" or "2004"');
+    const rule = body.rule ? String(body.rule) : null;
+    if (rule && !PACKAGE_RULES.includes(rule)) throw requestError(`rule must be one of ${PACKAGE_RULES.join(', ')}`);
+    const number = (name, min, max) => {
+        if (body[name] === undefined || body[name] === '') return PACKAGE_DEFAULTS[name];
+        const value = Number(body[name]);
+        if (!Number.isInteger(value) || value < min || value > max) throw requestError(`${name} must be a whole number from ${min} to ${max}`);
+        return value;
+    };
+    return {
+        scormVersion,
+        rule,
+        seconds: number('seconds', 0, 86400),
+        percent: number('percent', 1, 100),
+        title: String(body.title || '').trim() || null,
+        launchFile: body.launchFile ? String(body.launchFile).replace(/\\/g, '/').replace(/^\/+/, '') : null
+    };
+}
+
+// href of a package file: each path segment %-encoded
+function packageHref(rel) {
+    return rel.split('/').map(encodeURIComponent).join('/');
+}
+
+// Wrap a web page (or zipped microsite), PDF or video into a SCORM package:
+// the asset goes below content/, index.html shows it through the package
+// launcher, and the manifest lists every file. Returns what was built.
+async function packageAsScorm(inputPath, originalName, outputZipPath, options) {
+    const tmpDir = path.join(os.tmpdir(), 'scorm_package_' + crypto.randomBytes(6).toString('hex'));
+    const contentDir = path.join(tmpDir, PACKAGE_CONTENT_DIR);
+    try {
+        fs.mkdirSync(contentDir, { recursive: true });
+        let asset;
+        if (path.extname(originalName).toLowerCase() === '.zip') {
+            safeExtract(inputPath, contentDir);
+            if (findFile(contentDir, 'imsmanifest.xml')) throw requestError('This zip is already a SCORM package — use Repair instead');
+            const files = listFiles(contentDir);
+            if (options.launchFile) {
+                asset = files.find(f => f === options.launchFile) || files.find(f => f.toLowerCase() === options.launchFile.toLowerCase());
+                if (!asset) throw requestError(`launchFile ${options.launchFile} is not in the zip`);
+            } else {
+                const page = findLaunchFile(contentDir);
+                asset = page ? path.relative(contentDir, page).replace(/\\/g, '/') : files.find(f => packageAssetKind(f));
             }
+            if (!asset) throw requestError('The zip holds no web page, PDF or video to package');
         } else {
-            // No resources at all — build one
-            const found = findLaunchFile(tmpDir);
-            const href = found
-                ? path.relative(path.dirname(manifestPath), found).replace(/\\/g, '/')
-                : 'index.html';
-            launchFile = href;
+            asset = path.basename(originalName).replace(/[\\/:*?"<>|]/g, '_');
+            fs.copyFileSync(inputPath, path.join(contentDir, asset));
+        }
 
-            manifest.resources = [{
-                resource: [{
-                    $: {
-                        identifier: 'resource_1',
-                        type: 'webcontent',
-                        'adlcp:scormtype': 'sco',
-                        href: href
-                    }
-                }]
-            }];
-            repairs.push(`🆕 Created missing resources block (launch: ${href})`);
-        }
-
-        // ── Fix 6: Inject SCORM API shim into launch HTML ─────────────────
-        if (launchFile) {
-            const launchFullPath = path.join(path.dirname(manifestPath), launchFile);
-            if (fs.existsSync(launchFullPath) && launchFullPath.match(/\.html?$/i)) {
-                let html = fs.readFileSync(launchFullPath, 'utf8');
-                if (!html.includes('scorm-api-shim.js')) {
-                    // Inject shim as first script in <head> (or before </head>)
-                    const shimTag = '<script src="/scorm-api-shim.js"></script>\n';
-                    if (html.includes('<head>')) {
-                        html = html.replace('<head>', '<head>\n' + shimTag);
-                    } else if (html.includes('</head>')) {
-                        html = html.replace('</head>', shimTag + '</head>');
-                    } else {
-                        html = shimTag + html;
-                    }
-                    fs.writeFileSync(launchFullPath, html, 'utf8');
-                    repairs.push('💉 Injected SCORM API shim into launch HTML');
-                }
-            }
+        const kind = packageAssetKind(asset);
+        if (!kind) {
+            throw requestError(`Cannot package ${path.extname(asset) || asset} files — use a web page (or a zip of one), a PDF or an MP4/WebM video`);
         }
+        const { label, rules } = PACKAGE_ASSET_KINDS[kind];
+        const rule = options.rule || rules[0];
+        if (!rules.includes(rule)) throw requestError(`A ${label} can't use the "${rule}" completion rule — use ${rules.join(' or ')}`);
 
-        // ── Serialize repaired manifest ────────────────────────────────────
-        const builder = new xml2js.Builder({
-            xmldec: { version: '1.0', encoding: 'UTF-8' },
-            renderOpts: { pretty: true, indent: '  ' }
-        });
-        const repairedXml = builder.buildObject(manifestObj);
-        fs.writeFileSync(manifestPath, repairedXml, 'utf8');
+        const version = SCORM_VERSIONS[options.scormVersion];
+        const title = options.title || path.basename(originalName, path.extname(originalName));
+        const assetHref = `${PACKAGE_CONTENT_DIR}/${packageHref(asset)}`;
+        fs.writeFileSync(path.join(tmpDir, 'index.html'), buildPackageLaunchPage({ ...options, title, kind, rule, assetHref }), 'utf8');
+        fs.copyFileSync(path.join(__dirname, 'public', PACKAGE_LAUNCHER_FILE), path.join(tmpDir, PACKAGE_LAUNCHER_FILE));
+
+        const files = ['index.html', PACKAGE_LAUNCHER_FILE, ...listFiles(contentDir).map(f => `${PACKAGE_CONTENT_DIR}/${f}`)];
+        const manifestXml = buildMinimalManifest('index.html', options.scormVersion, { title, files: files.map(packageHref) });
+        fs.writeFileSync(path.join(tmpDir, 'imsmanifest.xml'), manifestXml, 'utf8');
+        const schemaValidation = await validateManifestSchema(manifestXml, version.schemaversion);
 
-        // ── Re-zip ────────────────────────────────────────────────────────
         const outZip = new AdmZip();
         addDirToZip(outZip, tmpDir, tmpDir);
         outZip.writeZip(outputZipPath);
 
-        return { success: true, repairs, launchFile };
-
+        const completion = rule === 'time' ? `viewed for ${options.seconds} s` : rule === 'scroll' ? 'scrolled to the end of a page' : `${options.percent}% of the video played`;
+        return {
+            success: true,
+            title,
+            scormVersion: options.scormVersion,
+            kind,
+            asset: `${PACKAGE_CONTENT_DIR}/${asset}`,
+            rule,
+            completion,
+            launchFile: 'index.html',
+            fileCount: files.length + 1,
+            schemaValidation,
+            notes: [
+                `📦 Packaged ${label} ${asset} as ${version.label}`,
+                `✅ Completed when ${completion}`,
+                `🔖 Bookmark: ${kind === 'video' ? 'playback position' : kind === 'html' ? 'page and scroll position' : 'none — browsers do not expose the PDF page'} (${options.scormVersion === '1.2' ? 'cmi.core.lesson_location' : 'cmi.location'})`,
+                schemaValidation.valid ? `📋 Manifest valid against ${schemaValidation.schemaSet} schemas` : `⚠️ Manifest has ${schemaValidation.errorCount} schema error(s)`
+            ]
+        };
     } finally {
-        // Clean up temp dir
         try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
     }
 }
 
+// index.html of a packaged asset: full-window iframe or video; the launcher
+// sets its src once the bookmark is known
+function buildPackageLaunchPage({ title, kind, rule, seconds, percent, scormVersion, assetHref }) {
+    const element = kind === 'video'
+        ? `<video id="scorm-asset" data-src="${escapeXml(assetHref)}" controls preload="metadata" playsinline></video>`
+        : `<iframe id="scorm-asset" data-src="${escapeXml(assetHref)}" title="${escapeXml(title)}"></iframe>`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeXml(title)}</title>
+<style>
+html, body { margin: 0; height: 100%; background: #fff; }
+#scorm-asset { display: block; width: 100%; height: 100%; border: 0; }
+video#scorm-asset { background: #000; }
+</style>
+<script src="${PACKAGE_LAUNCHER_FILE}" data-scorm-version="${scormVersion}" data-kind="${kind}" data-rule="${rule}" data-seconds="${seconds}" data-percent="${percent}"></script>
+</head>
+<body>
+${element}
+</body>
+</html>
+`;
+}
+
 // ─── HELPERS ────────────────────────────────────────────────────────────────
 
 function findFile(dir, filename) {
@@ -357,34 +3953,118 @@ function addDirToZip(zip, baseDir, currentDir) {
     }
 }
 
-function buildMinimalManifest(launchFile) {
+function buildMinimalManifest(launchFile, scormVersion = '1.2', { title = 'Course', files = [launchFile] } = {}) {
+    const version = SCORM_VERSIONS[scormVersion];
+    const namespaces = Object.entries(version.namespaces).map(([key, uri]) => `\n  ${key}="${uri}"`).join('');
+    const fileList = files.map(href => `\n      <file href="${escapeXml(href)}"/>`).join('');
     return `<?xml version="1.0" encoding="UTF-8"?>
-<manifest identifier="course_manifest" version="1"
-  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
-  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
-  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<manifest identifier="course_manifest" version="1"${namespaces}
+  xsi:schemaLocation="${version.schemaLocation}">
   <metadata>
     <schema>ADL SCORM</schema>
-    <schemaversion>1.2</schemaversion>
+    <schemaversion>${version.schemaversion}</schemaversion>
   </metadata>
   <organizations default="org_1">
     <organization identifier="org_1">
-      <title>Course</title>
+      <title>${escapeXml(title)}</title>
       <item identifier="item_1" identifierref="resource_1">
-        <title>Course</title>
+        <title>${escapeXml(title)}</title>
       </item>
     </organization>
   </organizations>
   <resources>
-    <resource identifier="resource_1" type="webcontent" adlcp:scormtype="sco" href="${launchFile}">
-      <file href="${launchFile}"/>
+    <resource identifier="resource_1" type="webcontent" ${version.scormTypeKey}="sco" href="${escapeXml(launchFile)}">${fileList}
     </resource>
   </resources>
 </manifest>`;
 }
 
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+// SCORM version a package's own scripts talk, for manifests built from
+// scratch. Wrapper libraries that speak both count as 1.2.
+function detectContentVersion(dir) {
+    let calls12 = 0;
+    let calls2004 = 0;
+    listFiles(dir).filter(f => /\.(?:js|html?)$/i.test(f)).forEach(f => {
+        const text = fs.readFileSync(path.join(dir, f)).subarray(0, FINGERPRINT_SAMPLE_BYTES).toString('utf8');
+        if (/LMSInitialize|cmi\.core\./.test(text)) calls12++;
+        if (/API_1484_11|cmi\.completion_status|cmi\.success_status/.test(text)) calls2004++;
+    });
+    return calls2004 && !calls12 ? '2004' : '1.2';
+}
+
 // ─── ENDPOINTS ──────────────────────────────────────────────────────────────
 
+// Repair options arrive as multipart fields ("true", comma-separated lists,
+// JSON-encoded `rules`) or as a JSON body. `profile` picks a repair profile;
+// `rules` and the older fixCaseMismatches / regenerateFileLists flags
+// override single rules of it; `convertTo` asks for a version conversion.
+function repairOptionsFrom(body) {
+    body = body || {};
+    const flag = v => v === true || v === 'true';
+    const list = v => (Array.isArray(v) ? v : typeof v === 'string' && v ? v.split(',') : []).map(s => String(s).trim()).filter(Boolean);
+    let overrides = body.rules || {};
+    if (typeof overrides === 'string') {
+        try { overrides = JSON.parse(overrides); } catch (_) { throw requestError('rules must be a JSON object of rule id → true/false'); }
+    }
+    overrides = { ...overrides };
+    if (body.fixCaseMismatches !== undefined) overrides['fix-case-mismatches'] = flag(body.fixCaseMismatches);
+    if (body.regenerateFileLists !== undefined) overrides['regenerate-file-lists'] = flag(body.regenerateFileLists);
+    const convertTo = body.convertTo ? String(body.convertTo) : null;
+    if (convertTo && !SCORM_VERSIONS[convertTo]) throw requestError('convertTo must be "1.2" or "2004"');
+    const { profile, rules } = resolveRepairRules(body.profile, overrides);
+    return { profile, rules, dryRun: flag(body.dryRun), skip: list(body.skip), convertTo };
+}
+
+// Dry run: plan + diffs only, no zip and no player session
+async function sendRepairPreview(res, zipPath, options) {
+    const result = await repairSCORM(zipPath, null, options);
+    if (!result.success) return res.status(500).json({ error: result.error });
+    res.json(result);
+}
+
+// Packages rejected by the safe-extraction limits get a 422 with the
+// structured reason so the UI can say what was wrong
+function sendError(res, error) {
+    if (error.extraction) return res.status(422).json({ error: error.message, extractionError: error.extraction });
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+// Unpack a repaired zip into player_sessions/<id> and inline the shim
+function startPlayerSession(sessionId, repairedZipPath) {
+    const sessionDir = path.join(__dirname, 'player_sessions', sessionId);
+    try {
+        safeExtract(repairedZipPath, sessionDir);
+    } catch (error) {
+        fs.rmSync(sessionDir, { recursive: true, force: true });
+        throw error;
+    }
+    // Inject shim into all HTML files in session dir (belt-and-suspenders)
+    injectShimIntoSession(sessionDir);
+    return sessionDir;
+}
+
+// The _updated.zip is a side product of analysis; when extraction refuses
+// the package, say so in the findings rather than failing the analysis
+function reportUpdatedZipError(analysis, error) {
+    if (!error.extraction || !analysis.success) return;
+    addFinding(analysis, `EXTRACTION_${error.extraction.code}`, 'error', 'security', `Updated package not created: ${error.message}`,
+        { evidence: error.extraction.entry ? { file: error.extraction.entry } : undefined, fix: 'Remove the offending entry from the archive' });
+}
+
+// HTML files of the _updated.zip that did not get the shim and tracker
+// (fragments, unreadable files), one finding each
+function reportUpdatedInjection(analysis, injection) {
+    if (!analysis.success) return;
+    injection.filter(r => !r.injected && r.shim !== 'already present').forEach((r, i) => {
+        addFinding(analysis, 'UPDATED_PAGE_SKIPPED', 'info', 'package', `Updated package: ${r.file} left without shim and tracker — ${r.shim}`,
+            { evidence: { file: r.file }, legacy: i < 10 });
+    });
+}
+
 // Upload & analyze
 app.post('/upload', upload.single('scormFile'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
@@ -392,25 +4072,43 @@ app.post('/upload', upload.single('scormFile'), async (req, res) => {
         const analysis = await analyzeSCORM(req.file.path);
 
         // Create _updated.zip with event tracker injected
-        let updatedFile = null;
+        let updatedFile = null, updatedInjection = null;
         try {
             const origName = path.basename(req.file.originalname, '.zip') || 'scorm';
-            updatedFile = await createUpdatedZip(req.file.path, origName);
+            ({ updatedFile, injection: updatedInjection } = await createUpdatedZip(req.file.path, origName));
+            reportUpdatedInjection(analysis, updatedInjection);
         } catch (e) {
             console.warn('[TRACKER] Failed to create updated zip:', e.message);
+            reportUpdatedZipError(analysis, e);
         }
 
         fs.unlinkSync(req.file.path);
-        res.json({ ...analysis, updatedFile });
+        res.json({ ...analysis, updatedFile, updatedInjection });
     } catch (error) {
         if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Upload, repair, return repaired zip + start player session
 app.post('/repair', upload.single('scormFile'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    let options;
+    try {
+        options = repairOptionsFrom(req.body);
+    } catch (error) {
+        fs.unlinkSync(req.file.path);
+        return sendError(res, error);
+    }
+    if (options.dryRun) {
+        try {
+            return await sendRepairPreview(res, req.file.path, options);
+        } catch (error) {
+            return sendError(res, error);
+        } finally {
+            fs.unlinkSync(req.file.path);
+        }
+    }
 
     const sessionId = crypto.randomBytes(8).toString('hex');
     const repairedDir = path.join(__dirname, 'repaired');
@@ -419,41 +4117,54 @@ app.post('/repair', upload.single('scormFile'), async (req, res) => {
     const repairedZipPath = path.join(repairedDir, `${origName}_repaired.zip`);
 
     try {
-        const result = await repairSCORM(req.file.path, repairedZipPath);
+        const result = await repairSCORM(req.file.path, repairedZipPath, { ...options, sourceName: req.file.originalname });
         fs.unlinkSync(req.file.path);
 
         if (!result.success) {
             return res.status(500).json({ error: result.error });
         }
 
-        // Extract repaired zip into player session directory
-        const sessionDir = path.join(__dirname, 'player_sessions', sessionId);
-        fs.mkdirSync(sessionDir, { recursive: true });
-        const repZip = new AdmZip(repairedZipPath);
-        repZip.extractAllTo(sessionDir, true);
         // Keep repaired zip in repaired/ — do NOT delete
-
-        // Inject shim into all HTML files in session dir (belt-and-suspenders)
-        injectShimIntoSession(sessionDir);
+        startPlayerSession(sessionId, repairedZipPath);
 
         res.json({
             success: true,
             sessionId,
             launchFile: result.launchFile || 'index.html',
             repairs: result.repairs,
+            profile: options.profile,
+            scos: result.scos,
+            conversion: result.conversion,
+            repairLog: result.repairLog,
             repairedFile: path.basename(repairedZipPath),
             playerUrl: `/play/${sessionId}/${result.launchFile || 'index.html'}`
         });
 
     } catch (error) {
         if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 // Download repaired zip directly
 app.post('/repair-download', upload.single('scormFile'), async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    let options;
+    try {
+        options = repairOptionsFrom(req.body);
+    } catch (error) {
+        fs.unlinkSync(req.file.path);
+        return sendError(res, error);
+    }
+    if (options.dryRun) {
+        try {
+            return await sendRepairPreview(res, req.file.path, options);
+        } catch (error) {
+            return sendError(res, error);
+        } finally {
+            fs.unlinkSync(req.file.path);
+        }
+    }
 
     const repairedDir = path.join(__dirname, 'repaired');
     fs.mkdirSync(repairedDir, { recursive: true });
@@ -461,7 +4172,7 @@ app.post('/repair-download', upload.single('scormFile'), async (req, res) => {
     const repairedZipPath = path.join(repairedDir, `${origName}_repaired.zip`);
 
     try {
-        const result = await repairSCORM(req.file.path, repairedZipPath);
+        const result = await repairSCORM(req.file.path, repairedZipPath, { ...options, sourceName: req.file.originalname });
         fs.unlinkSync(req.file.path);
 
         if (!result.success) return res.status(500).json({ error: result.error });
@@ -471,7 +4182,42 @@ app.post('/repair-download', upload.single('scormFile'), async (req, res) => {
 
     } catch (error) {
         if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
+    }
+});
+
+// Undo the latest repair of a repaired zip — uploaded, or named by
+// `repairedFile` in repaired/ — and download the restored package
+app.post('/undo-repair', upload.single('scormFile'), async (req, res) => {
+    const body = req.body || {};
+    const flag = v => v === true || v === 'true';
+    let zipPath, zipName;
+    if (req.file) {
+        zipPath = req.file.path;
+        zipName = req.file.originalname;
+    } else if (body.repairedFile) {
+        zipName = path.basename(String(body.repairedFile));
+        zipPath = path.join(__dirname, 'repaired', zipName);
+        if (zipName !== body.repairedFile || !/\.zip$/i.test(zipName) || !fs.existsSync(zipPath)) {
+            return res.status(404).json({ error: 'No such repaired file' });
+        }
+    } else {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const repairedDir = path.join(__dirname, 'repaired');
+    fs.mkdirSync(repairedDir, { recursive: true });
+    const origName = path.basename(zipName, '.zip').replace(/_repaired$/i, '') || 'scorm';
+    const restoredZipPath = path.join(repairedDir, `${origName}_restored.zip`);
+
+    try {
+        const result = undoRepairs(zipPath, restoredZipPath, { force: flag(body.force), dryRun: flag(body.dryRun) });
+        if (result.dryRun) return res.json(result);
+        res.download(restoredZipPath, `${origName}_restored.zip`);
+    } catch (error) {
+        sendError(res, error);
+    } finally {
+        if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
     }
 });
 
@@ -486,6 +4232,12 @@ app.post('/repair-folder', async (req, res) => {
     const zipFiles = fs.readdirSync(folderPath)
         .filter(f => f.toLowerCase().endsWith('.zip') && !f.toLowerCase().endsWith('_repaired.zip'));
     if (zipFiles.length === 0) return res.status(400).json({ error: 'No ZIP files found' });
+    let options;
+    try {
+        options = repairOptionsFrom(req.body);
+    } catch (error) {
+        return sendError(res, error);
+    }
 
     const results = [];
     for (const zipFile of zipFiles) {
@@ -497,16 +4249,12 @@ app.post('/repair-folder', async (req, res) => {
         const origName = path.basename(zipFile, '.zip');
         const repairedZipPath = path.join(repairedDir, `${origName}_repaired.zip`);
         try {
-            const result = await repairSCORM(zipPath, repairedZipPath);
+            const result = await repairSCORM(zipPath, repairedZipPath, { ...options, sourceName: zipFile });
 
             // Also create player session
             if (result.success) {
-                const sessionDir = path.join(__dirname, 'player_sessions', sessionId);
-                fs.mkdirSync(sessionDir, { recursive: true });
-                const repZip = new AdmZip(repairedZipPath);
-                repZip.extractAllTo(sessionDir, true);
-                injectShimIntoSession(sessionDir);
                 // Keep repaired zip in repaired/ — do NOT delete
+                startPlayerSession(sessionId, repairedZipPath);
             }
 
             results.push({
@@ -517,11 +4265,11 @@ app.post('/repair-folder', async (req, res) => {
                 repairedFile: result.success ? path.basename(repairedZipPath) : null
             });
         } catch (err) {
-            results.push({ filename: zipFile, success: false, error: err.message });
+            results.push({ filename: zipFile, success: false, error: err.message, extractionError: err.extraction });
         }
     }
 
-    res.json({ success: true, folderPath, results });
+    res.json({ success: true, folderPath, profile: options.profile, results });
 });
 
 // Repair a single file by path (used by batch analysis "Repair & Play" per-card button)
@@ -538,26 +4286,27 @@ app.post('/repair-batch-file', async (req, res) => {
     const repairedZipPath = path.join(repairedDir, `${origName}_repaired.zip`);
 
     try {
-        const result = await repairSCORM(filePath, repairedZipPath);
+        const options = repairOptionsFrom(req.body);
+        const result = await repairSCORM(filePath, repairedZipPath, { ...options, sourceName: path.basename(filePath) });
         if (!result.success) return res.status(500).json({ error: result.error });
 
-        const sessionDir = path.join(__dirname, 'player_sessions', sessionId);
-        fs.mkdirSync(sessionDir, { recursive: true });
-        const repZip = new AdmZip(repairedZipPath);
-        repZip.extractAllTo(sessionDir, true);
         // Keep repaired zip in repaired/ — do NOT delete
-        injectShimIntoSession(sessionDir);
+        startPlayerSession(sessionId, repairedZipPath);
 
         res.json({
             success: true,
             sessionId,
             launchFile: result.launchFile || 'index.html',
             repairs: result.repairs,
+            profile: options.profile,
+            scos: result.scos,
+            conversion: result.conversion,
+            repairLog: result.repairLog,
             repairedFile: path.basename(repairedZipPath),
             playerUrl: `/play/${sessionId}/${result.launchFile || 'index.html'}`
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
@@ -577,6 +4326,7 @@ app.post('/analyze-folder', async (req, res) => {
 
     const results = [];
     let successCount = 0, resumeCapableCount = 0, failedCount = 0;
+    const findingCounts = { error: 0, warning: 0, info: 0, success: 0 };
 
     for (const zipFile of zipFiles) {
         const zipPath = path.join(folderPath, zipFile);
@@ -584,15 +4334,18 @@ app.post('/analyze-folder', async (req, res) => {
             const analysis = await analyzeSCORM(zipPath);
 
             // Create _updated.zip with event tracker injected
-            let updatedFile = null;
+            let updatedFile = null, updatedInjection = null;
             try {
                 const origName = path.basename(zipFile, '.zip');
-                updatedFile = await createUpdatedZip(zipPath, origName);
+                ({ updatedFile, injection: updatedInjection } = await createUpdatedZip(zipPath, origName));
+                reportUpdatedInjection(analysis, updatedInjection);
             } catch (e) {
                 console.warn('[TRACKER] Failed to create updated zip for', zipFile, e.message);
+                reportUpdatedZipError(analysis, e);
             }
 
-            results.push({ filename: zipFile, path: zipPath, size: fs.statSync(zipPath).size, ...analysis, updatedFile });
+            results.push({ filename: zipFile, path: zipPath, size: fs.statSync(zipPath).size, ...analysis, updatedFile, updatedInjection });
+            (analysis.findings || []).forEach(f => findingCounts[f.severity]++);
             if (analysis.success) {
                 successCount++;
                 if (analysis.resumeCapable) resumeCapableCount++;
@@ -600,18 +4353,64 @@ app.post('/analyze-folder', async (req, res) => {
                 failedCount++;
             }
         } catch (error) {
-            results.push({ filename: zipFile, path: zipPath, success: false, error: error.message });
+            results.push({ filename: zipFile, path: zipPath, ...failedAnalysis('PACKAGE_UNREADABLE', error.message, 'Check that the file is a valid ZIP and the descriptor is well-formed XML') });
+            findingCounts.error++;
             failedCount++;
         }
     }
 
     res.json({
         success: true,
-        summary: { totalFiles: zipFiles.length, successfullyAnalyzed: successCount, resumeCapable: resumeCapableCount, failed: failedCount, folderPath },
+        summary: { totalFiles: zipFiles.length, successfullyAnalyzed: successCount, resumeCapable: resumeCapableCount, failed: failedCount, findings: findingCounts, folderPath },
         results
     });
 });
 
+// Repair rules and profiles (built-in + saved)
+app.get('/repair-profiles', (req, res) => {
+    res.json({ rules: REPAIR_RULES, profiles: loadRepairProfiles(), defaultProfile: DEFAULT_REPAIR_PROFILE });
+});
+
+app.post('/repair-profiles', (req, res) => {
+    try {
+        res.json({ success: true, profile: saveRepairProfile(req.body || {}) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/repair-profiles/:id', (req, res) => {
+    try {
+        deleteRepairProfile(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Compare two versions of a package (old vs new)
+app.post('/compare', upload.fields([{ name: 'oldFile', maxCount: 1 }, { name: 'newFile', maxCount: 1 }]), async (req, res) => {
+    const oldFile = req.files && req.files.oldFile && req.files.oldFile[0];
+    const newFile = req.files && req.files.newFile && req.files.newFile[0];
+    const cleanup = () => [oldFile, newFile].forEach(f => {
+        if (f && fs.existsSync(f.path)) fs.unlinkSync(f.path);
+    });
+    if (!oldFile || !newFile) {
+        cleanup();
+        return res.status(400).json({ error: 'Upload both the old and the new package' });
+    }
+    try {
+        const comparison = await comparePackages(oldFile.path, newFile.path);
+        comparison.old.filename = oldFile.originalname;
+        comparison.new.filename = newFile.originalname;
+        res.json(comparison);
+    } catch (error) {
+        sendError(res, error);
+    } finally {
+        cleanup();
+    }
+});
+
 // Receive and log SCORM events from the tracker script
 app.post('/log-event', (req, res) => {
     const event = req.body;
@@ -636,6 +4435,41 @@ app.post('/log-event', (req, res) => {
     }
 });
 
+// Wrap raw HTML (or a zip of a microsite), a PDF or a video into a SCORM
+// package in packaged/ and start a player session for it
+app.post('/package', upload.single('assetFile'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    try {
+        const options = packageOptionsFrom(req.body);
+        const packagedDir = path.join(__dirname, 'packaged');
+        fs.mkdirSync(packagedDir, { recursive: true });
+        const origName = path.basename(req.file.originalname, path.extname(req.file.originalname)) || 'content';
+        const packagedZipPath = path.join(packagedDir, `${origName}_scorm.zip`);
+        const result = await packageAsScorm(req.file.path, req.file.originalname, packagedZipPath, options);
+
+        const sessionId = crypto.randomBytes(8).toString('hex');
+        startPlayerSession(sessionId, packagedZipPath);
+        res.json({
+            ...result,
+            sessionId,
+            packagedFile: path.basename(packagedZipPath),
+            playerUrl: `/play/${sessionId}/${result.launchFile}`
+        });
+    } catch (error) {
+        sendError(res, error);
+    } finally {
+        if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    }
+});
+
+// Download a packaged _scorm.zip by filename
+app.get('/download-packaged/:filename', (req, res) => {
+    const filename = path.basename(req.params.filename); // prevent path traversal
+    const filePath = path.join(__dirname, 'packaged', filename);
+    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File not found' });
+    res.download(filePath, filename);
+});
+
 // Download an _updated.zip file by filename
 app.get('/download-updated/:filename', (req, res) => {
     const filename = path.basename(req.params.filename); // prevent path traversal
@@ -655,87 +4489,229 @@ app.delete('/play-session/:sessionId', (req, res) => {
     }
 });
 
+// ─── HTML SCRIPT INJECTION ──────────────────────────────────────────────────
+
+// Elements whose content is text, not markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp', 'noembed', 'noframes', 'iframe'];
+const HTML_TAG = /<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+
+// Encoding of an HTML file the way a browser settles it: BOM, then a
+// <meta> charset or XML declaration in the first 1024 bytes, then UTF-8 if
+// the bytes are valid UTF-8, else windows-1252
+function detectHtmlEncoding(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return { encoding: 'utf-8', bom: 3 };
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return { encoding: 'utf-16le', bom: 2 };
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return { encoding: 'utf-16be', bom: 2 };
+    const prescan = buffer.subarray(0, 1024).toString('latin1');
+    const declared = ((prescan.match(/<meta\b[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i)
+        || prescan.match(/^\s*<\?xml\b[^>]*?encoding\s*=\s*["']([\w.:-]+)/i) || [])[1] || '').toLowerCase();
+    // A declared UTF-16 without a BOM is read as UTF-8 by browsers
+    if (declared && !/^(?:utf-?8|utf-?16.*|unicode)$/.test(declared)) return { encoding: declared, bom: 0 };
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return { encoding: 'utf-8', bom: 0 };
+    } catch (_) {
+        return { encoding: declared === 'utf-8' || declared === 'utf8' ? 'utf-8' : 'windows-1252', bom: 0 };
+    }
+}
+
+// Text of an HTML file. Legacy single- and multi-byte charsets are read
+// byte for byte (latin1) — markup is ASCII in all of them, so inserting
+// ASCII and writing back the same way leaves every other byte untouched.
+function decodeHtml(buffer) {
+    const { encoding, bom } = detectHtmlEncoding(buffer);
+    const body = buffer.subarray(bom);
+    let text;
+    if (encoding === 'utf-8') text = body.toString('utf8');
+    else if (encoding === 'utf-16le') text = body.toString('utf16le');
+    else if (encoding === 'utf-16be') text = Buffer.from(body.subarray(0, body.length - body.length % 2)).swap16().toString('utf16le');
+    else text = body.toString('latin1');
+    return { text, encoding, bom: buffer.subarray(0, bom), unicode: /^utf-/.test(encoding) };
+}
+
+function encodeHtml(text, decoded) {
+    let body;
+    if (decoded.encoding === 'utf-8') body = Buffer.from(text, 'utf8');
+    else if (decoded.encoding === 'utf-16le') body = Buffer.from(text, 'utf16le');
+    else if (decoded.encoding === 'utf-16be') body = Buffer.from(text, 'utf16le').swap16();
+    else body = Buffer.from(text, 'latin1');
+    return Buffer.concat([decoded.bom, body]);
+}
+
+// Tags, doctype, comments and processing instructions of a page, with their
+// offsets. Content of raw-text elements (scripts, styles…) is skipped.
+function tokenizeHtml(text) {
+    const tokens = [];
+    let i = 0;
+    while ((i = text.indexOf('<', i)) !== -1) {
+        const special = [['<!--', '-->', 'comment'], ['<![CDATA[', ']]>', 'cdata'], ['<?', '>', 'pi'], ['<!', '>', 'doctype']]
+            .find(([open]) => text.startsWith(open, i));
+        if (special) {
+            const close = text.indexOf(special[1], i + special[0].length);
+            const end = close === -1 ? text.length : close + special[1].length;
+            const type = special[2] === 'doctype' && !/^<!doctype\b/i.test(text.slice(i, i + 9)) ? 'comment' : special[2];
+            const name = type === 'pi' ? (text.slice(i + 2, i + 40).match(/^[\w:.-]*/)[0]).toLowerCase() : undefined;
+            tokens.push({ type, name, start: i, end });
+            i = end;
+            continue;
+        }
+        HTML_TAG.lastIndex = i;
+        const m = HTML_TAG.exec(text);
+        if (!m) { i++; continue; }
+        const name = localName(m[2]).toLowerCase();
+        tokens.push({ type: m[1] ? 'end' : 'start', name, attrs: m[3], start: i, end: HTML_TAG.lastIndex });
+        i = HTML_TAG.lastIndex;
+        if (!m[1] && RAW_TEXT_ELEMENTS.includes(name) && !/\/\s*$/.test(m[3])) {
+            const close = new RegExp(`</${name}[\\s/>]`, 'ig');
+            close.lastIndex = i;
+            const found = close.exec(text);
+            i = found ? found.index : text.length;
+        }
+    }
+    return tokens;
+}
+
+function tagAttr(token, name) {
+    const m = (token.attrs || '').match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    return m ? (m[1] ?? m[2] ?? m[3]) : null;
+}
+
+// Where a script goes in a page: at the top of <head> (or where the head
+// is implied), after the doctype and after the <meta>, <base> and <title>
+// tags that must stay first — a charset moved past the first 1024 bytes is
+// ignored, a <base> decides what a relative src means — and never after
+// the page's own first script. Returns null for fragments that are not a
+// page (no doctype, <html>, <head>, <body> or <frameset>).
+function headScriptPosition(tokens) {
+    const isPage = tokens.some(t => t.type === 'doctype'
+        || (t.type === 'start' && ['html', 'head', 'body', 'frameset'].includes(t.name)));
+    if (!isPage) return null;
+
+    const find = (type, name) => tokens.find(t => t.type === type && t.name === name);
+    const head = find('start', 'head');
+    const html = find('start', 'html');
+    const prolog = tokens.filter(t => (t.type === 'doctype' || t.type === 'pi') && (!html || t.start < html.start)).pop();
+    const anchor = head || html || prolog;
+    let index = anchor ? anchor.end : 0;
+    const xhtml = tokens.some(t => t.type === 'pi' && t.name === 'xml')
+        || /xmlns\s*=\s*["']http:\/\/www\.w3\.org\/1999\/xhtml/i.test((html && html.attrs) || '');
+    // XHTML has no implied <head>, so one is added around the script
+    const needsHead = xhtml && !head && !!html;
+    let where = head ? 'top of <head>' : needsHead ? 'new <head> after <html>' : html ? 'implied <head> after <html>' : prolog ? 'after the doctype' : 'start of page';
+
+    let after = null;
+    for (const t of tokens.filter(t => t.start >= index)) {
+        if (t.type === 'comment' || (t.type === 'end' && t.name === 'title')) continue;
+        if (t.type !== 'start' || !['meta', 'base', 'title'].includes(t.name)) break;
+        index = t.name === 'title' ? (tokens.find(e => e.type === 'end' && e.name === 'title' && e.start >= t.end) || t).end : t.end;
+        after = t.name;
+    }
+
+    // A charset, compatibility mode or <base> further down still goes first
+    const firstScript = find('start', 'script');
+    const limit = Math.min(...[firstScript, find('start', 'body'), find('start', 'frameset')].filter(Boolean).map(t => t.start));
+    tokens.filter(t => t.type === 'start' && t.start >= index && t.start < limit
+        && (t.name === 'base' || (t.name === 'meta' && (tagAttr(t, 'charset') !== null || tagAttr(t, 'http-equiv') !== null))))
+        .forEach(t => { index = t.end; after = t.name; });
+    if (after) where += `, after <${after}>`;
+
+    if (firstScript && firstScript.start < index) {
+        index = firstScript.start;
+        where = 'before the first script';
+    }
+    return { index, where, xhtml, needsHead };
+}
+
+// <script> markup: external (`src`, extra `attrs`) or inlined `code`
+// under a `/* === label === */` banner. Inlined code is wrapped in CDATA
+// for XHTML, and pages in a legacy charset get it as pure ASCII.
+function scriptMarkup(script, { xhtml, unicode, newline }) {
+    const attrs = Object.entries(script.attrs || {}).map(([k, v]) => ` ${k}="${v}"`).join('');
+    if (script.src) return `<script src="${script.src}"${attrs}></script>`;
+    let code = `/* === ${script.label} === */${newline}${script.code}`.replace(/<\/script/gi, '<\\/script');
+    if (!unicode) code = code.replace(/[^\x00-\x7f]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+    if (xhtml) return `<script${attrs}>//<![CDATA[${newline}${code}${newline}//]]></script>`;
+    return `<script${attrs}>${newline}${code}${newline}</script>`;
+}
+
+// Inserts a script into an HTML file's bytes and reports what it did:
+// { buffer, injected, where } or { injected: false, reason }. The file keeps
+// its BOM, encoding and line endings; `script.marker` found in the page
+// means it is already there.
+function injectScriptIntoHtml(buffer, script) {
+    const decoded = decodeHtml(buffer);
+    const { text } = decoded;
+    if (script.marker && text.includes(script.marker)) return { injected: false, reason: 'already present', encoding: decoded.encoding };
+    const position = headScriptPosition(tokenizeHtml(text));
+    if (!position) return { injected: false, reason: 'not a page (no doctype, <html>, <head> or <body>)', encoding: decoded.encoding };
+
+    const newline = text.includes('\r\n') ? '\r\n' : '\n';
+    let markup = scriptMarkup(script, { xhtml: position.xhtml, unicode: decoded.unicode, newline });
+    if (position.needsHead) markup = `<head>${markup}</head>`;
+    const updated = text.slice(0, position.index) + newline + markup + text.slice(position.index);
+    return { buffer: encodeHtml(updated, decoded), injected: true, where: position.where, encoding: decoded.encoding };
+}
+
+// Text of a file for diffs: pages in their own encoding, the rest as UTF-8
+function readTextFile(fullPath) {
+    return bufferText(fullPath, fs.readFileSync(fullPath));
+}
+
+function bufferText(file, buffer) {
+    return /\.(?:html?|xhtml)$/i.test(file) ? decodeHtml(buffer).text : buffer.toString('utf8');
+}
+
+// Every .html/.htm/.xhtml file below `dir`, with a per-file report relative to `baseDir`
+function injectScriptIntoDir(baseDir, dir, script) {
+    return listFiles(dir).filter(f => /\.(?:html?|xhtml)$/i.test(f)).map(f => {
+        const full = path.join(dir, f);
+        const file = path.relative(baseDir, full).replace(/\\/g, '/');
+        try {
+            const result = injectScriptIntoHtml(fs.readFileSync(full), script);
+            if (result.injected) fs.writeFileSync(full, result.buffer);
+            return { file, injected: result.injected, where: result.where, reason: result.reason, encoding: result.encoding };
+        } catch (e) {
+            return { file, injected: false, reason: e.message };
+        }
+    });
+}
+
 // ─── SHIM INJECTION HELPER ───────────────────────────────────────────────────
 
 function injectShimIntoSession(sessionDir) {
-    injectShimIntoDir(sessionDir, sessionDir);
+    return injectShimIntoDir(sessionDir, sessionDir);
 }
 
+// Inline scorm-api-shim.js into every page in a directory tree; returns the
+// per-file report of injectScriptIntoDir
 function injectShimIntoDir(sessionDir, dir) {
-    // Read the shim source once and inline it into each HTML file
     const shimSrc = fs.readFileSync(path.join(__dirname, 'public', 'scorm-api-shim.js'), 'utf8');
-    const shimBlock = `<script>\n/* === SCORM API Shim (inlined) === */\n${shimSrc}\n</script>\n`;
-
-    function walk(currentDir) {
-        const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-        for (const e of entries) {
-            const full = path.join(currentDir, e.name);
-            if (e.isDirectory()) {
-                walk(full);
-            } else if (e.name.match(/\.html?$/i)) {
-                try {
-                    let html = fs.readFileSync(full, 'utf8');
-                    // Guard: skip if shim already inlined
-                    if (html.includes('SCORM API Shim (inlined)')) continue;
-                    if (html.includes('<head>')) {
-                        html = html.replace('<head>', '<head>\n' + shimBlock);
-                    } else if (html.includes('</head>')) {
-                        html = html.replace('</head>', shimBlock + '</head>');
-                    } else {
-                        html = shimBlock + html;
-                    }
-                    fs.writeFileSync(full, html, 'utf8');
-                } catch (_) { }
-            }
-        }
-    }
-    walk(dir);
+    return injectScriptIntoDir(sessionDir, dir, { code: shimSrc, label: 'SCORM API Shim (inlined)', marker: 'SCORM API Shim (inlined)' });
 }
 
 // ─── EVENT TRACKER INJECTION HELPER ─────────────────────────────────────────
 
-// Inline scorm-event-tracker.js into every HTML file in a directory tree
+// Inline scorm-event-tracker.js into every page in a directory tree
 function injectTrackerIntoDir(baseDir, dir) {
     const trackerSrc = fs.readFileSync(path.join(__dirname, 'public', 'scorm-event-tracker.js'), 'utf8');
-    const trackerBlock = `<script>\n/* === SCORM Event Tracker (inlined) === */\n${trackerSrc}\n</script>\n`;
-
-    function walk(currentDir) {
-        const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-        for (const e of entries) {
-            const full = path.join(currentDir, e.name);
-            if (e.isDirectory()) {
-                walk(full);
-            } else if (e.name.match(/\.html?$/i)) {
-                try {
-                    let html = fs.readFileSync(full, 'utf8');
-                    // Guard: skip if tracker already inlined
-                    if (html.includes('SCORM Event Tracker (inlined)')) continue;
-                    if (html.includes('<head>')) {
-                        html = html.replace('<head>', '<head>\n' + trackerBlock);
-                    } else if (html.includes('</head>')) {
-                        html = html.replace('</head>', trackerBlock + '</head>');
-                    } else {
-                        html = trackerBlock + html;
-                    }
-                    fs.writeFileSync(full, html, 'utf8');
-                } catch (_) { }
-            }
-        }
-    }
-    walk(dir);
+    return injectScriptIntoDir(baseDir, dir, { code: trackerSrc, label: 'SCORM Event Tracker (inlined)', marker: 'SCORM Event Tracker (inlined)' });
 }
 
-// Extract zip, inject shim + tracker inline into all HTML files, re-zip as <origName>_updated.zip
+// Extract zip, inject shim + tracker inline into all HTML pages, re-zip as
+// <origName>_updated.zip. Returns the file name and, per HTML file, where
+// each script went or why it was not added.
 async function createUpdatedZip(zipPath, origName) {
     const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorm_updated_'));
     try {
-        // Extract
-        const zip = new AdmZip(zipPath);
-        zip.extractAllTo(tmpDir, true);
+        safeExtract(zipPath, tmpDir);
 
-        // Inline shim first, then tracker into all HTML files
-        injectShimIntoDir(tmpDir, tmpDir);
-        injectTrackerIntoDir(tmpDir, tmpDir);
+        // Inline shim first, then tracker into all HTML pages
+        const shim = injectShimIntoDir(tmpDir, tmpDir);
+        const tracker = injectTrackerIntoDir(tmpDir, tmpDir);
+        const injection = shim.map(r => {
+            const t = tracker.find(other => other.file === r.file) || {};
+            return { file: r.file, encoding: r.encoding, shim: r.injected ? r.where : r.reason, tracker: t.injected ? t.where : t.reason, injected: r.injected || !!t.injected };
+        });
 
         // Re-zip
         const updatedDir = path.join(__dirname, 'updated');
@@ -745,7 +4721,7 @@ async function createUpdatedZip(zipPath, origName) {
         addDirToZip(outZip, tmpDir, tmpDir);
         outZip.writeZip(outPath);
 
-        return path.basename(outPath);
+        return { updatedFile: path.basename(outPath), injection };
     } finally {
         try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
     }
@@ -753,7 +4729,7 @@ async function createUpdatedZip(zipPath, origName) {
 
 // ─── INIT ────────────────────────────────────────────────────────────────────
 
-['uploads', 'player_sessions', 'repaired', 'updated', 'event_logs'].forEach(dir => {
+['uploads', 'player_sessions', 'repaired', 'updated', 'packaged', 'event_logs'].forEach(dir => {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir);
 });
 